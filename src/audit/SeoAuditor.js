@@ -0,0 +1,162 @@
+/**
+ * SeoAuditor - Rule-based SEO audit over crawled pages
+ * Each rule flags pages with a severity; page scores start at 100 and lose
+ * points per finding, and the site score is the average page score.
+ * Only pages with HTML audit facts (page.seo) are audited.
+ */
+export const AUDIT_SEVERITIES = { error: 20, warning: 8, notice: 2 };
+
+export const AUDIT_RULES = [
+  { id: 'title-missing', severity: 'error', label: 'Missing title' },
+  { id: 'title-too-long', severity: 'warning', label: 'Title too long' },
+  { id: 'title-duplicate', severity: 'warning', label: 'Duplicate title' },
+  { id: 'description-missing', severity: 'warning', label: 'Missing meta description' },
+  { id: 'description-too-long', severity: 'notice', label: 'Meta description too long' },
+  { id: 'description-duplicate', severity: 'warning', label: 'Duplicate meta description' },
+  { id: 'h1-missing', severity: 'warning', label: 'Missing H1' },
+  { id: 'h1-multiple', severity: 'notice', label: 'Multiple H1s' },
+  { id: 'heading-level-skipped', severity: 'notice', label: 'Skipped heading level' },
+  { id: 'image-alt-missing', severity: 'warning', label: 'Images without alt text' },
+  { id: 'canonical-missing', severity: 'notice', label: 'Missing canonical' },
+  { id: 'noindex', severity: 'warning', label: 'Page is noindex' },
+  { id: 'thin-content', severity: 'warning', label: 'Thin content' },
+  { id: 'deep-page', severity: 'notice', label: 'Deep page' }
+];
+
+export class SeoAuditor {
+  constructor(options = {}) {
+    this.options = {
+      disabledRules: options.disabledRules || [],
+      maxTitleLength: options.maxTitleLength || 60,
+      maxDescriptionLength: options.maxDescriptionLength || 160,
+      minWordCount: options.minWordCount ?? 300,
+      maxDepth: options.maxDepth ?? 3
+    };
+    this.rules = AUDIT_RULES.filter(rule => !this.options.disabledRules.includes(rule.id));
+  }
+
+  /**
+   * Audit pages; returns the site score, per-rule counts and all findings
+   */
+  audit(pages) {
+    const audited = pages.filter(page => page.seo);
+    const titles = this.countValues(audited, page => page.seo.titleTag);
+    const descriptions = this.countValues(audited, page => page.seo.metaDescription);
+
+    const findings = [];
+    const pageResults = audited.map(page => {
+      const issues = this.rules
+        .map(rule => {
+          const message = this.checkRule(rule.id, page, { titles, descriptions });
+          return message ? { rule: rule.id, severity: rule.severity, message } : null;
+        })
+        .filter(Boolean);
+
+      issues.forEach(issue => findings.push({ url: page.url, ...issue }));
+      const penalty = issues.reduce((sum, issue) => sum + AUDIT_SEVERITIES[issue.severity], 0);
+      return { url: page.url, score: Math.max(0, 100 - penalty), issues };
+    });
+
+    const byRule = {};
+    this.rules.forEach(rule => {
+      byRule[rule.id] = findings.filter(finding => finding.rule === rule.id).length;
+    });
+
+    const bySeverity = {};
+    Object.keys(AUDIT_SEVERITIES).forEach(severity => {
+      bySeverity[severity] = findings.filter(finding => finding.severity === severity).length;
+    });
+
+    const score = pageResults.length > 0
+      ? Math.round(pageResults.reduce((sum, result) => sum + result.score, 0) / pageResults.length)
+      : null;
+
+    return {
+      score,
+      pagesAudited: pageResults.length,
+      rules: this.rules.map(rule => rule.id),
+      byRule,
+      bySeverity,
+      findings,
+      pages: pageResults
+    };
+  }
+
+  /**
+   * Run one rule against a page; returns a finding message or null
+   */
+  checkRule(ruleId, page, { titles, descriptions }) {
+    const { seo } = page;
+    const h1Count = seo.headingLevels.filter(level => level === 1).length;
+
+    switch (ruleId) {
+      case 'title-missing':
+        return seo.titleTag ? null : 'Page has no <title>';
+      case 'title-too-long':
+        return seo.titleTag.length > this.options.maxTitleLength
+          ? `Title is ${seo.titleTag.length} characters (max ${this.options.maxTitleLength})`
+          : null;
+      case 'title-duplicate':
+        return seo.titleTag && titles.get(seo.titleTag) > 1
+          ? `Title is shared with ${titles.get(seo.titleTag) - 1} other page(s)`
+          : null;
+      case 'description-missing':
+        return seo.metaDescription ? null : 'Page has no meta description';
+      case 'description-too-long':
+        return seo.metaDescription.length > this.options.maxDescriptionLength
+          ? `Meta description is ${seo.metaDescription.length} characters (max ${this.options.maxDescriptionLength})`
+          : null;
+      case 'description-duplicate':
+        return seo.metaDescription && descriptions.get(seo.metaDescription) > 1
+          ? `Meta description is shared with ${descriptions.get(seo.metaDescription) - 1} other page(s)`
+          : null;
+      case 'h1-missing':
+        return h1Count === 0 ? 'Page has no H1' : null;
+      case 'h1-multiple':
+        return h1Count > 1 ? `Page has ${h1Count} H1s` : null;
+      case 'heading-level-skipped': {
+        const skip = this.findSkippedLevel(seo.headingLevels);
+        return skip ? `H${skip.from} is followed by H${skip.to}` : null;
+      }
+      case 'image-alt-missing':
+        return seo.imagesWithoutAlt > 0 ? `${seo.imagesWithoutAlt} image(s) without alt attribute` : null;
+      case 'canonical-missing':
+        return page.canonicalUrl ? null : 'Page has no rel="canonical"';
+      case 'noindex':
+        return seo.robots.some(directive => directive === 'noindex' || directive === 'none')
+          ? 'Page is excluded from indexing (noindex)'
+          : null;
+      case 'thin-content':
+        return (page.wordCount || 0) < this.options.minWordCount
+          ? `Only ${page.wordCount || 0} words (min ${this.options.minWordCount})`
+          : null;
+      case 'deep-page':
+        return (page.depth || 0) > this.options.maxDepth
+          ? `Page is ${page.depth} clicks from the start page (max ${this.options.maxDepth})`
+          : null;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * First place the outline jumps down more than one level (e.g. H2 -> H4)
+   */
+  findSkippedLevel(levels) {
+    let previous = 0;
+    for (const level of levels) {
+      if (level > previous + 1 && previous > 0) return { from: previous, to: level };
+      previous = level;
+    }
+    return null;
+  }
+
+  countValues(pages, getValue) {
+    const counts = new Map();
+    pages.forEach(page => {
+      const value = getValue(page);
+      if (value) counts.set(value, (counts.get(value) || 0) + 1);
+    });
+    return counts;
+  }
+}
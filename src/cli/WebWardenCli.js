@@ -0,0 +1,219 @@
+import { readFile, writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { CrawlerEngine } from '../crawler/CrawlerEngine.js';
+import { SearchEngine } from '../search/SearchEngine.js';
+import { ExportManager } from '../export/ExportManager.js';
+import { ConfigManager } from '../utils/ConfigManager.js';
+import { BUDGET_LABELS } from '../crawler/CrawlBudget.js';
+import { SeedListParser } from '../crawler/SeedListParser.js';
+
+/**
+ * WebWardenCli - Headless crawls and searches from the command line
+ * Crawl results are written in any ExportManager format; search reads a
+ * JSON or JSON Lines export back in. Settings come from a JSON config file
+ * (the same keys as the browser settings) with flags taking precedence.
+ */
+export const USAGE = `Usage:
+  webwarden crawl <url...> [--seeds FILE] [--depth N] [--max-pages N] [--mode breadth|depth|best]
+                           [--format jsonl|json|csv|xml|txt|broken-links|errors] [--out FILE] [--config FILE]
+  webwarden search <index> <query...> [--limit N] [--json]
+
+Options:
+  --config FILE   JSON settings file (default: ./webwarden.config.json if present)
+  --seeds FILE    Seed list: one URL per line, or CSV with a url, depth, scope header row
+  --out FILE      Write the export to FILE instead of stdout
+  --quiet         Don't report crawl progress on stderr
+  --help          Show this message`;
+
+export const DEFAULT_CONFIG_FILE = 'webwarden.config.json';
+
+export class WebWardenCli {
+  constructor({ stdout = process.stdout, stderr = process.stderr, cwd = process.cwd() } = {}) {
+    this.stdout = stdout;
+    this.stderr = stderr;
+    this.cwd = cwd;
+    this.crawler = null;
+  }
+
+  /**
+   * Run a command line (without the node/script prefix); resolves to the exit code
+   */
+  async run(argv) {
+    let parsed;
+    try {
+      parsed = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+          depth: { type: 'string' },
+          'max-pages': { type: 'string' },
+          mode: { type: 'string' },
+          format: { type: 'string', default: 'jsonl' },
+          out: { type: 'string' },
+          config: { type: 'string' },
+          seeds: { type: 'string' },
+          limit: { type: 'string', default: '10' },
+          json: { type: 'boolean', default: false },
+          quiet: { type: 'boolean', default: false },
+          help: { type: 'boolean', default: false }
+        }
+      });
+    } catch (error) {
+      return this.usageError(error.message);
+    }
+
+    const { values, positionals: [command, ...args] } = parsed;
+    if (values.help || !command) {
+      this.stdout.write(`${USAGE}\n`);
+      return values.help ? 0 : 2;
+    }
+
+    try {
+      switch (command) {
+        case 'crawl':
+          if (args.length === 0 && !values.seeds) return this.usageError('crawl needs a start URL or --seeds');
+          return await this.crawl(args, values);
+        case 'search':
+          if (args.length < 2) return this.usageError('search needs an index file and a query');
+          return await this.search(args[0], args.slice(1).join(' '), values);
+        default:
+          return this.usageError(`Unknown command: ${command}`);
+      }
+    } catch (error) {
+      this.stderr.write(`webwarden: ${error.message}\n`);
+      return 1;
+    }
+  }
+
+  /**
+   * Crawl from the start URLs (and --seeds list) and write the results in the requested format
+   */
+  async crawl(startUrls, options) {
+    const format = options.format.toLowerCase();
+    const exportManager = new ExportManager({
+      writer: content => options.out ? writeFile(options.out, content) : this.stdout.write(content)
+    });
+    if (!exportManager.supportedFormats.includes(format)) {
+      return this.usageError(`Unsupported format: ${options.format}`);
+    }
+
+    const config = await this.loadConfig(options.config);
+    const overrides = {};
+    if (options.depth !== undefined) overrides.maxDepth = options.depth;
+    if (options['max-pages'] !== undefined) overrides.maxPages = options['max-pages'];
+    if (options.mode !== undefined) overrides.crawlMode = options.mode;
+    config.updateConfig(overrides);
+
+    const seeds = startUrls.map(url => ({ url }));
+    if (options.seeds) {
+      seeds.push(...new SeedListParser().parse(await readFile(options.seeds, 'utf8')));
+      if (seeds.length === 0) throw new Error(`No seeds in ${options.seeds}`);
+    }
+
+    this.crawler = new CrawlerEngine(config.getConfig());
+    let results = null;
+    let lastReported = -1;
+    await this.crawler.startCrawl(
+      seeds,
+      stats => {
+        if (options.quiet || stats.crawled === lastReported) return;
+        lastReported = stats.crawled;
+        this.stderr.write(`Crawled ${stats.crawled} pages (${stats.queued} queued, ${stats.errors} errors)\n`);
+      },
+      crawlResults => { results = crawlResults; }
+    );
+
+    if (!results) {
+      throw new Error('Crawl did not complete');
+    }
+    await exportManager.export(results, format);
+    if (!options.quiet) {
+      const exhausted = results.budget.exhausted ? `, stopped at the ${BUDGET_LABELS[results.budget.exhausted]}` : '';
+      this.stderr.write(`Done: ${results.pages.length} pages, ${results.errors.length} errors in ${results.stats.elapsed}s${exhausted}${options.out ? ` -> ${options.out}` : ''}\n`);
+    }
+    return 0;
+  }
+
+  /**
+   * Search a JSON or JSON Lines export
+   */
+  async search(indexPath, query, options) {
+    const limit = parseInt(options.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      return this.usageError(`Invalid --limit: ${options.limit}`);
+    }
+
+    const searchEngine = new SearchEngine();
+    searchEngine.updateIndex(WebWardenCli.parseIndex(await readFile(indexPath, 'utf8')));
+    const results = searchEngine.search(query).slice(0, limit);
+
+    if (options.json) {
+      results.forEach(page => this.stdout.write(`${JSON.stringify(page)}\n`));
+      return 0;
+    }
+
+    if (results.length === 0) {
+      this.stdout.write(`No results for "${query}"\n`);
+      return 0;
+    }
+    results.forEach((page, index) => {
+      this.stdout.write(`${index + 1}. ${page.title}\n   ${page.url}\n`);
+      if (page.description) {
+        this.stdout.write(`   ${page.description.substring(0, 160)}\n`);
+      }
+    });
+    return 0;
+  }
+
+  /**
+   * Settings from the config file, validated like the browser settings
+   */
+  async loadConfig(configPath) {
+    const config = new ConfigManager(null);
+    const path = configPath || `${this.cwd}/${DEFAULT_CONFIG_FILE}`;
+
+    let source;
+    try {
+      source = await readFile(path, 'utf8');
+    } catch (error) {
+      // The default config file is optional; an explicit one is not
+      if (!configPath && error.code === 'ENOENT') return config;
+      throw new Error(`Cannot read config file ${path}: ${error.message}`);
+    }
+
+    try {
+      config.updateConfig(JSON.parse(source));
+    } catch (error) {
+      throw new Error(`Invalid config file ${path}: ${error.message}`);
+    }
+    return config;
+  }
+
+  /**
+   * Page records from a JSON export ({ pages }), a JSON array or JSON Lines
+   */
+  static parseIndex(source) {
+    const trimmed = source.trim();
+    if (!trimmed) return [];
+
+    try {
+      const data = JSON.parse(trimmed);
+      if (Array.isArray(data)) return data;
+      if (Array.isArray(data?.pages)) return data.pages;
+      return [data];
+    } catch {
+      return trimmed.split('\n').filter(line => line.trim()).map((line, index) => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          throw new Error(`Invalid index line ${index + 1}: ${error.message}`);
+        }
+      });
+    }
+  }
+
+  usageError(message) {
+    this.stderr.write(`webwarden: ${message}\n\n${USAGE}\n`);
+    return 2;
+  }
+}
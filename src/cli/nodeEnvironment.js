@@ -0,0 +1,10 @@
+import { HtmlParser } from '../utils/HtmlParser.js';
+import { LinkedomParser } from '../utils/LinkedomParser.js';
+
+/**
+ * nodeEnvironment - Registers a DOM implementation so the crawler's HTML
+ * parsing works outside the browser. Import before creating a CrawlerEngine.
+ */
+const parser = new LinkedomParser();
+
+HtmlParser.register(html => parser.parse(html));
@@ -0,0 +1,17 @@
+#!/usr/bin/env node
+import './nodeEnvironment.js';
+import { WebWardenCli } from './WebWardenCli.js';
+
+/**
+ * webwarden - Command-line entry point (see WebWardenCli for commands)
+ */
+const cli = new WebWardenCli();
+
+// Ctrl+C stops the crawl; the pages crawled so far are still written out
+process.once('SIGINT', () => {
+  if (!cli.crawler) process.exit(130);
+  process.stderr.write('Stopping crawl...\n');
+  cli.crawler.stopCrawl();
+});
+
+process.exitCode = await cli.run(process.argv.slice(2));
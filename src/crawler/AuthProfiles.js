@@ -0,0 +1,92 @@
+import { ScopePolicy } from './ScopePolicy.js';
+import { CookieJar } from './CookieJar.js';
+import { FetchTransport } from './FetchTransport.js';
+
+/**
+ * AuthProfiles - Per-host credentials for authenticated crawls
+ * A profile is { host, headers, cookies, username, password, bearerToken,
+ * allowInsecure } where host is a hostname or *.example.com. Credentials,
+ * and cookies the host sets during the crawl, are only sent to hosts with a
+ * profile, and only over https: unless the profile sets allowInsecure; an
+ * exact host profile wins over a wildcard one.
+ */
+export class AuthProfiles {
+  constructor(profiles = []) {
+    this.profiles = profiles.filter(profile => profile?.host);
+    this.insecureHostsWarned = new Set();
+    this.cookieJar = new CookieJar();
+    this.seedCookies();
+  }
+
+  seedCookies() {
+    this.profiles.forEach(profile => {
+      if (!profile.cookies) return;
+      const wildcard = profile.host.startsWith('*.');
+      this.cookieJar.addCookieString(wildcard ? profile.host.slice(2) : profile.host, profile.cookies, wildcard);
+    });
+  }
+
+  /**
+   * The profile for a URL's host, or null
+   */
+  match(url) {
+    let hostname;
+    try {
+      hostname = new URL(url).hostname.toLowerCase();
+    } catch {
+      return null;
+    }
+
+    return this.profiles
+      .filter(profile => ScopePolicy.hostMatches(hostname, profile.host))
+      .sort((a, b) => Number(a.host.startsWith('*.')) - Number(b.host.startsWith('*.')) || b.host.length - a.host.length)[0] || null;
+  }
+
+  /**
+   * Request headers carrying the credentials for url
+   */
+  getHeaders(url) {
+    const profile = this.match(url);
+    if (!profile) return {};
+
+    if (!profile.allowInsecure && new URL(url).protocol !== 'https:') {
+      if (!this.insecureHostsWarned.has(profile.host)) {
+        this.insecureHostsWarned.add(profile.host);
+        console.warn(`Not sending credentials for ${profile.host} over plain HTTP; set allowInsecure on its profile to allow it`);
+      }
+      return {};
+    }
+
+    const headers = { ...profile.headers };
+    if (profile.username || profile.password) {
+      headers['Authorization'] = `Basic ${AuthProfiles.base64(`${profile.username || ''}:${profile.password || ''}`)}`;
+    } else if (profile.bearerToken) {
+      headers['Authorization'] = `Bearer ${profile.bearerToken}`;
+    }
+
+    const cookie = this.cookieJar.getCookieHeader(url);
+    if (cookie) headers['Cookie'] = cookie;
+    return headers;
+  }
+
+  /**
+   * Keep the cookies a profiled host sets
+   */
+  storeCookies(url, response) {
+    if (!this.match(url)) return;
+    this.cookieJar.setCookies(url, FetchTransport.getSetCookies(response));
+  }
+
+  /**
+   * Forget cookies set during a crawl
+   */
+  reset() {
+    this.cookieJar.clear();
+    this.seedCookies();
+  }
+
+  // UTF-8 safe btoa
+  static base64(text) {
+    return btoa(String.fromCharCode(...new TextEncoder().encode(text)));
+  }
+}
@@ -0,0 +1,305 @@
+import { SitemapParser } from './SitemapParser.js';
+
+/**
+ * ContentHandlerRegistry - Maps response MIME types to content handlers
+ * Every handler turns a response body into the same content shape
+ * ({ title, description, keywords, headings, canonicalUrl, links, imageCount,
+ * bodyText }, links as { href, anchorText, nofollow? }), which CrawlerEngine turns into
+ * a page record. HTML adds mainText, seo and structuredData, and may be parsed
+ * in a worker. Feeds, XML, JSON and plain text are parsed from raw text so
+ * they work without a DOM implementation.
+ */
+export const CONTENT_TYPES = [
+  'text/html',
+  'application/xhtml+xml',
+  'text/plain',
+  'application/xml',
+  'text/xml',
+  'application/rss+xml',
+  'application/atom+xml',
+  'application/json',
+  'application/feed+json'
+];
+
+const URL_PATTERN = /https?:\/\/[^\s<>"'`{}|\\^]+/gi;
+
+export class ContentHandlerRegistry {
+  constructor() {
+    this.handlers = new Map();
+    this.xml = new SitemapParser();
+
+    const html = (body, url, crawler) => crawler.parseHtml(body, url);
+    const xml = (body, url) => this.parseXml(body, url);
+    const feed = (body, url) => this.parseFeed(body, url);
+    const json = (body, url) => this.parseJson(body, url);
+
+    this.register('text/html', html);
+    this.register('application/xhtml+xml', html);
+    this.register('text/plain', (body, url) => this.parseText(body, url));
+    this.register('application/xml', xml);
+    this.register('text/xml', xml);
+    this.register('application/rss+xml', feed);
+    this.register('application/atom+xml', feed);
+    this.register('application/json', json);
+    this.register('application/feed+json', json);
+  }
+
+  /**
+   * Register (or replace) the handler for a MIME type.
+   * handler(body, url, crawler) returns (or resolves to) the content shape described above.
+   */
+  register(mimeType, handler) {
+    this.handlers.set(ContentHandlerRegistry.getEssence(mimeType), handler);
+  }
+
+  unregister(mimeType) {
+    this.handlers.delete(ContentHandlerRegistry.getEssence(mimeType));
+  }
+
+  /**
+   * MIME type without parameters, e.g. "text/html; charset=utf-8" -> "text/html"
+   */
+  static getEssence(contentType) {
+    return String(contentType || '').split(';')[0].trim().toLowerCase();
+  }
+
+  /**
+   * Whether a MIME type is enabled by a contentTypes list (wildcards like "text/*" allowed)
+   */
+  static isActive(mimeType, activeTypes) {
+    return activeTypes.some(active => {
+      const type = ContentHandlerRegistry.getEssence(active);
+      if (type === '*/*' || type === mimeType) return true;
+      return type.endsWith('/*') && mimeType.startsWith(type.slice(0, -1));
+    });
+  }
+
+  /**
+   * Find the active handler for a response Content-Type.
+   * Structured suffixes fall back to their base type (application/ld+json
+   * is handled as application/json), so a suffix type can be enabled
+   * through the base type as well. Returns { mimeType, handler } or null.
+   */
+  resolve(contentType, activeTypes = ['text/html']) {
+    const essence = ContentHandlerRegistry.getEssence(contentType);
+    if (!essence) return null;
+
+    const candidates = [essence];
+    const suffix = /\+(xml|json)$/.exec(essence);
+    if (suffix) candidates.push(`application/${suffix[1]}`);
+
+    for (const mimeType of candidates) {
+      if (!this.handlers.has(mimeType)) continue;
+      if (ContentHandlerRegistry.isActive(mimeType, activeTypes) ||
+          ContentHandlerRegistry.isActive(essence, activeTypes)) {
+        return { mimeType: essence, handler: this.handlers.get(mimeType) };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Accept header advertising the active types ahead of everything else
+   */
+  getAcceptHeader(activeTypes = ['text/html']) {
+    const types = [...new Set(activeTypes.map(type => ContentHandlerRegistry.getEssence(type)))]
+      .filter(type => type && type !== '*/*');
+    return [...types, '*/*;q=0.8'].join(',');
+  }
+
+  /**
+   * Plain text: first short line is the title, bare URLs are links
+   */
+  parseText(body, url) {
+    const text = String(body || '');
+    const firstLine = text.split(/\r?\n/).map(line => line.trim()).find(Boolean) || '';
+
+    return {
+      ...this.emptyContent(url),
+      title: firstLine && firstLine.length <= 150 ? firstLine : url,
+      description: this.summarize(text),
+      links: this.findUrls(text).map(href => ({ href, anchorText: '' })),
+      bodyText: text
+    };
+  }
+
+  /**
+   * Generic XML; RSS, RDF and Atom documents are passed on to the feed parser
+   */
+  parseXml(body, url) {
+    const text = String(body || '');
+    if (/<(?:[\w-]+:)?(rss|feed|RDF)[\s>]/.test(this.stripProlog(text))) {
+      return this.parseFeed(text, url);
+    }
+
+    const bodyText = this.xml.decodeEntities(
+      this.stripProlog(text).replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1').replace(/<[^>]+>/g, ' ')
+    ).replace(/\s+/g, ' ').trim();
+    const hrefs = [...text.matchAll(/\s(?:[\w-]+:)?href\s*=\s*["']([^"']+)["']/gi)]
+      .map(match => this.xml.decodeEntities(match[1]));
+
+    return {
+      ...this.emptyContent(url),
+      title: this.xml.readTag(text, 'title') || url,
+      description: this.summarize(bodyText),
+      links: [...new Set([...hrefs, ...this.findUrls(bodyText)])].map(href => ({ href, anchorText: '' })),
+      bodyText
+    };
+  }
+
+  /**
+   * RSS 2.0, RSS 1.0 (RDF) and Atom feeds; every item link is an outbound link
+   */
+  parseFeed(body, url) {
+    const text = this.stripProlog(String(body || ''));
+    const isAtom = /<(?:[\w-]+:)?feed[\s>]/.test(text);
+    const itemTag = isAtom ? 'entry' : 'item';
+    const itemPattern = new RegExp(
+      `<(?:[\\w-]+:)?${itemTag}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:[\\w-]+:)?${itemTag}>`,
+      'gi'
+    );
+
+    // Channel metadata comes from the part of the document before the first item
+    const firstItem = text.search(new RegExp(`<(?:[\\w-]+:)?${itemTag}[\\s>]`, 'i'));
+    const head = firstItem === -1 ? text : text.slice(0, firstItem);
+
+    const items = [...text.matchAll(itemPattern)].map(([, block]) => ({
+      title: this.stripTags(this.xml.readTag(block, 'title')),
+      link: isAtom ? this.readAtomLink(block) : (this.xml.readTag(block, 'link') || this.readGuidLink(block)),
+      summary: this.stripTags(
+        isAtom
+          ? this.xml.readTag(block, 'summary') || this.xml.readTag(block, 'content')
+          : this.xml.readTag(block, 'description')
+      )
+    }));
+
+    const title = this.stripTags(this.xml.readTag(head, 'title'));
+    const description = this.stripTags(
+      isAtom ? this.xml.readTag(head, 'subtitle') : this.xml.readTag(head, 'description')
+    );
+    const bodyText = [title, description, ...items.flatMap(item => [item.title, item.summary])]
+      .filter(Boolean)
+      .join('\n');
+
+    return {
+      ...this.emptyContent(url),
+      title: title || url,
+      description: description || this.summarize(bodyText),
+      headings: { h1: title ? [title] : [], h2: items.map(item => item.title).filter(Boolean), h3: [] },
+      links: items
+        .filter(item => item.link)
+        .map(item => ({ href: item.link, anchorText: item.title })),
+      bodyText
+    };
+  }
+
+  /**
+   * JSON documents and JSON Feed; string values are the body text and
+   * absolute URLs anywhere in the document are links
+   */
+  parseJson(body, url) {
+    let data;
+    try {
+      data = JSON.parse(body);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+
+    const root = data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+    const pickString = (...keys) => keys.map(key => root[key]).find(value => typeof value === 'string' && value.trim()) || '';
+
+    const strings = [];
+    const links = [];
+    const walk = (value, key, depth) => {
+      if (depth > 20 || strings.length >= 5000) return;
+      if (typeof value === 'string') {
+        if (/^https?:\/\//i.test(value.trim())) {
+          links.push({ href: value.trim(), anchorText: key || '' });
+        } else if (value.trim()) {
+          strings.push(value.trim());
+        }
+      } else if (Array.isArray(value)) {
+        value.forEach(entry => walk(entry, key, depth + 1));
+      } else if (value && typeof value === 'object') {
+        Object.entries(value).forEach(([childKey, child]) => walk(child, childKey, depth + 1));
+      }
+    };
+    walk(data, '', 0);
+
+    // JSON Feed items link with their title as anchor text
+    const feedItems = Array.isArray(root.items) && String(root.version || '').includes('jsonfeed.org')
+      ? root.items.filter(item => item && typeof item.url === 'string')
+      : [];
+    const feedLinks = feedItems.map(item => ({ href: item.url, anchorText: item.title || '' }));
+
+    const title = pickString('title', 'name', 'headline');
+    const description = pickString('description', 'summary', 'abstract');
+    const bodyText = this.stripTags(strings.join('\n'));
+
+    return {
+      ...this.emptyContent(url),
+      title: title || url,
+      description: description || this.summarize(bodyText),
+      headings: { h1: title ? [title] : [], h2: feedItems.map(item => item.title).filter(Boolean), h3: [] },
+      links: feedLinks.length > 0 ? feedLinks : links,
+      bodyText
+    };
+  }
+
+  /**
+   * Utility methods
+   */
+  emptyContent(url) {
+    return {
+      title: url,
+      description: '',
+      keywords: '',
+      headings: { h1: [], h2: [], h3: [] },
+      canonicalUrl: null,
+      links: [],
+      imageCount: 0,
+      bodyText: ''
+    };
+  }
+
+  readAtomLink(block) {
+    const links = [...block.matchAll(/<(?:[\w-]+:)?link\b([^>]*)>/gi)].map(([, attrs]) => ({
+      href: /\bhref\s*=\s*["']([^"']+)["']/i.exec(attrs)?.[1],
+      rel: /\brel\s*=\s*["']([^"']+)["']/i.exec(attrs)?.[1] || 'alternate'
+    })).filter(link => link.href);
+
+    const link = links.find(candidate => candidate.rel === 'alternate') || links[0];
+    return link ? this.xml.decodeEntities(link.href) : '';
+  }
+
+  readGuidLink(block) {
+    const match = /<guid(?:\s[^>]*)?>([\s\S]*?)<\/guid>/i.exec(block);
+    if (!match || /isPermaLink\s*=\s*["']false["']/i.test(match[0])) return '';
+    const guid = this.xml.decodeEntities(match[1]).trim();
+    return /^https?:\/\//i.test(guid) ? guid : '';
+  }
+
+  stripProlog(text) {
+    return text.replace(/<\?[\s\S]*?\?>/g, '').replace(/<!--[\s\S]*?-->/g, '').replace(/<!DOCTYPE[^>]*>/gi, '');
+  }
+
+  /**
+   * Feed titles and summaries often carry escaped HTML markup
+   */
+  stripTags(text) {
+    return this.xml.decodeEntities(String(text || '').replace(/<[^>]+>/g, ' '))
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  summarize(text) {
+    return String(text || '').trim().replace(/\s+/g, ' ').substring(0, 300);
+  }
+
+  findUrls(text) {
+    const urls = (String(text || '').match(URL_PATTERN) || [])
+      .map(url => url.replace(/[.,;:!?)\]]+$/, ''));
+    return [...new Set(urls)];
+  }
+}
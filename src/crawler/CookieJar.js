@@ -0,0 +1,124 @@
+/**
+ * CookieJar - Cookies kept across a crawl
+ * Stores Set-Cookie headers and builds the Cookie header for a request,
+ * honouring Domain, Path, Secure, Expires and Max-Age (RFC 6265, without
+ * the public suffix list).
+ */
+export class CookieJar {
+  constructor() {
+    this.cookies = new Map(); // `${domain};${path};${name}` -> cookie
+  }
+
+  /**
+   * Store the Set-Cookie header values of a response from url
+   */
+  setCookies(url, setCookieHeaders = []) {
+    const { hostname, pathname } = new URL(url);
+    setCookieHeaders.forEach(header => {
+      const cookie = this.parseSetCookie(header, hostname, pathname);
+      if (!cookie) return;
+      const key = `${cookie.domain};${cookie.path};${cookie.name}`;
+      if (cookie.expires !== null && cookie.expires <= Date.now()) {
+        this.cookies.delete(key);
+      } else {
+        this.cookies.set(key, cookie);
+      }
+    });
+  }
+
+  /**
+   * Add cookies given as "name=value; other=value" for a domain
+   */
+  addCookieString(domain, cookieString, includeSubdomains = false) {
+    cookieString.split(';').forEach(pair => {
+      const separator = pair.indexOf('=');
+      if (separator < 1) return;
+      const name = pair.slice(0, separator).trim();
+      this.cookies.set(`${domain};/;${name}`, {
+        name,
+        value: pair.slice(separator + 1).trim(),
+        domain,
+        hostOnly: !includeSubdomains,
+        path: '/',
+        secure: false,
+        expires: null
+      });
+    });
+  }
+
+  parseSetCookie(header, hostname, requestPath) {
+    const [pair, ...attributes] = header.split(';');
+    const separator = pair.indexOf('=');
+    if (separator < 1) return null;
+
+    const cookie = {
+      name: pair.slice(0, separator).trim(),
+      value: pair.slice(separator + 1).trim(),
+      domain: hostname,
+      hostOnly: true,
+      path: this.defaultPath(requestPath),
+      secure: false,
+      expires: null
+    };
+
+    let maxAge = null;
+    for (const attribute of attributes) {
+      const [rawName, ...rest] = attribute.split('=');
+      const name = rawName.trim().toLowerCase();
+      const value = rest.join('=').trim();
+
+      if (name === 'domain' && value) {
+        const domain = value.replace(/^\./, '').toLowerCase();
+        // A host may only set cookies for itself or a parent domain
+        if (hostname !== domain && !hostname.endsWith(`.${domain}`)) return null;
+        cookie.domain = domain;
+        cookie.hostOnly = false;
+      } else if (name === 'path' && value.startsWith('/')) {
+        cookie.path = value;
+      } else if (name === 'secure') {
+        cookie.secure = true;
+      } else if (name === 'max-age' && /^-?\d+$/.test(value)) {
+        maxAge = parseInt(value);
+      } else if (name === 'expires') {
+        const time = Date.parse(value);
+        if (!Number.isNaN(time)) cookie.expires = time;
+      }
+    }
+    // Max-Age wins over Expires
+    if (maxAge !== null) cookie.expires = Date.now() + maxAge * 1000;
+    return cookie;
+  }
+
+  defaultPath(requestPath) {
+    if (!requestPath.startsWith('/') || requestPath.lastIndexOf('/') === 0) return '/';
+    return requestPath.slice(0, requestPath.lastIndexOf('/'));
+  }
+
+  /**
+   * Cookie header value for a request to url, or '' if no cookie applies
+   */
+  getCookieHeader(url) {
+    const { hostname, pathname, protocol } = new URL(url);
+    const now = Date.now();
+
+    return [...this.cookies.values()]
+      .filter(cookie => {
+        if (cookie.expires !== null && cookie.expires <= now) return false;
+        if (cookie.secure && protocol !== 'https:') return false;
+        const domainMatches = cookie.hostOnly
+          ? hostname === cookie.domain
+          : hostname === cookie.domain || hostname.endsWith(`.${cookie.domain}`);
+        const pathMatches = pathname === cookie.path ||
+          pathname.startsWith(cookie.path.endsWith('/') ? cookie.path : `${cookie.path}/`);
+        return domainMatches && pathMatches;
+      })
+      // Longer paths first, as browsers send them
+      .sort((a, b) => b.path.length - a.path.length)
+      .map(cookie => `${cookie.name}=${cookie.value}`)
+      .join('; ');
+  }
+
+  clear() {
+    this.cookies.clear();
+  }
+}
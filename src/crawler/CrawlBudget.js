@@ -0,0 +1,91 @@
+/**
+ * CrawlBudget - Limits that end a crawl or keep parts of a site out of it
+ * Per-host and per-directory caps count pages fetched (failures included)
+ * and drop further URLs for that host or directory; the byte and
+ * wall-clock budgets end the whole crawl. A limit of 0 means unlimited.
+ */
+export const BUDGET_LABELS = {
+  maxPages: 'page limit',
+  maxTotalBytes: 'download size limit',
+  maxCrawlDuration: 'time limit'
+};
+
+export class CrawlBudget {
+  constructor(options = {}) {
+    this.maxPagesPerHost = options.maxPagesPerHost || 0;
+    this.maxPagesPerDirectory = options.maxPagesPerDirectory || 0;
+    this.maxTotalBytes = options.maxTotalBytes || 0;
+    this.maxCrawlDuration = options.maxCrawlDuration || 0; // ms
+    this.clear();
+  }
+
+  clear() {
+    this.hostPages = new Map(); // host -> pages fetched
+    this.directoryPages = new Map(); // host + directory -> pages fetched
+    this.cappedHosts = new Set();
+    this.cappedDirectories = new Set();
+    this.totalBytes = 0;
+  }
+
+  /**
+   * Directory key of a URL: host plus path up to the last slash
+   */
+  static getDirectory(url) {
+    const { host, pathname } = new URL(url);
+    return `${host}${pathname.slice(0, pathname.lastIndexOf('/') + 1)}`;
+  }
+
+  /**
+   * Count a page against its host and directory caps; false if either is spent
+   */
+  take(url) {
+    const host = new URL(url).host;
+    const directory = CrawlBudget.getDirectory(url);
+    const hostCount = this.hostPages.get(host) || 0;
+    const directoryCount = this.directoryPages.get(directory) || 0;
+
+    if (this.maxPagesPerHost && hostCount >= this.maxPagesPerHost) {
+      this.cappedHosts.add(host);
+      return false;
+    }
+    if (this.maxPagesPerDirectory && directoryCount >= this.maxPagesPerDirectory) {
+      this.cappedDirectories.add(directory);
+      return false;
+    }
+
+    this.hostPages.set(host, hostCount + 1);
+    this.directoryPages.set(directory, directoryCount + 1);
+    return true;
+  }
+
+  addBytes(bytes) {
+    this.totalBytes += bytes;
+  }
+
+  /**
+   * The crawl-wide budget that has run out, or null
+   */
+  getExhausted(elapsedMs) {
+    if (this.maxTotalBytes && this.totalBytes >= this.maxTotalBytes) return 'maxTotalBytes';
+    if (this.maxCrawlDuration && elapsedMs >= this.maxCrawlDuration) return 'maxCrawlDuration';
+    return null;
+  }
+
+  toJSON() {
+    return {
+      hostPages: [...this.hostPages],
+      directoryPages: [...this.directoryPages],
+      cappedHosts: [...this.cappedHosts],
+      cappedDirectories: [...this.cappedDirectories],
+      totalBytes: this.totalBytes
+    };
+  }
+
+  restore(state = {}) {
+    this.hostPages = new Map(state.hostPages || []);
+    this.directoryPages = new Map(state.directoryPages || []);
+    this.cappedHosts = new Set(state.cappedHosts || []);
+    this.cappedDirectories = new Set(state.cappedDirectories || []);
+    this.totalBytes = state.totalBytes || 0;
+  }
+}
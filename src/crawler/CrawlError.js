@@ -0,0 +1,89 @@
+/**
+ * CrawlError - Classified crawl failure
+ * Carries the error class that drives the retry policy, plus the HTTP
+ * status, attempt count and (for redirects) the chain that led to it.
+ */
+export const ERROR_CLASSES = [
+  'timeout',
+  'dns',
+  'network',
+  'cors',
+  'http-4xx',
+  'throttled', // HTTP 429
+  'http-5xx',
+  'redirect',
+  'robots-denied',
+  'content-type',
+  'parse',
+  'other'
+];
+
+// Classes retried up to maxRetries unless config.retryPolicy says otherwise
+export const RETRYABLE_ERROR_CLASSES = ['timeout', 'network', 'throttled', 'http-5xx'];
+
+export class CrawlError extends Error {
+  constructor(message, { errorClass = 'other', status = null, attempts = 1, cause = null, ...details } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'CrawlError';
+    this.errorClass = errorClass;
+    this.status = status;
+    this.attempts = attempts;
+    // redirectChain, redirectOutcome, finalUrl
+    Object.assign(this, details);
+  }
+
+  /**
+   * Wrap any error as a CrawlError, keeping its status and redirect details
+   */
+  static from(error, url = null) {
+    if (error instanceof CrawlError) return error;
+
+    const { status, redirectChain, redirectOutcome, finalUrl } = error;
+    return new CrawlError(error.message, {
+      errorClass: CrawlError.classify(error, url),
+      status: status ?? null,
+      cause: error,
+      ...(redirectChain && { redirectChain }),
+      ...(redirectOutcome && { redirectOutcome }),
+      ...(finalUrl && { finalUrl })
+    });
+  }
+
+  static classifyStatus(status) {
+    if (status === 429) return 'throttled';
+    if (status >= 500) return 'http-5xx';
+    if (status >= 400) return 'http-4xx';
+    return 'other';
+  }
+
+  /**
+   * Error class of a thrown error. Browsers report CORS rejections as a
+   * bare TypeError, so cross-origin fetch failures there count as CORS.
+   */
+  static classify(error, url = null) {
+    if (error.errorClass) return error.errorClass;
+    if (error.name === 'TimeoutError') return 'timeout';
+    if (error.redirectOutcome) return error.redirectOutcome === 'disallowed' ? 'robots-denied' : 'redirect';
+    if (error.status >= 400) return CrawlError.classifyStatus(error.status);
+
+    const code = error.cause?.code || error.code || '';
+    if (['ENOTFOUND', 'EAI_AGAIN', 'EAI_NONAME'].includes(code) || /getaddrinfo/i.test(error.cause?.message || '')) {
+      return 'dns';
+    }
+    if (['ETIMEDOUT', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT'].includes(code)) return 'timeout';
+    if (error.name === 'TypeError') {
+      return !code && url && CrawlError.isCrossOriginInBrowser(url) ? 'cors' : 'network';
+    }
+    return 'other';
+  }
+
+  static isCrossOriginInBrowser(url) {
+    const origin = globalThis.location?.origin;
+    if (!origin || typeof document === 'undefined') return false;
+    try {
+      return new URL(url).origin !== origin;
+    } catch {
+      return false;
+    }
+  }
+}
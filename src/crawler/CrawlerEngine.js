@@ -1,3 +1,24 @@
+import { Frontier } from './Frontier.js';
+import { UrlNormalizer } from './UrlNormalizer.js';
+import { RobotsPolicy } from './RobotsPolicy.js';
+import { SitemapParser } from './SitemapParser.js';
+import { HostScheduler } from './HostScheduler.js';
+import { ScopePolicy } from './ScopePolicy.js';
+import { SimHash } from './SimHash.js';
+import { DuplicateDetector } from './DuplicateDetector.js';
+import { ContentHandlerRegistry } from './ContentHandlerRegistry.js';
+import { LinkGraph } from './LinkGraph.js';
+import { LinkChecker } from './LinkChecker.js';
+import { SeoAuditor } from '../audit/SeoAuditor.js';
+import { StructuredDataExtractor } from './StructuredDataExtractor.js';
+import { MainContentExtractor } from './MainContentExtractor.js';
+import { PluginManager } from './PluginManager.js';
+import { HtmlParser } from '../utils/HtmlParser.js';
+import { CrawlError, RETRYABLE_ERROR_CLASSES } from './CrawlError.js';
+import { FetchTransport, DEFAULT_PROXY_URL } from './FetchTransport.js';
+import { AuthProfiles } from './AuthProfiles.js';
+import { CrawlBudget } from './CrawlBudget.js';
+
 /**
  * CrawlerEngine - Core crawling logic with performance optimizations
  * Handles concurrent processing, rate limiting, and resource management
@@ -6,56 +27,189 @@ export class CrawlerEngine {
   constructor(config = {}) {
     this.config = {
       maxConcurrency: config.maxConcurrency || 3,
+      maxConcurrencyPerHost: config.maxConcurrencyPerHost || 2,
       requestDelay: config.requestDelay || 1000,
+      maxBackoffDelay: config.maxBackoffDelay || 60000,
       timeout: config.timeout || 10000,
-      maxRetries: config.maxRetries || 2,
+      maxRetries: config.maxRetries ?? 2,
+      retryPolicy: config.retryPolicy || {}, // error class -> max retries, overriding maxRetries
+      retryBaseDelay: config.retryBaseDelay || 1000,
       respectRobots: config.respectRobots !== false,
       userAgent: config.userAgent || 'WebWarden Crawler 2.0',
       maxPages: config.maxPages || 100,
       maxDepth: config.maxDepth || 3,
+      // Budgets (0 = unlimited, see CrawlBudget)
+      maxPagesPerHost: config.maxPagesPerHost ?? 0,
+      maxPagesPerDirectory: config.maxPagesPerDirectory ?? 0,
+      maxTotalBytes: config.maxTotalBytes ?? 0,
+      maxCrawlDuration: config.maxCrawlDuration ?? 0, // ms
+      maxResponseBytes: config.maxResponseBytes ?? 10485760, // longer bodies are truncated
+      crawlMode: config.crawlMode || 'breadth',
+      priorityKeywords: config.priorityKeywords || [],
+      priorityPatterns: config.priorityPatterns || [],
+      urlNormalization: config.urlNormalization || {},
+      useSitemaps: config.useSitemaps !== false,
+      maxSitemaps: config.maxSitemaps || 20,
+      maxSitemapUrls: config.maxSitemapUrls ?? 1000,
+      checkpointInterval: config.checkpointInterval || 10000,
+      incremental: config.incremental !== false,
+      allowedDomains: config.allowedDomains || [],
+      blockedDomains: config.blockedDomains || [],
+      includePatterns: config.includePatterns || [],
+      excludePatterns: config.excludePatterns || [],
+      detectDuplicates: config.detectDuplicates !== false,
+      skipDuplicates: config.skipDuplicates || false,
+      duplicateThreshold: config.duplicateThreshold ?? 3,
+      contentTypes: config.contentTypes || ['text/html', 'application/xhtml+xml'],
+      followRedirects: config.followRedirects !== false,
+      maxRedirects: config.maxRedirects ?? 5,
+      checkLinks: config.checkLinks || false,
+      disabledAuditRules: config.disabledAuditRules || [],
+      maxMainTextLength: config.maxMainTextLength ?? 20000, // Characters of main text kept per page
+      transport: config.transport || 'direct', // 'direct' or 'proxy' (see FetchTransport)
+      proxyUrl: config.proxyUrl || DEFAULT_PROXY_URL,
+      authProfiles: config.authProfiles || [], // per-host credentials (see AuthProfiles)
       ...config
     };
     
     this.visited = new Set();
-    this.queue = [];
+    this.frontier = this.createFrontier();
     this.index = [];
+    this.pagesByUrl = new Map();
+    this.linkGraph = new LinkGraph();
     this.errors = [];
-    this.robotsCache = new Map();
+    this.simHash = new SimHash();
+    this.robotsCache = new Map(); // origin -> Promise<RobotsPolicy>
+    this.robotsPolicies = new Map(); // origin -> resolved RobotsPolicy
+    this.sitemapParser = new SitemapParser();
+    this.contentHandlers = new ContentHandlerRegistry();
+    this.structuredDataExtractor = new StructuredDataExtractor();
+    this.mainContentExtractor = new MainContentExtractor();
+    this.plugins = new PluginManager(this);
+    this.htmlParser = new HtmlParser();
+    this.customTransport = null; // set with setTransport(), kept across configs
+    this.sitemapEntries = new Map(); // normalized URL -> sitemap entry
+    this.sitemapsFetched = [];
     this.activeRequests = 0;
+    this.inFlight = 0;
+    this.inFlightItems = new Map(); // url -> frontier item being crawled
     this.stopFlag = false;
+    this.pauseFlag = false;
     this.controller = null;
+    this.startUrl = null;
+    this.seeds = []; // { url, originalUrl, maxDepth, scope, aliases } per seed
+    this.scope = null; // the configured rules around all seeds, without per-seed overrides
+    this.seedScopes = new Map(); // seed URL -> ScopePolicy
+    this.running = null;
+    this.checkpointStore = null;
+    this.workerPool = null;
+    this.lastCheckpointTime = 0;
+    this.pagesCheckpointed = 0; // index pages already in the checkpoint store
+    this.baseline = new Map(); // url -> page record from the previous crawl
+    this.gonePages = [];
+    this.redirects = []; // redirect chains seen this crawl
+    this.budget = this.createBudget();
+    this.budgetExhausted = null; // crawl-wide budget that ended the crawl
+    this.hostStats = null; // per-host pacing kept when a stop clears the scheduler
     this.stats = {
       startTime: null,
       processed: 0,
       failed: 0,
-      skipped: 0
+      skipped: 0,
+      duplicates: 0
     };
     
-    // Rate limiting
-    this.lastRequestTime = 0;
-    this.requestQueue = [];
-    this.processingQueue = false;
+    this.applyConfig();
+  }
+
+  /**
+   * Build the components that take their settings from the config; run
+   * again when a checkpoint brings back the config it was saved with
+   */
+  applyConfig() {
+    this.urlNormalizer = new UrlNormalizer(this.config.urlNormalization);
+    this.duplicateDetector = new DuplicateDetector({ threshold: this.config.duplicateThreshold });
+    this.transport = this.customTransport || new FetchTransport({ mode: this.config.transport, proxyUrl: this.config.proxyUrl });
+    this.authProfiles = new AuthProfiles(this.config.authProfiles);
+    // Per-host rate limiting
+    this.scheduler = this.createScheduler();
+    this.linkChecker = this.createLinkChecker();
+  }
+
+  /**
+   * Register a plugin (see PluginManager for the hooks). Returns the
+   * crawler so calls can be chained.
+   */
+  use(plugin) {
+    this.plugins.use(plugin);
+    return this;
   }
 
   /**
-   * Start crawling from the given URL
+   * Start crawling from a URL or a list of seeds. A seed is a URL or
+   * { url, maxDepth, scope }, where scope holds ScopePolicy options that
+   * replace the configured ones for that seed. Pages record the seed they
+   * were reached from.
    */
-  async startCrawl(startUrl, onProgress = () => {}, onComplete = () => {}) {
+  async startCrawl(seeds, onProgress = () => {}, onComplete = () => {}) {
     this.reset();
     this.controller = new AbortController();
     this.stats.startTime = Date.now();
     
-    if (!this.isValidUrl(startUrl)) {
-      throw new Error('Invalid start URL provided');
-    }
-
-    this.queue.push({ url: startUrl, depth: 0, referrer: null });
+    this.setSeeds(this.resolveSeeds(seeds));
     this.onProgress = onProgress;
     this.onComplete = onComplete;
 
     try {
-      await this.processCrawlQueue();
-      this.onComplete(this.getResults());
+      await this.enqueue(this.seeds.map(seed => ({
+        url: seed.url,
+        originalUrl: seed.originalUrl,
+        depth: 0,
+        referrer: null,
+        seed: seed.url
+      })));
+      if (this.config.incremental) {
+        await this.seedFromBaseline();
+      }
+      if (this.config.useSitemaps) {
+        // Sitemaps are per host, so one lookup serves every seed on it
+        const origins = new Map(this.seeds.map(seed => [new URL(seed.url).origin, seed.originalUrl]).reverse());
+        for (const seedUrl of origins.values()) {
+          await this.seedFromSitemaps(seedUrl);
+        }
+      }
+      await this.runCrawl();
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error('Crawl failed:', error);
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Resume a paused crawl, or a crawl restored from a checkpoint
+   */
+  async resumeCrawl(onProgress = this.onProgress, onComplete = this.onComplete, checkpoint = null) {
+    if (this.running) {
+      throw new Error('Crawl is still running');
+    }
+    
+    if (checkpoint) {
+      this.restoreCheckpoint(checkpoint);
+      if (this.config.incremental) {
+        await this.loadBaseline();
+      }
+    }
+    
+    this.pauseFlag = false;
+    this.stopFlag = false;
+    this.controller = new AbortController();
+    this.onProgress = onProgress || (() => {});
+    this.onComplete = onComplete || (() => {});
+
+    try {
+      await this.runCrawl();
     } catch (error) {
       if (error.name !== 'AbortError') {
         console.error('Crawl failed:', error);
@@ -64,12 +218,62 @@ export class CrawlerEngine {
     }
   }
 
+  /**
+   * Run the workers until the crawl finishes, is paused or is stopped
+   */
+  runCrawl() {
+    this.running = (async () => {
+      await this.processCrawlQueue();
+      
+      if (this.config.checkLinks && !this.stopFlag && !this.pauseFlag && !this.budgetExhausted) {
+        await this.checkLinks();
+      }
+      
+      if (this.pauseFlag) {
+        await this.saveCheckpoint();
+        return;
+      }
+      
+      await this.clearCheckpoint();
+      const results = this.getResults();
+      if (this.config.incremental && !this.stopFlag) {
+        await this.saveBaseline(results.pages);
+      }
+      await this.plugins.notify('onComplete', results);
+      this.onComplete(results);
+    })().finally(() => {
+      this.running = null;
+    });
+    
+    return this.running;
+  }
+
+  /**
+   * Pause the crawl: in-flight pages finish, then a checkpoint is saved.
+   * Resolves once the crawl has fully paused.
+   */
+  async pauseCrawl() {
+    this.pauseFlag = true;
+    await this.running?.catch(() => {});
+  }
+
+  get isPaused() {
+    return this.pauseFlag && !this.running;
+  }
+
   /**
    * Stop the current crawl operation
    */
   stopCrawl() {
     this.stopFlag = true;
     this.controller?.abort();
+    this.hostStats = this.scheduler.getHostStats();
+    this.scheduler.clear();
+    
+    // A stopped paused crawl will never resume, so drop its checkpoint
+    if (!this.running) {
+      this.clearCheckpoint();
+    }
   }
 
   /**
@@ -86,147 +290,547 @@ export class CrawlerEngine {
   }
 
   /**
-   * Individual worker for processing crawl queue
+   * Individual worker for processing crawl queue. Workers stay alive while
+   * other workers are still in flight, since those may discover new links.
    */
   async crawlWorker() {
-    while (!this.stopFlag && this.queue.length > 0 && this.index.length < this.config.maxPages) {
-      const item = this.queue.shift();
+    while (!this.stopFlag && !this.pauseFlag && !this.isBudgetExhausted()) {
+      if (this.frontier.size === 0 || this.index.length + this.inFlight >= this.config.maxPages) {
+        if (this.inFlight === 0 || this.index.length >= this.config.maxPages) break;
+        await this.delay(50);
+        continue;
+      }
+      
+      const item = this.frontier.shift();
       if (!item || this.visited.has(item.url)) continue;
+      if (!this.budget.take(item.url)) {
+        this.stats.skipped++;
+        continue;
+      }
 
+      this.inFlight++;
+      this.inFlightItems.set(item.url, item);
       try {
-        await this.rateLimitedRequest(async () => {
-          const pageData = await this.crawlPage(item.url, item.depth, item.referrer);
-          if (pageData) {
-            this.index.push(pageData);
+        const fetchUrl = (item.originalUrl || item.url).replace(/#.*$/, '');
+        const pageData = await this.crawlPage(item.url, item.depth, item.referrer, { fetchUrl, seed: item.seed });
+        if (pageData) {
+          pageData.originalUrl = item.originalUrl || item.url;
+          pageData.seed = item.seed || null;
+          const sitemapEntry = this.sitemapEntries.get(pageData.url) || this.sitemapEntries.get(item.url);
+          pageData.inSitemap = Boolean(sitemapEntry);
+          if (sitemapEntry) {
+            const { lastmod, priority, changefreq } = sitemapEntry;
+            pageData.sitemap = { lastmod, priority, changefreq };
+          }
+          const duplicateOf = this.markDuplicates(pageData);
+          if (duplicateOf && this.config.skipDuplicates) {
+            this.stats.duplicates++;
+          } else {
+            this.addToIndex(pageData);
+            this.linkGraph.addAlias(item.url, pageData.url);
             this.stats.processed++;
-            
-            // Extract and queue new links if within depth limit
-            if (item.depth < this.config.maxDepth) {
-              const newLinks = await this.extractLinks(item.url, item.depth + 1);
-              this.queue.push(...newLinks);
-            }
           }
-        });
+          
+          // Queue links from the already-parsed page if within depth limit
+          const links = await this.getDiscoveredLinks(pageData);
+          if (item.depth < this.getMaxDepth(item.seed)) {
+            await this.enqueue(this.selectLinksToQueue(pageData, item.depth + 1, links));
+          }
+        }
       } catch (error) {
-        this.handleCrawlError(item.url, error);
+        if (!(error.name === 'AbortError' && this.stopFlag)) {
+          if ((error.status === 404 || error.status === 410) && this.baseline.has(item.url)) {
+            this.gonePages.push(item.url);
+          }
+          this.handleCrawlError(item.url, error);
+        }
+      } finally {
+        this.inFlight--;
+        this.inFlightItems.delete(item.url);
       }
       
       this.onProgress(this.getStats());
       
-      // Small delay between items for the same worker
-      await this.delay(100);
+      if (Date.now() - this.lastCheckpointTime >= this.config.checkpointInterval) {
+        await this.saveCheckpoint();
+      }
     }
   }
 
   /**
-   * Rate-limited request execution
+   * Push items onto the frontier, letting beforeEnqueue plugins adjust or drop them
    */
-  async rateLimitedRequest(requestFn) {
-    return new Promise((resolve, reject) => {
-      this.requestQueue.push({ requestFn, resolve, reject });
-      this.processRequestQueue();
-    });
+  async enqueue(items) {
+    if (!this.plugins.has('beforeEnqueue')) {
+      this.frontier.push(...items);
+      return;
+    }
+    
+    for (const item of items) {
+      if (await this.plugins.run('beforeEnqueue', item)) {
+        this.frontier.push(item);
+      }
+    }
   }
 
   /**
-   * Process the rate-limited request queue
+   * A page's links that onLinkDiscovered plugins let through to the frontier
    */
-  async processRequestQueue() {
-    if (this.processingQueue || this.requestQueue.length === 0) return;
+  async getDiscoveredLinks(pageData) {
+    const links = pageData.links || [];
+    if (!this.plugins.has('onLinkDiscovered')) return links;
     
-    this.processingQueue = true;
-    
-    while (this.requestQueue.length > 0 && !this.stopFlag) {
-      const now = Date.now();
-      const timeSinceLastRequest = now - this.lastRequestTime;
-      
-      if (timeSinceLastRequest < this.config.requestDelay) {
-        await this.delay(this.config.requestDelay - timeSinceLastRequest);
-      }
-      
-      const { requestFn, resolve, reject } = this.requestQueue.shift();
-      this.lastRequestTime = Date.now();
-      
-      try {
-        const result = await requestFn();
-        resolve(result);
-      } catch (error) {
-        reject(error);
+    const allowed = [];
+    for (const link of links) {
+      if (await this.plugins.run('onLinkDiscovered', link, { page: pageData })) {
+        allowed.push(link);
       }
     }
+    return allowed;
+  }
+
+  addToIndex(pageData) {
+    this.index.push(pageData);
+    this.pagesByUrl.set(pageData.url, pageData);
+    this.linkGraph.addPage(pageData.url, pageData.links);
+    (pageData.redirectChain || []).forEach(hop => this.linkGraph.addAlias(hop.url, pageData.url));
+  }
+
+  /**
+   * Run the SEO audit and attach each page's score and issues to it
+   */
+  runAudit() {
+    const { pages, ...report } = new SeoAuditor({ disabledRules: this.config.disabledAuditRules }).audit(this.index);
+    const resultsByUrl = new Map(pages.map(result => [result.url, result]));
+    
+    this.index.forEach(page => {
+      const result = resultsByUrl.get(page.url);
+      if (result) {
+        page.auditScore = result.score;
+        page.auditIssues = result.issues;
+      }
+    });
+    return report;
+  }
+
+  /**
+   * Attach inlinks, outlinks and PageRank from the link graph to every page
+   */
+  applyLinkMetrics() {
+    const { inlinks, outlinks } = this.linkGraph.getLinkCounts();
+    const ranks = this.linkGraph.computePageRank();
     
-    this.processingQueue = false;
+    this.index.forEach(page => {
+      page.inlinks = [...(inlinks.get(page.url) || [])];
+      page.outlinks = outlinks.get(page.url) || [];
+      page.pageRank = ranks.get(page.url) || 0;
+    });
   }
 
   /**
-   * Crawl a single page with retry logic
+   * Cluster a page with near-duplicates by content fingerprint. Returns the
+   * URL of the page it duplicates, or null.
    */
-  async crawlPage(url, depth, referrer, retryCount = 0) {
+  markDuplicates(pageData) {
+    if (!this.config.detectDuplicates) return null;
+    
+    const representative = this.duplicateDetector.add(pageData.url, pageData.contentFingerprint);
+    if (!representative) return null;
+    
+    pageData.duplicateOf = representative;
+    pageData.duplicateGroup = representative;
+    const representativePage = this.pagesByUrl.get(representative);
+    if (representativePage) {
+      representativePage.duplicateGroup = representative;
+    }
+    return representative;
+  }
+
+  /**
+   * Fetch a URL through the per-host scheduler and let it adapt to the response
+   */
+  async politeFetch(url, headers = {}, options = {}) {
+    const response = await this.scheduler.schedule(url, () => this.fetchWithTimeout(url, headers, options));
+    this.scheduler.reportResponse(url, response);
+    return response;
+  }
+
+  /**
+   * Crawl a single page with retry logic. url is the normalized key used for
+   * deduplication; fetchUrl is what goes over the wire, as the page linked it.
+   * Redirects are followed within the scope of the seed the page came from.
+   */
+  async crawlPage(url, depth, referrer, { fetchUrl = url, seed = null } = {}) {
     if (this.visited.has(url)) return null;
+    this.visited.add(url);
     
     // Check robots.txt compliance
-    if (this.config.respectRobots && !(await this.isAllowedByRobots(url))) {
+    if (this.config.respectRobots && !(await this.isAllowedByRobots(fetchUrl))) {
+      this.stats.skipped++;
+      return null;
+    }
+    
+    const request = { url, depth, referrer, headers: {} };
+    if (!(await this.plugins.run('beforeRequest', request))) {
       this.stats.skipped++;
       return null;
     }
     
-    this.visited.add(url);
     this.activeRequests++;
 
     try {
-      const response = await this.fetchWithTimeout(url);
+      let fetched;
+      try {
+        fetched = await this.fetchPage(fetchUrl, 0, request.headers, {
+          scope: this.seedScopes.get(seed),
+          seedUrl: depth === 0 && this.seedScopes.has(url) ? url : null
+        });
+      } catch (error) {
+        if (error.redirectChain) {
+          this.recordRedirect(url, error.finalUrl ? this.normalizeUrl(error.finalUrl) : null, error.redirectChain, error.redirectOutcome || 'error');
+        }
+        throw error;
+      }
+      const { response, redirectChain } = fetched;
+      
+      // The final URL of a redirect chain is the page identity; a redirect
+      // that only adds a trailing slash leaves it unchanged
+      const finalUrl = this.normalizeUrl(fetched.url);
+      if (redirectChain.length > 0) {
+        const alreadyCrawled = finalUrl !== url && this.visited.has(finalUrl);
+        this.recordRedirect(url, finalUrl, redirectChain, alreadyCrawled ? 'already-crawled' : 'followed');
+        if (alreadyCrawled) {
+          this.stats.skipped++;
+          return null;
+        }
+        this.visited.add(finalUrl);
+      }
       
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      if (!(await this.plugins.run('afterResponse', response, { url, finalUrl, redirectChain, depth }))) {
+        this.stats.skipped++;
+        return null;
       }
-
+      
+      // 304 Not Modified: reuse the previous crawl's record
+      if (response.status === 304 && this.baseline.has(finalUrl)) {
+        // Duplicate clustering is recomputed for this crawl
+        const { duplicateOf, duplicateGroup, ...previous } = this.baseline.get(finalUrl);
+        return {
+          ...previous,
+          depth,
+          referrer,
+          changeStatus: 'unchanged',
+          status: 304,
+          redirectChain,
+          crawledAt: new Date().toISOString(),
+          loadTime: Date.now() - this.stats.startTime
+        };
+      }
+      
       const contentType = response.headers.get('content-type') || '';
-      if (!contentType.includes('text/html')) {
-        throw new Error(`Unsupported content type: ${contentType}`);
+      const match = this.contentHandlers.resolve(contentType, this.config.contentTypes);
+      if (!match) {
+        throw new CrawlError(`Unsupported content type: ${contentType}`, { errorClass: 'content-type', status: response.status });
       }
 
-      const html = await response.text();
-      const pageData = this.parsePageData(url, html, depth, referrer);
+      const { body, bytes, truncated } = await this.readBody(response);
+      this.budget.addBytes(bytes);
+      let content;
+      try {
+        content = await match.handler(body, finalUrl, this);
+      } catch (error) {
+        throw new CrawlError(`Failed to parse ${match.mimeType}: ${error.message}`, { errorClass: 'parse', status: response.status, cause: error });
+      }
+      const pageData = this.buildPageRecord(finalUrl, content, depth, referrer, body.length);
+      pageData.contentType = match.mimeType;
+      pageData.status = response.status;
+      pageData.bytes = bytes;
+      pageData.truncated = truncated;
+      const robotsHeader = response.headers.get('x-robots-tag');
+      if (robotsHeader && pageData.seo) {
+        pageData.seo.robots = [...new Set([...pageData.seo.robots, ...this.parseRobotsDirectives(robotsHeader)])];
+      }
+      pageData.redirectChain = redirectChain;
+      pageData.etag = response.headers.get('etag') || null;
+      pageData.lastModified = response.headers.get('last-modified') || null;
+      pageData.contentHash = this.hashContent(body);
+      pageData.changeStatus = this.getChangeStatus(finalUrl, pageData.contentHash);
       
-      return pageData;
+      // A page declaring an already-crawled canonical is a duplicate
+      if (this.urlNormalizer.options.honorCanonical && pageData.canonicalUrl &&
+          pageData.canonicalUrl !== finalUrl) {
+        if (this.visited.has(pageData.canonicalUrl)) {
+          this.stats.skipped++;
+          return null;
+        }
+        this.visited.add(pageData.canonicalUrl);
+        pageData.url = pageData.canonicalUrl;
+      }
       
-    } catch (error) {
-      if (retryCount < this.config.maxRetries && error.name !== 'AbortError') {
-        await this.delay(1000 * (retryCount + 1)); // Exponential backoff
-        return this.crawlPage(url, depth, referrer, retryCount + 1);
+      if (!(await this.plugins.run('afterParse', pageData, { response, body, content }))) {
+        this.stats.skipped++;
+        return null;
       }
-      throw error;
+      
+      return pageData;
     } finally {
       this.activeRequests--;
     }
   }
 
   /**
-   * Fetch with timeout and abort signal
+   * Read a response body, stopping at maxResponseBytes: the rest is not
+   * downloaded and the page is parsed from what arrived
+   */
+  async readBody(response) {
+    const limit = this.config.maxResponseBytes;
+    if (!response.body?.getReader) {
+      // Already downloaded: measure in bytes and truncate as a stream would be
+      const encoded = new TextEncoder().encode(await response.text());
+      const truncated = Boolean(limit) && encoded.length > limit;
+      const bytes = truncated ? encoded.subarray(0, limit) : encoded;
+      return { body: new TextDecoder().decode(bytes), bytes: bytes.length, truncated };
+    }
+    
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let body = '';
+    let bytes = 0;
+    let truncated = false;
+    
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      let chunk = value;
+      if (limit && bytes + chunk.length > limit) {
+        chunk = chunk.subarray(0, limit - bytes);
+        truncated = true;
+      }
+      bytes += chunk.length;
+      body += decoder.decode(chunk, { stream: true });
+      if (truncated) {
+        await reader.cancel().catch(() => {});
+        break;
+      }
+    }
+    
+    return { body: body + decoder.decode(), bytes, truncated };
+  }
+
+  /**
+   * Fetch a page, retrying failures as the retry policy allows for their
+   * error class. Throttled responses are also held back by the scheduler
+   * until Retry-After has passed. Failures are thrown as CrawlErrors.
+   */
+  async fetchPage(url, retryCount = 0, headers = {}, redirectOptions = {}) {
+    try {
+      const fetched = await this.followRedirects(url, headers, redirectOptions);
+      const { response } = fetched;
+      
+      if (!response.ok && response.status !== 304) {
+        throw new CrawlError(`HTTP ${response.status}: ${response.statusText}`, {
+          errorClass: CrawlError.classifyStatus(response.status),
+          status: response.status,
+          ...(fetched.redirectChain.length > 0 && { redirectChain: fetched.redirectChain, finalUrl: fetched.url })
+        });
+      }
+      
+      return fetched;
+    } catch (error) {
+      // The crawl was stopped
+      if (error.name === 'AbortError') throw error;
+      
+      const crawlError = CrawlError.from(error, url);
+      crawlError.attempts = retryCount + 1;
+      if (retryCount < this.getRetryLimit(crawlError.errorClass) && !this.stopFlag) {
+        await this.delay(this.getRetryDelay(retryCount));
+        return this.fetchPage(url, retryCount + 1, headers, redirectOptions);
+      }
+      throw crawlError;
+    }
+  }
+
+  /**
+   * Retries allowed for an error class
+   */
+  getRetryLimit(errorClass) {
+    const limit = this.config.retryPolicy[errorClass];
+    if (limit !== undefined) return limit;
+    return RETRYABLE_ERROR_CLASSES.includes(errorClass) ? this.config.maxRetries : 0;
+  }
+
+  /**
+   * Exponential backoff with jitter: half the delay is fixed, half random,
+   * so retries from parallel workers don't arrive together
+   */
+  getRetryDelay(retryCount) {
+    const delay = Math.min(this.config.retryBaseDelay * 2 ** retryCount, this.config.maxBackoffDelay || 60000);
+    return delay / 2 + Math.random() * delay / 2;
+  }
+
+  /**
+   * Request a URL following redirects hop by hop, so every hop is recorded,
+   * checked against scope and robots.txt, and paced by the host scheduler.
+   * Hops are the Locations as sent, unnormalized: /docs -> /docs/ is not a
+   * loop. Hops must stay in scope (the page's seed scope if given); when
+   * seedUrl is given, the request is that seed's and a redirect off its host
+   * brings the new host into scope.
+   * Returns { response, url (final), redirectChain: [{ url, status, location }] }
+   */
+  async followRedirects(url, headers = {}, { scope = this.scope || this.createScope(url), seedUrl = null } = {}) {
+    const redirectChain = [];
+    const seen = new Set([url]);
+    let currentUrl = url;
+    
+    while (true) {
+      const response = await this.politeFetch(currentUrl, { ...headers, ...this.getConditionalHeaders(currentUrl) }, { redirect: 'manual' });
+      
+      // Browsers hide the Location of manual redirects; let fetch follow,
+      // record the hop without its status code and check where it landed
+      if (response.type === 'opaqueredirect') {
+        if (!this.config.followRedirects) {
+          redirectChain.push({ url: currentUrl, status: null, location: null });
+          throw this.createRedirectError(`Redirect from ${currentUrl} not followed`, 'not-followed', redirectChain);
+        }
+        const followed = await this.politeFetch(currentUrl, { ...headers, ...this.getConditionalHeaders(currentUrl) });
+        const finalUrl = followed.url || currentUrl;
+        if (finalUrl !== currentUrl) {
+          redirectChain.push({ url: currentUrl, status: null, location: finalUrl });
+          try {
+            await this.checkRedirectTarget(finalUrl, { seen, redirectChain, scope, seedUrl });
+          } catch (error) {
+            followed.body?.cancel?.().catch(() => {});
+            throw error;
+          }
+        }
+        return { response: followed, url: finalUrl, redirectChain };
+      }
+      
+      const location = response.headers.get('location');
+      if (![301, 302, 303, 307, 308].includes(response.status) || !location) {
+        return { response, url: currentUrl, redirectChain };
+      }
+      
+      let nextUrl;
+      try {
+        nextUrl = new URL(location, currentUrl).href;
+      } catch {
+        throw this.createRedirectError(`Invalid redirect location: ${location}`, 'invalid', redirectChain);
+      }
+      redirectChain.push({ url: currentUrl, status: response.status, location: nextUrl });
+      
+      if (!this.config.followRedirects) {
+        throw this.createRedirectError(`Redirect to ${nextUrl} not followed`, 'not-followed', redirectChain);
+      }
+      await this.checkRedirectTarget(nextUrl, { seen, redirectChain, scope, seedUrl });
+      
+      seen.add(nextUrl);
+      currentUrl = nextUrl;
+    }
+  }
+
+  /**
+   * Throw the redirect error for a hop target that loops, exceeds
+   * maxRedirects, leaves scope or is disallowed by robots.txt
+   */
+  async checkRedirectTarget(nextUrl, { seen, redirectChain, scope, seedUrl }) {
+    if (seen.has(nextUrl)) {
+      throw this.createRedirectError(`Redirect loop at ${nextUrl}`, 'loop', redirectChain);
+    }
+    if (redirectChain.length > this.config.maxRedirects) {
+      throw this.createRedirectError(`Too many redirects (more than ${this.config.maxRedirects})`, 'limit', redirectChain);
+    }
+    if (seedUrl && this.isValidUrl(nextUrl) && !scope.isInScope(nextUrl)) {
+      this.adoptSeedRedirect(seedUrl, nextUrl);
+    }
+    if (!this.isValidUrl(nextUrl) || !scope.isInScope(nextUrl)) {
+      throw this.createRedirectError(`Redirected out of scope to ${nextUrl}`, 'out-of-scope', redirectChain);
+    }
+    if (this.config.respectRobots && !(await this.isAllowedByRobots(nextUrl))) {
+      throw this.createRedirectError(`Redirect target ${nextUrl} is disallowed by robots.txt`, 'disallowed', redirectChain);
+    }
+  }
+
+  /**
+   * A seed redirecting to another host (apex -> www, http -> https) brings
+   * that host into the crawl as if it had been the seed
+   */
+  adoptSeedRedirect(seedUrl, url) {
+    const seed = this.seeds.find(entry => entry.url === seedUrl);
+    if (!seed) return;
+    seed.aliases = [...(seed.aliases || []), url];
+    this.seedScopes.get(seedUrl).addSeed(url);
+    this.scope.addSeed(url);
+  }
+
+  createRedirectError(message, outcome, redirectChain) {
+    return new CrawlError(message, {
+      errorClass: outcome === 'disallowed' ? 'robots-denied' : 'redirect',
+      status: redirectChain[redirectChain.length - 1]?.status ?? null,
+      redirectOutcome: outcome,
+      redirectChain: [...redirectChain]
+    });
+  }
+
+  /**
+   * Remember a redirect chain for results and exports
+   */
+  recordRedirect(url, finalUrl, redirectChain, outcome) {
+    this.redirects.push({ url, finalUrl, outcome, hops: redirectChain });
+  }
+
+
+  /**
+   * Fetch with a per-request timeout. Each request has its own abort
+   * controller, linked to the crawl's (and an optional caller signal) so
+   * stopping the crawl cancels it, while a timeout cancels only this request.
+   * Credentials are added here, per URL, so they never reach other hosts
+   * through redirects and plugins never see them.
    */
-  async fetchWithTimeout(url) {
+  async fetchWithTimeout(url, extraHeaders = {}, { redirect = 'follow', method = 'GET', signal = null } = {}) {
+    const request = new AbortController();
+    const parents = [this.controller?.signal, signal].filter(Boolean);
+    const abort = event => request.abort(event.target.reason);
+    parents.forEach(parent => {
+      if (parent.aborted) {
+        request.abort(parent.reason);
+      } else {
+        parent.addEventListener('abort', abort, { once: true });
+      }
+    });
+    
+    let timedOut = false;
     const timeoutId = setTimeout(() => {
-      this.controller.abort();
+      timedOut = true;
+      request.abort();
     }, this.config.timeout);
 
     try {
-      const response = await fetch(url, {
-        signal: this.controller.signal,
+      const response = await this.transport.fetch(url, {
+        method,
+        signal: request.signal,
+        redirect,
         headers: {
           'User-Agent': this.config.userAgent,
-          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+          'Accept': this.contentHandlers.getAcceptHeader(this.config.contentTypes),
           'Accept-Language': 'en-US,en;q=0.5',
           'Accept-Encoding': 'gzip, deflate',
           'Connection': 'keep-alive',
-          'Upgrade-Insecure-Requests': '1'
+          'Upgrade-Insecure-Requests': '1',
+          ...this.authProfiles.getHeaders(url),
+          ...extraHeaders
         }
       });
-      
-      clearTimeout(timeoutId);
+      this.authProfiles.storeCookies(url, response);
       return response;
     } catch (error) {
-      clearTimeout(timeoutId);
+      if (timedOut) {
+        throw new CrawlError(`Request timed out after ${this.config.timeout}ms`, { errorClass: 'timeout', cause: error });
+      }
       throw error;
+    } finally {
+      clearTimeout(timeoutId);
+      parents.forEach(parent => parent.removeEventListener('abort', abort));
     }
   }
 
@@ -234,133 +838,381 @@ export class CrawlerEngine {
    * Parse page data from HTML content
    */
   parsePageData(url, html, depth, referrer) {
-    const doc = new DOMParser().parseFromString(html, 'text/html');
+    return this.buildPageRecord(url, this.extractHtmlContent(html, url), depth, referrer, html.length);
+  }
+
+  /**
+   * Extract HTML content, in a worker when a pool is attached. Worker
+   * results carry wordCount and contentFingerprint instead of bodyText.
+   */
+  async parseHtml(html, url) {
+    if (!this.workerPool) return this.extractHtmlContent(html, url);
     
-    // Extract metadata
-    const title = this.extractTitle(doc, url);
-    const description = this.extractDescription(doc);
-    const keywords = this.extractKeywords(doc);
-    const headings = this.extractHeadings(doc);
-    const links = doc.querySelectorAll('a[href]').length;
-    const images = doc.querySelectorAll('img').length;
-    const wordCount = this.getWordCount(doc.body?.textContent || '');
+    return this.workerPool.run('parseHtml', {
+      html,
+      url,
+      urlNormalization: this.config.urlNormalization,
+      detectDuplicates: this.config.detectDuplicates
+    });
+  }
+
+  /**
+   * Extract the handler content shape from an HTML document
+   */
+  extractHtmlContent(html, url) {
+    const doc = this.htmlParser.parse(html);
+    
+    return {
+      title: this.extractTitle(doc, url),
+      description: this.extractDescription(doc),
+      keywords: this.extractKeywords(doc),
+      headings: this.extractHeadings(doc),
+      canonicalUrl: this.extractCanonical(doc, url),
+      links: this.extractLinks(doc, url),
+      imageCount: doc.querySelectorAll('img').length,
+      bodyText: doc.body?.textContent || '',
+      mainText: this.mainContentExtractor.extract(doc),
+      seo: this.extractSeoFacts(doc),
+      structuredData: this.structuredDataExtractor.extract(doc)
+    };
+  }
+
+  /**
+   * Build a page record from the content a handler extracted
+   */
+  buildPageRecord(url, content, depth, referrer, contentLength) {
+    const links = this.resolveLinks(content.links || [], url);
+    const bodyText = content.bodyText || '';
+    const wordCount = content.wordCount ?? this.getWordCount(bodyText);
+    const contentFingerprint = 'contentFingerprint' in content
+      ? content.contentFingerprint
+      : this.config.detectDuplicates ? this.simHash.fingerprint(bodyText) : null;
     
     return {
       url,
-      title,
-      description,
-      keywords,
-      headings,
-      linkCount: links,
-      imageCount: images,
+      canonicalUrl: content.canonicalUrl || null,
+      title: content.title || url,
+      description: content.description || '',
+      keywords: content.keywords || '',
+      headings: content.headings || { h1: [], h2: [], h3: [] },
+      linkCount: content.links?.length || 0,
+      links,
+      imageCount: content.imageCount || 0,
+      contentFingerprint,
       wordCount,
+      // Non-HTML handlers have no page chrome, so their body text is the main text
+      mainText: this.truncateText(content.mainText ?? bodyText.replace(/\s+/g, ' ').trim(), this.config.maxMainTextLength),
       depth,
       referrer,
       crawledAt: new Date().toISOString(),
-      contentLength: html.length,
-      loadTime: Date.now() - this.stats.startTime
+      contentLength,
+      loadTime: Date.now() - this.stats.startTime,
+      ...(content.seo && { seo: content.seo }),
+      ...(content.structuredData && { structuredData: content.structuredData })
     };
   }
 
   /**
-   * Extract and validate links from a page
+   * Extract outbound links from a parsed document
    */
-  async extractLinks(url, nextDepth) {
-    try {
-      const response = await this.fetchWithTimeout(url);
-      const html = await response.text();
-      const doc = new DOMParser().parseFromString(html, 'text/html');
-      const baseUrl = new URL(url);
-      
-      const links = [...doc.querySelectorAll('a[href]')]
-        .map(a => {
-          try {
-            const href = a.getAttribute('href');
-            if (!href) return null;
-            
-            const absoluteUrl = new URL(href, url).href;
-            return {
-              url: absoluteUrl,
-              depth: nextDepth,
-              referrer: url,
-              anchorText: a.textContent?.trim() || ''
-            };
-          } catch {
-            return null;
-          }
-        })
-        .filter(link => link && 
-          this.isValidUrl(link.url) && 
-          !this.visited.has(link.url) &&
-          this.isSameDomain(link.url, baseUrl.href)
-        )
-        .slice(0, 20); // Limit links per page
-      
-      return links;
-    } catch (error) {
-      console.warn(`Failed to extract links from ${url}:`, error.message);
-      return [];
+  extractLinks(doc, url) {
+    let baseUrl = url;
+    const baseHref = doc.querySelector('base[href]')?.getAttribute('href');
+    if (baseHref) {
+      try {
+        baseUrl = new URL(baseHref, url).href;
+      } catch {
+        // Ignore malformed <base> and resolve against the page URL
+      }
     }
+    
+    // <meta name="robots" content="nofollow"> applies to every link on the page
+    const pageNofollow = this.parseRobotsDirectives(doc.querySelector('meta[name="robots" i]')?.getAttribute('content'))
+      .some(directive => directive === 'nofollow' || directive === 'none');
+    
+    return [...doc.querySelectorAll('a[href]')].map(a => ({
+      href: a.getAttribute('href'),
+      anchorText: a.textContent?.trim() || '',
+      nofollow: pageNofollow || (a.getAttribute('rel') || '').toLowerCase().split(/\s+/).includes('nofollow'),
+      baseUrl
+    }));
   }
 
   /**
-   * Check robots.txt compliance
+   * Resolve and normalize raw { href, anchorText, nofollow } links from a handler
+   */
+  resolveLinks(rawLinks, url) {
+    return rawLinks
+      .map(({ href, anchorText, nofollow, baseUrl }) => {
+        if (!href) return null;
+        
+        let originalUrl;
+        try {
+          originalUrl = new URL(href, baseUrl || url).href;
+        } catch {
+          return null;
+        }
+        
+        return {
+          url: this.normalizeUrl(originalUrl),
+          originalUrl,
+          anchorText: anchorText || '',
+          ...(nofollow && { nofollow: true })
+        };
+      })
+      .filter(link => link && this.isValidUrl(link.url));
+  }
+
+  /**
+   * Normalize a URL for queueing and visited checks
+   */
+  normalizeUrl(url, base) {
+    return this.urlNormalizer.normalize(url, base) || url;
+  }
+
+  /**
+   * Resolve the page's <link rel="canonical">, if any
+   */
+  extractCanonical(doc, url) {
+    const href = [...doc.querySelectorAll('link[rel][href]')]
+      .find(link => link.getAttribute('rel').toLowerCase().split(/\s+/).includes('canonical'))
+      ?.getAttribute('href');
+    if (!href) return null;
+    
+    const canonicalUrl = this.urlNormalizer.normalize(href, url);
+    return canonicalUrl && this.isValidUrl(canonicalUrl) ? canonicalUrl : null;
+  }
+
+  /**
+   * Pick the links from a crawled page that should be queued next
+   */
+  selectLinksToQueue(pageData, nextDepth, links = pageData.links || []) {
+    const scope = this.seedScopes.get(pageData.seed) || this.scope || this.createScope(pageData.url);
+    const seen = new Set();
+    return links
+      .filter(link => {
+        if (seen.has(link.url)) return false;
+        seen.add(link.url);
+        return !this.visited.has(link.url) && scope.isInScope(link.url);
+      })
+      .slice(0, 20) // Limit links per page
+      .map(link => ({
+        url: link.url,
+        originalUrl: link.originalUrl,
+        depth: nextDepth,
+        referrer: pageData.url,
+        anchorText: link.anchorText,
+        ...(pageData.seed && { seed: pageData.seed })
+      }));
+  }
+
+  /**
+   * Check robots.txt compliance for a URL
    */
   async isAllowedByRobots(url) {
+    const urlObj = new URL(url);
+    const policy = await this.getRobotsPolicy(url);
+    return policy.isAllowed(urlObj.pathname + urlObj.search);
+  }
+
+  /**
+   * Fetch and cache the robots.txt policy for a URL's host. Concurrent
+   * callers for the same host share one request.
+   */
+  getRobotsPolicy(url) {
+    const { origin } = new URL(url);
+    
+    if (!this.robotsCache.has(origin)) {
+      const pending = this.fetchRobotsPolicy(origin).then(policy => {
+        this.robotsPolicies.set(origin, policy);
+        if (this.config.respectRobots) {
+          this.scheduler.setCrawlDelay(origin, policy.getCrawlDelay());
+        }
+        return policy;
+      });
+      this.robotsCache.set(origin, pending);
+    }
+    
+    return this.robotsCache.get(origin);
+  }
+
+  async fetchRobotsPolicy(origin) {
+    const { userAgent } = this.config;
+    
     try {
-      const urlObj = new URL(url);
-      const robotsUrl = `${urlObj.protocol}//${urlObj.host}/robots.txt`;
+      const response = await this.politeFetch(`${origin}/robots.txt`);
       
-      if (this.robotsCache.has(robotsUrl)) {
-        return this.robotsCache.get(robotsUrl);
+      if (response.ok) {
+        return new RobotsPolicy(await response.text(), userAgent);
       }
       
-      const response = await fetch(robotsUrl, {
-        signal: this.controller.signal,
-        headers: { 'User-Agent': this.config.userAgent }
-      });
+      // 4xx means no robots.txt: crawl freely. 5xx means unreachable.
+      if (response.status >= 400 && response.status < 500) {
+        return RobotsPolicy.allowAll(userAgent);
+      }
+      console.warn(`robots.txt for ${origin} returned HTTP ${response.status}, treating host as disallowed`);
+      return RobotsPolicy.disallowAll(userAgent);
+    } catch (error) {
+      if (error.name === 'AbortError' && this.stopFlag) throw error;
+      console.warn(`robots.txt for ${origin} is unreachable, treating host as disallowed:`, error.message);
+      // The host itself could not be reached (unlike a 5xx answer)
+      return Object.assign(RobotsPolicy.disallowAll(userAgent), { fetchFailed: true });
+    }
+  }
+
+  /**
+   * Discover sitemaps for the start URL's host (robots.txt Sitemap lines
+   * and /sitemap.xml), follow sitemap indexes and seed the frontier
+   */
+  async seedFromSitemaps(startUrl) {
+    const { origin } = new URL(startUrl);
+    const startSeed = this.normalizeUrl(startUrl);
+    const policy = await this.getRobotsPolicy(startUrl);
+    const pending = [...policy.sitemaps, `${origin}/sitemap.xml`];
+    const seen = new Set();
+    
+    while (pending.length > 0 && seen.size < this.config.maxSitemaps && !this.stopFlag) {
+      const sitemapUrl = this.normalizeUrl(pending.shift());
+      if (seen.has(sitemapUrl) || !this.isValidUrl(sitemapUrl)) continue;
+      seen.add(sitemapUrl);
       
-      if (!response.ok) {
-        this.robotsCache.set(robotsUrl, true); // Allow if robots.txt not found
-        return true;
+      let sitemap;
+      try {
+        sitemap = await this.fetchSitemap(sitemapUrl);
+      } catch (error) {
+        if (error.name === 'AbortError' && this.stopFlag) throw error;
+        console.warn(`Failed to load sitemap ${sitemapUrl}:`, error.message);
+        continue;
       }
+      if (!sitemap.type) continue;
       
-      const robotsText = await response.text();
-      const isAllowed = this.parseRobotsTxt(robotsText, urlObj.pathname);
-      this.robotsCache.set(robotsUrl, isAllowed);
+      this.sitemapsFetched.push(sitemapUrl);
+      if (sitemap.type === 'sitemapindex') {
+        pending.push(...sitemap.entries.map(entry => entry.url));
+        continue;
+      }
       
-      return isAllowed;
-    } catch {
-      return true; // Allow if robots.txt check fails
+      const items = [];
+      sitemap.entries.forEach(entry => {
+        const url = this.normalizeUrl(entry.url);
+        if (this.sitemapEntries.size >= this.config.maxSitemapUrls ||
+            this.sitemapEntries.has(url) ||
+            !this.isValidUrl(url)) {
+          return;
+        }
+        const seed = this.findSeedFor(url, startSeed);
+        if (seed === undefined) return;
+        
+        this.sitemapEntries.set(url, { ...entry, url, sitemapUrl });
+        items.push({
+          url,
+          originalUrl: entry.url,
+          depth: 1,
+          referrer: sitemapUrl,
+          anchorText: '',
+          sitemapPriority: entry.priority,
+          ...(seed && { seed })
+        });
+      });
+      await this.enqueue(items);
     }
   }
 
   /**
-   * Parse robots.txt content
+   * Page URLs listed in a sitemap or sitemap index, e.g. to use as seeds
    */
-  parseRobotsTxt(robotsText, pathname) {
-    const lines = robotsText.split('\n').map(line => line.trim());
-    let userAgentMatch = false;
-    let allowed = true;
-    
-    for (const line of lines) {
-      if (line.toLowerCase().startsWith('user-agent:')) {
-        const agent = line.substring(11).trim();
-        userAgentMatch = agent === '*' || this.config.userAgent.includes(agent);
-      } else if (userAgentMatch && line.toLowerCase().startsWith('disallow:')) {
-        const disallowPath = line.substring(9).trim();
-        if (disallowPath && pathname.startsWith(disallowPath)) {
-          allowed = false;
-        }
-      } else if (userAgentMatch && line.toLowerCase().startsWith('allow:')) {
-        const allowPath = line.substring(6).trim();
-        if (allowPath && pathname.startsWith(allowPath)) {
-          allowed = true;
-        }
+  async getSitemapUrls(sitemapUrl) {
+    const pending = [sitemapUrl];
+    const seen = new Set();
+    const urls = [];
+    
+    while (pending.length > 0 && seen.size < this.config.maxSitemaps && urls.length < this.config.maxSitemapUrls) {
+      const url = pending.shift();
+      if (seen.has(url)) continue;
+      seen.add(url);
+      
+      let sitemap;
+      try {
+        sitemap = await this.fetchSitemap(url);
+        if (!sitemap.type) throw new Error('Not a sitemap');
+      } catch (error) {
+        // Only the sitemap asked for must load; broken index entries are skipped
+        if (url === sitemapUrl) throw new Error(`Failed to load sitemap ${url}: ${error.message}`);
+        console.warn(`Failed to load sitemap ${url}:`, error.message);
+        continue;
+      }
+      if (sitemap.type === 'sitemapindex') {
+        pending.push(...sitemap.entries.map(entry => entry.url));
+      } else {
+        urls.push(...sitemap.entries.map(entry => entry.url));
       }
     }
     
-    return allowed;
+    return urls.slice(0, this.config.maxSitemapUrls);
+  }
+
+  /**
+   * Fetch and parse one sitemap, inflating gzipped sitemaps when needed
+   */
+  async fetchSitemap(sitemapUrl) {
+    const response = await this.politeFetch(sitemapUrl);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    
+    let xml;
+    const contentType = response.headers.get('content-type') || '';
+    if ((sitemapUrl.endsWith('.gz') || contentType.includes('gzip')) &&
+        typeof DecompressionStream !== 'undefined') {
+      const bytes = new Uint8Array(await response.arrayBuffer());
+      // Servers often send .xml.gz with Content-Encoding, already inflated by fetch
+      xml = bytes[0] === 0x1f && bytes[1] === 0x8b
+        ? await new Response(new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'))).text()
+        : new TextDecoder().decode(bytes);
+    } else {
+      xml = await response.text();
+    }
+    
+    return this.sitemapParser.parse(xml);
+  }
+
+  /**
+   * Compare sitemap URLs against the crawled link structure
+   */
+  getSitemapReport() {
+    if (this.sitemapsFetched.length === 0) {
+      return { sitemaps: [], sitemapUrls: 0, inSitemapNotLinked: [], linkedNotInSitemap: [] };
+    }
+    
+    const linked = new Set();
+    this.index.forEach(page => {
+      (page.links || []).forEach(link => {
+        if (this.sitemapEntries.has(link.url) || this.findSeedFor(link.url, page.seed) !== undefined) {
+          linked.add(link.url);
+        }
+      });
+    });
+    
+    return {
+      sitemaps: [...this.sitemapsFetched],
+      sitemapUrls: this.sitemapEntries.size,
+      inSitemapNotLinked: [...this.sitemapEntries.keys()].filter(url => !linked.has(url)),
+      linkedNotInSitemap: [...linked].filter(url => !this.sitemapEntries.has(url))
+    };
+  }
+
+  /**
+   * Parse robots.txt content and check a single path
+   */
+  parseRobotsTxt(robotsText, pathname) {
+    return new RobotsPolicy(robotsText, this.config.userAgent).isAllowed(pathname);
+  }
+
+  /**
+   * Sitemap URLs advertised by robots.txt files fetched so far
+   */
+  getDiscoveredSitemaps() {
+    return [...new Set([...this.robotsPolicies.values()].flatMap(policy => policy.sitemaps))];
   }
 
   /**
@@ -387,6 +1239,30 @@ export class CrawlerEngine {
     return doc.querySelector('meta[name="keywords"]')?.content?.trim() || '';
   }
 
+  /**
+   * Raw on-page facts the SEO audit rules need
+   */
+  extractSeoFacts(doc) {
+    return {
+      titleTag: doc.querySelector('title')?.textContent?.trim() || '',
+      metaDescription: doc.querySelector('meta[name="description" i]')?.getAttribute('content')?.trim() || '',
+      headingLevels: [...doc.querySelectorAll('h1, h2, h3, h4, h5, h6')].map(el => Number(el.tagName[1])),
+      imagesWithoutAlt: [...doc.querySelectorAll('img')].filter(img => !img.hasAttribute('alt')).length,
+      robots: this.parseRobotsDirectives(doc.querySelector('meta[name="robots" i]')?.getAttribute('content'))
+    };
+  }
+
+  /**
+   * Split a robots meta/X-Robots-Tag value into lowercase directives,
+   * dropping user-agent prefixes like "googlebot: noindex"
+   */
+  parseRobotsDirectives(value) {
+    return String(value || '')
+      .split(',')
+      .map(directive => directive.trim().toLowerCase().replace(/^[\w-]+:\s*(?=(noindex|nofollow|none|all)\b)/, ''))
+      .filter(Boolean);
+  }
+
   extractHeadings(doc) {
     const headings = {};
     ['h1', 'h2', 'h3'].forEach(tag => {
@@ -396,10 +1272,34 @@ export class CrawlerEngine {
     return headings;
   }
 
+  /**
+   * Fast 64-bit content hash (two FNV-1a passes) for change detection
+   */
+  hashContent(text) {
+    let h1 = 0x811c9dc5;
+    let h2 = 0x01000193;
+    for (let i = 0; i < text.length; i++) {
+      const code = text.charCodeAt(i);
+      h1 = Math.imul(h1 ^ code, 0x01000193);
+      h2 = Math.imul(h2 ^ code, 0x5bd1e995);
+    }
+    return (h1 >>> 0).toString(16).padStart(8, '0') + (h2 >>> 0).toString(16).padStart(8, '0');
+  }
+
   getWordCount(text) {
     return text.trim().split(/\s+/).filter(word => word.length > 0).length;
   }
 
+  /**
+   * Cap text at a word boundary
+   */
+  truncateText(text, maxLength) {
+    if (text.length <= maxLength) return text;
+    const cut = text.slice(0, maxLength);
+    const lastSpace = cut.lastIndexOf(' ');
+    return lastSpace > 0 ? cut.slice(0, lastSpace) : cut;
+  }
+
   isValidUrl(url) {
     try {
       const urlObj = new URL(url);
@@ -419,30 +1319,449 @@ export class CrawlerEngine {
 
   handleCrawlError(url, error) {
     this.stats.failed++;
-    this.errors.push({
+    const entry = {
       url,
       error: error.message,
+      errorClass: CrawlError.classify(error, url),
+      attempts: error.attempts || 1,
+      status: error.status ?? null,
+      ...(error.redirectChain && { redirectChain: error.redirectChain }),
       timestamp: new Date().toISOString()
-    });
+    };
+    this.errors.push(entry);
     console.warn(`Crawl error for ${url}:`, error.message);
+    this.plugins.notify('onError', entry, { error });
   }
 
   delay(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
+  /**
+   * Use page records from a previous crawl for conditional requests and
+   * change detection
+   */
+  setBaseline(pages = []) {
+    this.baseline = new Map(pages.map(page => [page.url, page]));
+  }
+
+  /**
+   * Load the stored baseline of the seeds' sites (without a store, the one
+   * set explicitly or kept from the last crawl) and queue its URLs so every
+   * previously known page on those sites is rechecked
+   */
+  async seedFromBaseline() {
+    await this.loadBaseline();
+    
+    const items = [];
+    this.baseline.forEach((page, url) => {
+      if (this.seedScopes.has(url)) return;
+      const seed = this.findSeedFor(url, page.seed);
+      if (seed === undefined) return;
+      items.push({
+        url,
+        originalUrl: page.originalUrl || url,
+        depth: page.depth || 1,
+        referrer: page.referrer || null,
+        anchorText: '',
+        ...(seed && { seed })
+      });
+    });
+    await this.enqueue(items);
+  }
+
+  /**
+   * Baselines are stored per seed origin, so crawling one site doesn't
+   * replace the baseline of another
+   */
+  getBaselineOrigins() {
+    return [...new Set(this.seeds.map(seed => new URL(seed.url).origin))];
+  }
+
+  async loadBaseline() {
+    if (!this.checkpointStore?.loadBaseline) return;
+    
+    try {
+      const baselines = await Promise.all(this.getBaselineOrigins().map(origin => this.checkpointStore.loadBaseline(origin)));
+      this.setBaseline(baselines.flatMap(pages => pages || []));
+    } catch (error) {
+      console.warn('Failed to load recrawl baseline:', error.message);
+    }
+  }
+
+  /**
+   * Save the crawled pages as the next baseline. Pages this crawl didn't
+   * reach (page limit, budgets) keep their previous record; gone pages drop.
+   */
+  async saveBaseline(pages) {
+    const crawled = new Set(pages.map(page => page.url));
+    const gone = new Set(this.gonePages);
+    const kept = [...this.baseline.values()].filter(page => !crawled.has(page.url) && !gone.has(page.url));
+    const merged = [...pages, ...kept];
+    this.setBaseline(merged);
+    if (!this.checkpointStore?.saveBaseline) return;
+    
+    // Pages are filed under the origin of the seed they were found from
+    const byOrigin = new Map(this.getBaselineOrigins().map(origin => [origin, []]));
+    merged.forEach(page => {
+      const origin = new URL(page.seed || page.url).origin;
+      if (!byOrigin.has(origin)) byOrigin.set(origin, []);
+      byOrigin.get(origin).push(page);
+    });
+    
+    try {
+      for (const [origin, originPages] of byOrigin) {
+        await this.checkpointStore.saveBaseline(originPages, origin);
+      }
+    } catch (error) {
+      console.warn('Failed to save recrawl baseline:', error.message);
+    }
+  }
+
+  /**
+   * If-None-Match / If-Modified-Since validators from the baseline
+   */
+  getConditionalHeaders(url) {
+    const previous = this.config.incremental ? this.baseline.get(this.normalizeUrl(url)) : null;
+    const headers = {};
+    if (previous?.etag) headers['If-None-Match'] = previous.etag;
+    if (previous?.lastModified) headers['If-Modified-Since'] = previous.lastModified;
+    return headers;
+  }
+
+  getChangeStatus(url, contentHash) {
+    const previous = this.baseline.get(url);
+    if (!previous) return 'new';
+    return previous.contentHash === contentHash ? 'unchanged' : 'changed';
+  }
+
+  /**
+   * New / changed / unchanged / gone URLs relative to the baseline
+   */
+  getChangeFeed() {
+    const feed = { new: [], changed: [], unchanged: [], gone: [...this.gonePages] };
+    if (this.baseline.size === 0) return feed;
+    
+    this.index.forEach(page => {
+      if (feed[page.changeStatus]) feed[page.changeStatus].push(page.url);
+    });
+    return feed;
+  }
+
+  /**
+   * Attach a store (e.g. CheckpointStore) used for periodic checkpoints
+   */
+  setCheckpointStore(store) {
+    this.checkpointStore = store;
+  }
+
+  /**
+   * Attach a WorkerPool so HTML is parsed off the main thread
+   */
+  setWorkerPool(pool) {
+    this.workerPool = pool;
+  }
+
+  /**
+   * Send requests through a FetchTransport, or a fetch-compatible
+   * function (url, init) => Promise<Response>
+   */
+  setTransport(transport) {
+    this.customTransport = typeof transport === 'function' ? new FetchTransport({ fetch: transport }) : transport;
+    this.transport = this.customTransport;
+  }
+
+  /**
+   * Serializable snapshot of the crawl. Pages still in flight go back to
+   * the frontier so a restored crawl fetches them again.
+   */
+  getCheckpoint() {
+    const inFlight = [...this.inFlightItems.values()];
+    const inFlightUrls = new Set(inFlight.map(item => item.url));
+    
+    return {
+      version: 1,
+      savedAt: new Date().toISOString(),
+      startUrl: this.startUrl,
+      seeds: this.seeds,
+      // Credentials stay out of stored checkpoints
+      config: { ...this.config, authProfiles: undefined },
+      frontier: [...inFlight, ...this.frontier.toArray()],
+      visited: [...this.visited].filter(url => !inFlightUrls.has(url)),
+      index: this.index,
+      errors: this.errors,
+      sitemapEntries: [...this.sitemapEntries.values()],
+      sitemapsFetched: this.sitemapsFetched,
+      gonePages: this.gonePages,
+      redirects: this.redirects,
+      linkChecks: this.linkChecker.getResults(),
+      budget: this.budget.toJSON(),
+      stats: {
+        processed: this.stats.processed,
+        failed: this.stats.failed,
+        skipped: this.stats.skipped,
+        duplicates: this.stats.duplicates,
+        elapsedMs: this.stats.startTime ? Date.now() - this.stats.startTime : 0
+      }
+    };
+  }
+
+  /**
+   * Rebuild crawl state from a checkpoint produced by getCheckpoint()
+   */
+  restoreCheckpoint(checkpoint) {
+    this.reset();
+    this.config = { ...this.config, ...checkpoint.config, authProfiles: this.config.authProfiles };
+    this.applyConfig();
+    this.frontier = this.createFrontier();
+    this.frontier.push(...checkpoint.frontier);
+    this.visited = new Set(checkpoint.visited);
+    checkpoint.index.forEach(page => {
+      this.markDuplicates(page);
+      this.addToIndex(page);
+    });
+    this.errors = [...checkpoint.errors];
+    this.sitemapEntries = new Map(checkpoint.sitemapEntries.map(entry => [entry.url, entry]));
+    this.sitemapsFetched = [...checkpoint.sitemapsFetched];
+    this.gonePages = [...(checkpoint.gonePages || [])];
+    this.redirects = [...(checkpoint.redirects || [])];
+    this.linkChecker.restoreResults(checkpoint.linkChecks);
+    this.pagesCheckpointed = this.index.length;
+    this.budget = this.createBudget();
+    this.budget.restore(checkpoint.budget);
+    this.setSeeds(checkpoint.seeds?.length > 0 ? checkpoint.seeds : checkpoint.startUrl ? this.resolveSeeds(checkpoint.startUrl) : []);
+    this.stats = {
+      startTime: Date.now() - checkpoint.stats.elapsedMs,
+      processed: checkpoint.stats.processed,
+      failed: checkpoint.stats.failed,
+      skipped: checkpoint.stats.skipped,
+      duplicates: checkpoint.stats.duplicates || 0
+    };
+  }
+
+  /**
+   * Save a checkpoint. A store with savePages() gets only the pages added
+   * since the previous checkpoint, so writes don't grow with the crawl.
+   */
+  async saveCheckpoint() {
+    this.lastCheckpointTime = Date.now();
+    if (!this.checkpointStore) return;
+    
+    try {
+      const checkpoint = this.getCheckpoint();
+      if (!this.checkpointStore.savePages) {
+        await this.checkpointStore.save(checkpoint);
+        return;
+      }
+      
+      const { index, ...rest } = checkpoint;
+      await this.checkpointStore.savePages(index.slice(this.pagesCheckpointed), this.pagesCheckpointed);
+      this.pagesCheckpointed = index.length;
+      await this.checkpointStore.save({ ...rest, pageCount: index.length });
+    } catch (error) {
+      console.warn('Failed to save crawl checkpoint:', error.message);
+    }
+  }
+
+  async clearCheckpoint() {
+    if (!this.checkpointStore) return;
+    
+    try {
+      await this.checkpointStore.clear();
+    } catch (error) {
+      console.warn('Failed to clear crawl checkpoint:', error.message);
+    }
+  }
+
+  /**
+   * Link checks share the per-host scheduler; each request gets its own
+   * timeout so one slow external host doesn't cancel the crawl
+   */
+  createLinkChecker() {
+    return new LinkChecker(
+      (url, method) => this.politeFetch(url, {}, { method }),
+      {
+        concurrency: this.config.maxConcurrency,
+        // A host that couldn't be reached for robots.txt is usually down:
+        // check the link anyway so the failure is reported, not skipped.
+        // A 5xx robots.txt still disallows, as for the crawl.
+        isAllowed: async url => !this.config.respectRobots ||
+          (await this.getRobotsPolicy(url)).fetchFailed ||
+          this.isAllowedByRobots(url)
+      }
+    );
+  }
+
+  createBudget() {
+    return new CrawlBudget({
+      maxPagesPerHost: this.config.maxPagesPerHost,
+      maxPagesPerDirectory: this.config.maxPagesPerDirectory,
+      maxTotalBytes: this.config.maxTotalBytes,
+      maxCrawlDuration: this.config.maxCrawlDuration
+    });
+  }
+
+  /**
+   * Whether a crawl-wide budget has run out. The first one is remembered
+   * for the report; pages in flight still finish.
+   */
+  isBudgetExhausted() {
+    if (!this.budgetExhausted && this.stats.startTime) {
+      this.budgetExhausted = this.budget.getExhausted(Date.now() - this.stats.startTime);
+    }
+    return Boolean(this.budgetExhausted);
+  }
+
+  /**
+   * Link check mode: verify every link found on crawled pages, reusing
+   * what the crawl itself already learned about internal URLs
+   */
+  async checkLinks() {
+    const checker = this.linkChecker;
+    checker.addReferences(this.index);
+    
+    this.index.forEach(page => {
+      checker.setResult(page.url, { status: page.status || 200, category: 'ok' });
+      (page.redirectChain || []).forEach(hop => {
+        checker.setResult(hop.url, { status: hop.status, category: 'ok', redirectTarget: page.url });
+      });
+    });
+    this.errors.forEach(error => {
+      if (error.status >= 400) {
+        checker.setResult(error.url, {
+          status: error.status,
+          category: LinkChecker.categorizeStatus(error.status),
+          error: error.error
+        });
+      }
+    });
+    
+    await checker.checkAll(() => this.stopFlag || this.pauseFlag, () => this.onProgress(this.getStats()));
+  }
+
+  /**
+   * Create a per-host scheduler from the politeness settings
+   */
+  createScheduler() {
+    return new HostScheduler({
+      requestDelay: this.config.requestDelay,
+      maxConcurrencyPerHost: this.config.maxConcurrencyPerHost,
+      maxBackoffDelay: this.config.maxBackoffDelay
+    });
+  }
+
+  /**
+   * Build the crawl scope for seed URLs from the domain and pattern rules;
+   * overrides replace configured rules (a seed's own scope)
+   */
+  createScope(seedUrls, overrides = {}) {
+    return new ScopePolicy({
+      allowedDomains: this.config.allowedDomains,
+      blockedDomains: this.config.blockedDomains,
+      includePatterns: this.config.includePatterns,
+      excludePatterns: this.config.excludePatterns,
+      ...overrides
+    }, [].concat(seedUrls || []));
+  }
+
+  /**
+   * Validate and normalize seeds given to startCrawl; duplicates are dropped
+   */
+  resolveSeeds(seeds) {
+    const list = (Array.isArray(seeds) ? seeds : [seeds])
+      .map(seed => typeof seed === 'string' ? { url: seed } : seed || {});
+    if (list.length === 0) {
+      throw new Error('No start URL provided');
+    }
+    
+    const resolved = new Map();
+    list.forEach(seed => {
+      const originalUrl = String(seed.url || '').trim();
+      if (!this.isValidUrl(originalUrl)) {
+        throw new Error(`Invalid start URL provided: ${originalUrl}`);
+      }
+      const url = this.normalizeUrl(originalUrl);
+      if (!resolved.has(url)) {
+        resolved.set(url, {
+          url,
+          originalUrl,
+          maxDepth: Number.isInteger(seed.maxDepth) ? seed.maxDepth : null,
+          scope: seed.scope || null
+        });
+      }
+    });
+    return [...resolved.values()];
+  }
+
+  setSeeds(seeds) {
+    this.seeds = seeds;
+    this.startUrl = seeds[0]?.originalUrl || null;
+    this.scope = this.createScope(seeds.flatMap(seed => [seed.originalUrl, ...(seed.aliases || [])]));
+    this.seedScopes = new Map(seeds.map(seed => [seed.url, this.createScope([seed.originalUrl, ...(seed.aliases || [])], seed.scope || {})]));
+  }
+
+  /**
+   * The seed whose scope a URL falls in, trying the preferred seed first;
+   * undefined if none. Without seeds the crawl-wide scope (or the
+   * preferred seed's) decides and the seed is null.
+   */
+  findSeedFor(url, preferredSeed = null) {
+    if (this.seedScopes.size === 0) {
+      const scope = this.scope || this.createScope(preferredSeed);
+      return scope.isInScope(url) ? null : undefined;
+    }
+    if (this.seedScopes.get(preferredSeed)?.isInScope(url)) return preferredSeed;
+    return [...this.seedScopes].find(([, scope]) => scope.isInScope(url))?.[0];
+  }
+
+  getMaxDepth(seedUrl) {
+    return this.seeds.find(seed => seed.url === seedUrl)?.maxDepth ?? this.config.maxDepth;
+  }
+
+  /**
+   * Create a frontier for the configured crawl mode
+   */
+  createFrontier() {
+    return new Frontier(this.config.crawlMode, {
+      priorityKeywords: this.config.priorityKeywords,
+      priorityPatterns: this.config.priorityPatterns
+    });
+  }
+
   reset() {
     this.visited.clear();
-    this.queue = [];
+    this.robotsCache.clear();
+    this.robotsPolicies.clear();
+    this.sitemapEntries.clear();
+    this.sitemapsFetched = [];
+    this.frontier = this.createFrontier();
     this.index = [];
+    this.pagesByUrl.clear();
+    this.linkGraph.clear();
+    this.linkChecker = this.createLinkChecker();
+    this.duplicateDetector.clear();
     this.errors = [];
     this.stopFlag = false;
+    this.pauseFlag = false;
     this.activeRequests = 0;
+    this.inFlight = 0;
+    this.inFlightItems.clear();
+    this.lastCheckpointTime = Date.now();
+    this.pagesCheckpointed = 0;
+    this.gonePages = [];
+    this.redirects = [];
+    this.scheduler.clear();
+    this.scheduler = this.createScheduler();
+    this.authProfiles.reset();
+    this.budget = this.createBudget();
+    this.budgetExhausted = null;
+    this.hostStats = null;
     this.stats = {
       startTime: null,
       processed: 0,
       failed: 0,
-      skipped: 0
+      skipped: 0,
+      duplicates: 0
     };
   }
 
@@ -450,20 +1769,64 @@ export class CrawlerEngine {
     const elapsed = this.stats.startTime ? Date.now() - this.stats.startTime : 0;
     return {
       crawled: this.index.length,
-      queued: this.queue.length,
+      queued: this.frontier.size,
       errors: this.stats.failed,
       skipped: this.stats.skipped,
+      duplicates: this.stats.duplicates,
       elapsed: Math.floor(elapsed / 1000),
+      bytes: this.budget.totalBytes,
       activeRequests: this.activeRequests,
-      visited: this.visited.size
+      visited: this.visited.size,
+      hosts: this.scheduler.hosts.size,
+      linksChecked: this.linkChecker.results.size
     };
   }
 
   getResults() {
+    this.applyLinkMetrics();
+    const audit = this.runAudit();
+    
     return {
       pages: this.index,
       errors: this.errors,
+      sitemaps: this.getDiscoveredSitemaps(),
+      sitemapReport: this.getSitemapReport(),
+      hostStats: this.hostStats || this.scheduler.getHostStats(),
+      changes: this.getChangeFeed(),
+      duplicateGroups: this.duplicateDetector.getGroups(),
+      redirects: this.redirects,
+      linkGraph: this.linkGraph.toJSON(),
+      linkReport: this.linkChecker.getReport(),
+      audit,
+      budget: this.getBudgetReport(),
+      seeds: this.getSeedReport(),
       stats: this.getStats()
     };
   }
+
+  /**
+   * Pages indexed per seed
+   */
+  getSeedReport() {
+    const counts = new Map();
+    this.index.forEach(page => counts.set(page.seed, (counts.get(page.seed) || 0) + 1));
+    return this.seeds.map(seed => ({ url: seed.url, maxDepth: seed.maxDepth, pages: counts.get(seed.url) || 0 }));
+  }
+
+  /**
+   * Which budget ended the crawl (null if it ran out of pages to crawl)
+   * and what was spent
+   */
+  getBudgetReport() {
+    const pageLimitHit = this.index.length >= this.config.maxPages && this.frontier.size > 0;
+    return {
+      exhausted: this.budgetExhausted || (pageLimitHit ? 'maxPages' : null),
+      totalBytes: this.budget.totalBytes,
+      elapsedMs: this.stats.startTime ? Date.now() - this.stats.startTime : 0,
+      cappedHosts: [...this.budget.cappedHosts],
+      cappedDirectories: [...this.budget.cappedDirectories],
+      hostPages: Object.fromEntries(this.budget.hostPages),
+      directoryPages: Object.fromEntries(this.budget.directoryPages)
+    };
+  }
 }
\ No newline at end of file
@@ -0,0 +1,48 @@
+import { SimHash } from './SimHash.js';
+
+/**
+ * DuplicateDetector - Clusters pages whose SimHash fingerprints are close
+ * The first page seen in a cluster is its representative
+ */
+export class DuplicateDetector {
+  constructor(options = {}) {
+    this.threshold = options.threshold ?? 3;
+    this.entries = []; // { url, fingerprint, representative }
+    this.groups = new Map(); // representative URL -> member URLs
+  }
+
+  /**
+   * Register a page. Returns the representative URL of the cluster it
+   * joined, or null if it starts a new cluster (or has no fingerprint).
+   */
+  add(url, fingerprint) {
+    if (!fingerprint) return null;
+
+    const match = this.entries.find(entry =>
+      SimHash.distance(entry.fingerprint, fingerprint) <= this.threshold
+    );
+    const representative = match ? match.representative : url;
+
+    this.entries.push({ url, fingerprint, representative });
+    if (!this.groups.has(representative)) {
+      this.groups.set(representative, []);
+    }
+    this.groups.get(representative).push(url);
+
+    return match ? representative : null;
+  }
+
+  /**
+   * Clusters with more than one member
+   */
+  getGroups() {
+    return [...this.groups.entries()]
+      .filter(([, urls]) => urls.length > 1)
+      .map(([representative, urls]) => ({ representative, urls: [...urls], size: urls.length }));
+  }
+
+  clear() {
+    this.entries = [];
+    this.groups.clear();
+  }
+}
@@ -0,0 +1,99 @@
+/**
+ * FetchTransport - How the crawler puts requests on the wire
+ * 'direct' calls fetch itself. 'proxy' sends every request through a
+ * same-origin proxy (see CorsProxy), which avoids CORS and keeps the
+ * headers browsers refuse to send (User-Agent, Cookie...). A custom
+ * fetch-compatible function can be given instead.
+ *
+ * Proxy protocol: the target URL is appended to proxyUrl, the request's
+ * headers and redirect mode travel in PROXY_REQUEST_HEADER and the proxy
+ * answers 200 with the upstream status, final URL and headers in
+ * PROXY_RESPONSE_HEADER (or { error } if the upstream fetch failed). Both
+ * are URI-encoded JSON.
+ */
+export const TRANSPORT_MODES = ['direct', 'proxy'];
+
+export const PROXY_PATH = '/__webwarden/proxy';
+export const DEFAULT_PROXY_URL = `${PROXY_PATH}?url=`;
+
+export const PROXY_REQUEST_HEADER = 'X-WebWarden-Request';
+export const PROXY_RESPONSE_HEADER = 'X-WebWarden-Response';
+// Browsers drop Set-Cookie from responses they construct, so proxied
+// cookies are passed on under this name (URI-encoded, comma separated)
+export const PROXY_SET_COOKIE_HEADER = 'X-WebWarden-Set-Cookie';
+
+const NULL_BODY_STATUSES = [204, 205, 304];
+
+export class FetchTransport {
+  constructor(options = {}) {
+    this.customFetch = options.fetch || null;
+    this.mode = this.customFetch ? 'custom' : options.mode || 'direct';
+    this.proxyUrl = options.proxyUrl || DEFAULT_PROXY_URL;
+
+    if (!this.customFetch && !TRANSPORT_MODES.includes(this.mode)) {
+      throw new Error(`Unknown transport: ${this.mode}`);
+    }
+  }
+
+  /**
+   * fetch(url, init) through this transport; resolves to the upstream Response
+   */
+  fetch(url, init = {}) {
+    if (this.customFetch) return this.customFetch(url, init);
+    if (this.mode === 'proxy') return this.fetchViaProxy(url, init);
+    return fetch(url, init);
+  }
+
+  async fetchViaProxy(url, { method = 'GET', headers = {}, redirect = 'follow', signal } = {}) {
+    const response = await fetch(this.proxyUrl + encodeURIComponent(url), {
+      method,
+      signal,
+      headers: { [PROXY_REQUEST_HEADER]: FetchTransport.encode({ headers, redirect }) }
+    });
+
+    const envelope = response.headers.get(PROXY_RESPONSE_HEADER);
+    if (!envelope) {
+      throw new Error(`No proxy answered at ${this.proxyUrl} (HTTP ${response.status})`);
+    }
+
+    const { status, statusText, url: finalUrl, headers: upstreamHeaders, error } = FetchTransport.decode(envelope);
+    if (error) {
+      // Shaped like a failed fetch() so it is classified the same way
+      throw new TypeError(`fetch failed: ${error.message}`, {
+        cause: Object.assign(new Error(error.message), { code: error.code })
+      });
+    }
+
+    // Response() only accepts 200-599; anything else is not a page we can use
+    if (!Number.isInteger(status) || status < 200 || status > 599) {
+      throw new Error(`Proxy relayed an unusable upstream status for ${url}: ${status}`);
+    }
+
+    const unwrapped = new Response(NULL_BODY_STATUSES.includes(status) ? null : response.body, {
+      status,
+      statusText,
+      headers: upstreamHeaders.map(([name, value]) => name.toLowerCase() === 'set-cookie'
+        ? [PROXY_SET_COOKIE_HEADER, encodeURIComponent(value)]
+        : [name, value])
+    });
+    Object.defineProperty(unwrapped, 'url', { value: finalUrl || url });
+    return unwrapped;
+  }
+
+  /**
+   * Set-Cookie header values of a response, direct or proxied
+   */
+  static getSetCookies(response) {
+    const proxied = response.headers.get(PROXY_SET_COOKIE_HEADER);
+    if (proxied) return proxied.split(',').map(value => decodeURIComponent(value.trim()));
+    return response.headers.getSetCookie?.() || [];
+  }
+
+  static encode(value) {
+    return encodeURIComponent(JSON.stringify(value));
+  }
+
+  static decode(value) {
+    return JSON.parse(decodeURIComponent(value));
+  }
+}
@@ -0,0 +1,186 @@
+/**
+ * Frontier - Crawl frontier with pluggable traversal strategies
+ * Decides which discovered URL the crawler visits next
+ */
+export const CRAWL_MODES = ['breadth', 'depth', 'best'];
+
+export class Frontier {
+  constructor(mode = 'breadth', options = {}) {
+    if (!CRAWL_MODES.includes(mode)) {
+      throw new Error(`Unsupported crawl mode: ${mode}`);
+    }
+
+    this.mode = mode;
+    this.options = {
+      priorityKeywords: options.priorityKeywords || [],
+      priorityPatterns: options.priorityPatterns || [],
+      depthPenalty: options.depthPenalty ?? 10,
+      keywordWeight: options.keywordWeight ?? 15
+    };
+
+    this.keywords = this.options.priorityKeywords
+      .map(keyword => String(keyword).toLowerCase().trim())
+      .filter(Boolean);
+    this.patterns = this.options.priorityPatterns
+      .map(({ pattern, weight = 0 }) => {
+        try {
+          return { regex: pattern instanceof RegExp ? pattern : new RegExp(pattern, 'i'), weight };
+        } catch {
+          return null;
+        }
+      })
+      .filter(Boolean);
+
+    this.clear();
+  }
+
+  /**
+   * Number of items waiting in the frontier
+   */
+  get size() {
+    return this.items.length - this.head;
+  }
+
+  /**
+   * Add items to the frontier. Items from a single call keep their
+   * relative order when the strategy would otherwise reverse them.
+   */
+  push(...items) {
+    switch (this.mode) {
+      case 'depth':
+        // Stack: push in reverse so the first link of a page is visited first
+        for (let i = items.length - 1; i >= 0; i--) {
+          this.items.push(items[i]);
+        }
+        break;
+      case 'best':
+        items.forEach(item => this.heapPush({
+          item,
+          score: this.scoreItem(item),
+          sequence: this.sequence++
+        }));
+        break;
+      default:
+        this.items.push(...items);
+    }
+  }
+
+  /**
+   * Remove and return the next item to crawl
+   */
+  shift() {
+    if (this.size === 0) return undefined;
+
+    switch (this.mode) {
+      case 'depth':
+        return this.items.pop();
+      case 'best':
+        return this.heapPop().item;
+      default: {
+        const item = this.items[this.head];
+        this.items[this.head++] = undefined;
+
+        // Compact the backing array once the consumed prefix dominates it
+        if (this.head > 1024 && this.head * 2 > this.items.length) {
+          this.items = this.items.slice(this.head);
+          this.head = 0;
+        }
+        return item;
+      }
+    }
+  }
+
+  clear() {
+    this.items = [];
+    this.head = 0;
+    this.sequence = 0;
+  }
+
+  /**
+   * Snapshot of pending items in visiting order
+   */
+  toArray() {
+    switch (this.mode) {
+      case 'depth':
+        return [...this.items].reverse();
+      case 'best':
+        return [...this.items]
+          .sort((a, b) => this.compare(b, a))
+          .map(entry => entry.item);
+      default:
+        return this.items.slice(this.head);
+    }
+  }
+
+  /**
+   * Priority score for best-first traversal; higher is visited sooner
+   */
+  scoreItem(item) {
+    let score = -(item.depth || 0) * this.options.depthPenalty;
+
+    const anchorText = (item.anchorText || '').toLowerCase();
+    const url = (item.url || '').toLowerCase();
+    this.keywords.forEach(keyword => {
+      if (anchorText.includes(keyword)) score += this.options.keywordWeight;
+      if (url.includes(keyword)) score += this.options.keywordWeight / 2;
+    });
+
+    this.patterns.forEach(({ regex, weight }) => {
+      if (regex.test(item.url || '')) score += weight;
+    });
+
+    // Sitemap <priority> (0.0-1.0) nudges seeded URLs against each other
+    if (typeof item.sitemapPriority === 'number') {
+      score += item.sitemapPriority * 10;
+    }
+
+    return score;
+  }
+
+  /**
+   * Binary heap helpers (max-heap on score, FIFO on ties)
+   */
+  compare(a, b) {
+    if (a.score !== b.score) return a.score - b.score;
+    return b.sequence - a.sequence;
+  }
+
+  heapPush(entry) {
+    const heap = this.items;
+    heap.push(entry);
+    let index = heap.length - 1;
+
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (this.compare(heap[index], heap[parent]) <= 0) break;
+      [heap[index], heap[parent]] = [heap[parent], heap[index]];
+      index = parent;
+    }
+  }
+
+  heapPop() {
+    const heap = this.items;
+    const top = heap[0];
+    const last = heap.pop();
+
+    if (heap.length > 0) {
+      heap[0] = last;
+      let index = 0;
+
+      while (true) {
+        const left = index * 2 + 1;
+        const right = left + 1;
+        let largest = index;
+
+        if (left < heap.length && this.compare(heap[left], heap[largest]) > 0) largest = left;
+        if (right < heap.length && this.compare(heap[right], heap[largest]) > 0) largest = right;
+        if (largest === index) break;
+
+        [heap[index], heap[largest]] = [heap[largest], heap[index]];
+        index = largest;
+      }
+    }
+
+    return top;
+  }
+}
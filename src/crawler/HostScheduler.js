@@ -0,0 +1,155 @@
+/**
+ * HostScheduler - Per-host politeness scheduling
+ * Keeps a separate delay and concurrency budget for every host, backs off
+ * on 429/503 (honoring Retry-After) and speeds back up while a host is healthy
+ */
+export class HostScheduler {
+  constructor(options = {}) {
+    this.options = {
+      requestDelay: options.requestDelay ?? 1000,
+      maxConcurrencyPerHost: options.maxConcurrencyPerHost || 2,
+      maxBackoffDelay: options.maxBackoffDelay || 60000,
+      backoffFactor: options.backoffFactor || 2,
+      recoveryFactor: options.recoveryFactor || 0.75
+    };
+    this.hosts = new Map();
+  }
+
+  /**
+   * Run requestFn once the URL's host has budget for another request
+   */
+  schedule(url, requestFn) {
+    const host = this.getHost(url);
+
+    return new Promise((resolve, reject) => {
+      host.queue.push({ requestFn, resolve, reject });
+      this.pump(host);
+    });
+  }
+
+  /**
+   * Start as many queued requests for a host as its budget allows
+   */
+  pump(host) {
+    while (host.queue.length > 0 && host.active < this.options.maxConcurrencyPerHost) {
+      const readyAt = Math.max(host.lastRequestTime + this.getDelay(host), host.blockedUntil);
+      const wait = readyAt - Date.now();
+
+      if (wait > 0) {
+        if (!host.timer) {
+          host.timer = setTimeout(() => {
+            host.timer = null;
+            this.pump(host);
+          }, wait);
+        }
+        return;
+      }
+
+      const { requestFn, resolve, reject } = host.queue.shift();
+      host.active++;
+      host.requests++;
+      host.lastRequestTime = Date.now();
+
+      Promise.resolve()
+        .then(requestFn)
+        .then(resolve, reject)
+        .finally(() => {
+          host.active--;
+          this.pump(host);
+        });
+    }
+  }
+
+  /**
+   * Adapt a host's pacing to the response it returned
+   */
+  reportResponse(url, response) {
+    const host = this.getHost(url);
+
+    if (response.status === 429 || response.status === 503) {
+      host.delay = Math.min(
+        this.options.maxBackoffDelay,
+        Math.max(host.delay, this.options.requestDelay, 500) * this.options.backoffFactor
+      );
+      host.backoffs++;
+
+      const retryAfter = this.parseRetryAfter(response.headers?.get('retry-after'));
+      if (retryAfter !== null) {
+        host.blockedUntil = Date.now() + Math.min(retryAfter, this.options.maxBackoffDelay);
+      }
+    } else if (response.status < 500) {
+      host.delay = Math.max(this.options.requestDelay, host.delay * this.options.recoveryFactor);
+    }
+  }
+
+  /**
+   * Apply a robots.txt Crawl-delay (in ms) to a host, capped at
+   * maxBackoffDelay so one site can't stall the crawl
+   */
+  setCrawlDelay(url, crawlDelay) {
+    this.getHost(url).crawlDelay = Math.min(crawlDelay || 0, this.options.maxBackoffDelay);
+  }
+
+  /**
+   * Retry-After is either delta-seconds or an HTTP-date; returns ms or null
+   */
+  parseRetryAfter(value) {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  getDelay(host) {
+    return Math.max(host.delay, host.crawlDelay);
+  }
+
+  getHost(url) {
+    const key = new URL(url).host;
+
+    if (!this.hosts.has(key)) {
+      this.hosts.set(key, {
+        key,
+        queue: [],
+        active: 0,
+        requests: 0,
+        backoffs: 0,
+        delay: this.options.requestDelay,
+        crawlDelay: 0,
+        lastRequestTime: 0,
+        blockedUntil: 0,
+        timer: null
+      });
+    }
+
+    return this.hosts.get(key);
+  }
+
+  /**
+   * Per-host pacing snapshot for stats and exports
+   */
+  getHostStats() {
+    return [...this.hosts.values()].map(host => ({
+      host: host.key,
+      requests: host.requests,
+      backoffs: host.backoffs,
+      delay: Math.round(this.getDelay(host)),
+      queued: host.queue.length,
+      active: host.active
+    }));
+  }
+
+  /**
+   * Reject everything still waiting and forget all host state
+   */
+  clear(reason = new DOMException('Crawl stopped', 'AbortError')) {
+    this.hosts.forEach(host => {
+      clearTimeout(host.timer);
+      host.queue.splice(0).forEach(({ reject }) => reject(reason));
+    });
+    this.hosts.clear();
+  }
+}
@@ -0,0 +1,170 @@
+/**
+ * LinkChecker - Verifies every link discovered during a crawl
+ * Checks targets with HEAD (falling back to GET), classifies failures and
+ * groups broken targets with all the pages and anchors referencing them.
+ * Targets are keyed by normalized URL but requested and reported as the
+ * href the page contains.
+ */
+export class LinkChecker {
+  /**
+   * fetchFn(url, method) performs one request and resolves to a Response
+   */
+  constructor(fetchFn, options = {}) {
+    this.fetchFn = fetchFn;
+    this.options = {
+      concurrency: options.concurrency || 3,
+      isAllowed: options.isAllowed || (async () => true)
+    };
+    this.clear();
+  }
+
+  clear() {
+    this.references = new Map(); // target url -> [{ source, anchorText }]
+    this.hrefs = new Map(); // target url -> href as first linked
+    this.results = new Map(); // target url -> result
+  }
+
+  /**
+   * Collect link references from crawled pages
+   */
+  addReferences(pages) {
+    pages.forEach(page => {
+      (page.links || []).forEach(link => {
+        if (!this.references.has(link.url)) {
+          this.references.set(link.url, []);
+          this.hrefs.set(link.url, (link.originalUrl || link.url).replace(/#.*$/, ''));
+        }
+        const referrers = this.references.get(link.url);
+        if (!referrers.some(ref => ref.source === page.url && ref.anchorText === link.anchorText)) {
+          referrers.push({ source: page.url, anchorText: link.anchorText || '' });
+        }
+      });
+    });
+  }
+
+  /**
+   * Record a result that is already known (e.g. from crawling the page)
+   */
+  setResult(url, result) {
+    this.results.set(url, { url, redirectTarget: null, error: null, ...result });
+  }
+
+  /**
+   * Referenced URLs without a result yet
+   */
+  getPending() {
+    return [...this.references.keys()].filter(url => !this.results.has(url));
+  }
+
+  /**
+   * Check every pending target; shouldStop() is polled between checks
+   */
+  async checkAll(shouldStop = () => false, onResult = () => {}) {
+    const pending = this.getPending();
+    const worker = async () => {
+      while (pending.length > 0 && !shouldStop()) {
+        const url = pending.shift();
+        const result = await this.check(this.hrefs.get(url) || url);
+        if (result) {
+          this.results.set(url, { ...result, url });
+          onResult(result);
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: this.options.concurrency }, worker));
+  }
+
+  /**
+   * Check a single URL. Returns null when the check was cancelled.
+   */
+  async check(url) {
+    try {
+      if (!(await this.options.isAllowed(url))) {
+        return { url, status: null, category: 'skipped', error: 'Disallowed by robots.txt', redirectTarget: null };
+      }
+
+      let response = await this.fetchFn(url, 'HEAD');
+      // Plenty of servers reject or mishandle HEAD; confirm failures with GET
+      if (response.status >= 400) {
+        response = await this.fetchFn(url, 'GET');
+      }
+      response.body?.cancel?.().catch(() => {});
+
+      const redirectTarget = response.redirected && response.url && response.url !== url ? response.url : null;
+      return {
+        url,
+        status: response.status,
+        category: LinkChecker.categorizeStatus(response.status),
+        error: response.ok ? null : `HTTP ${response.status}${response.statusText ? `: ${response.statusText}` : ''}`,
+        redirectTarget
+      };
+    } catch (error) {
+      const category = LinkChecker.categorizeError(error);
+      if (!category) return null;
+      return { url, status: null, category, error: error.message, redirectTarget: null };
+    }
+  }
+
+  static categorizeStatus(status) {
+    if (status === 404 || status === 410) return 'not-found';
+    if (status >= 500) return 'server-error';
+    if (status >= 400) return 'client-error';
+    return 'ok';
+  }
+
+  /**
+   * Failure class for a thrown fetch error, or null if the crawl was stopped
+   */
+  static categorizeError(error) {
+    if (error.name === 'TimeoutError' || error.errorClass === 'timeout') return 'timeout';
+    if (error.name === 'AbortError') return null;
+
+    const code = error.cause?.code || error.code || '';
+    if (['ENOTFOUND', 'EAI_AGAIN', 'EAI_NONAME'].includes(code) || /getaddrinfo|dns/i.test(error.cause?.message || error.message)) {
+      return 'dns';
+    }
+    if (['ETIMEDOUT', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT'].includes(code)) return 'timeout';
+    return 'network';
+  }
+
+  /**
+   * Broken targets with their referrers, most referenced first
+   */
+  getBrokenLinks() {
+    return [...this.results.values()]
+      .filter(result => !['ok', 'skipped'].includes(result.category) && this.references.has(result.url))
+      .map(result => ({ ...result, url: this.hrefs.get(result.url) || result.url, referrers: this.references.get(result.url) }))
+      .sort((a, b) => b.referrers.length - a.referrers.length || a.url.localeCompare(b.url));
+  }
+
+  /**
+   * Summary plus broken links for results and exports
+   */
+  getReport() {
+    const checked = [...this.references.keys()].filter(url => this.results.has(url));
+    const byCategory = {};
+    checked.forEach(url => {
+      const { category } = this.results.get(url);
+      byCategory[category] = (byCategory[category] || 0) + 1;
+    });
+
+    return {
+      links: this.references.size,
+      checked: checked.length,
+      byCategory,
+      broken: this.getBrokenLinks()
+    };
+  }
+
+  /**
+   * Serializable state for checkpoints
+   */
+  getResults() {
+    return [...this.results.values()];
+  }
+
+  restoreResults(results = []) {
+    results.forEach(result => this.results.set(result.url, result));
+  }
+}
@@ -0,0 +1,143 @@
+/**
+ * LinkGraph - Directed link graph of a crawl
+ * Records every source -> target edge with its anchor text and nofollow flag,
+ * and computes inbound links and PageRank over the crawled pages
+ */
+export class LinkGraph {
+  constructor(options = {}) {
+    this.options = {
+      damping: options.damping ?? 0.85,
+      maxIterations: options.maxIterations || 50,
+      tolerance: options.tolerance ?? 1e-6
+    };
+    this.clear();
+  }
+
+  clear() {
+    this.outgoing = new Map(); // source url -> [edge]
+    this.aliases = new Map(); // redirected/canonicalized url -> page url
+  }
+
+  /**
+   * Record a crawled page and its outbound links, replacing earlier edges
+   */
+  addPage(url, links = []) {
+    this.outgoing.set(url, links.map(link => ({
+      source: url,
+      target: link.url,
+      anchorText: link.anchorText || '',
+      nofollow: Boolean(link.nofollow)
+    })));
+  }
+
+  /**
+   * Point links to another URL (e.g. a redirect source) at a crawled page
+   */
+  addAlias(url, pageUrl) {
+    if (url && url !== pageUrl) this.aliases.set(url, pageUrl);
+  }
+
+  resolve(url) {
+    return this.aliases.get(url) || url;
+  }
+
+  get edges() {
+    return [...this.outgoing.values()].flat();
+  }
+
+  /**
+   * Unique crawled pages linking to a page
+   */
+  getInlinks(url) {
+    const sources = new Set();
+    this.outgoing.forEach((edges, source) => {
+      if (source !== url && edges.some(edge => this.resolve(edge.target) === url)) {
+        sources.add(source);
+      }
+    });
+    return [...sources];
+  }
+
+  /**
+   * Unique targets a page links to
+   */
+  getOutlinks(url) {
+    return [...new Set((this.outgoing.get(url) || []).map(edge => this.resolve(edge.target)))]
+      .filter(target => target !== url);
+  }
+
+  /**
+   * Inlinks and outlinks for every crawled page in one pass
+   */
+  getLinkCounts() {
+    const inlinks = new Map([...this.outgoing.keys()].map(url => [url, new Set()]));
+    const outlinks = new Map();
+
+    this.outgoing.forEach((edges, source) => {
+      const targets = new Set();
+      edges.forEach(edge => {
+        const target = this.resolve(edge.target);
+        if (target === source) return;
+        targets.add(target);
+        inlinks.get(target)?.add(source);
+      });
+      outlinks.set(source, [...targets]);
+    });
+
+    return { inlinks, outlinks };
+  }
+
+  /**
+   * PageRank over crawled pages (power iteration). Nofollow links, self
+   * links and links to pages outside the crawl don't pass rank; pages
+   * without followed links spread theirs evenly. Scores sum to 1.
+   */
+  computePageRank() {
+    const pages = [...this.outgoing.keys()];
+    const count = pages.length;
+    const ranks = new Map();
+    if (count === 0) return ranks;
+
+    const { damping, maxIterations, tolerance } = this.options;
+    const targets = new Map(pages.map(source => [source, [...new Set(
+      this.outgoing.get(source)
+        .filter(edge => !edge.nofollow)
+        .map(edge => this.resolve(edge.target))
+        .filter(target => target !== source && this.outgoing.has(target))
+    )]]));
+
+    pages.forEach(url => ranks.set(url, 1 / count));
+
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+      let danglingRank = 0;
+      pages.forEach(url => {
+        if (targets.get(url).length === 0) danglingRank += ranks.get(url);
+      });
+
+      const base = (1 - damping) / count + damping * danglingRank / count;
+      const next = new Map(pages.map(url => [url, base]));
+      pages.forEach(source => {
+        const outgoing = targets.get(source);
+        const share = damping * ranks.get(source) / outgoing.length;
+        outgoing.forEach(target => next.set(target, next.get(target) + share));
+      });
+
+      let delta = 0;
+      pages.forEach(url => { delta += Math.abs(next.get(url) - ranks.get(url)); });
+      pages.forEach(url => ranks.set(url, next.get(url)));
+      if (delta < tolerance) break;
+    }
+
+    return ranks;
+  }
+
+  /**
+   * Serializable snapshot for results and exports
+   */
+  toJSON() {
+    return {
+      pages: this.outgoing.size,
+      edges: this.edges.map(edge => ({ ...edge, target: this.resolve(edge.target) }))
+    };
+  }
+}
@@ -0,0 +1,164 @@
+/**
+ * MainContentExtractor - Readability-style boilerplate removal
+ * Drops navigation, headers, footers, sidebars and other page chrome, then
+ * picks the container holding the main text: <main>/<article> when the page
+ * marks it up, otherwise the element whose paragraphs score highest
+ */
+const REMOVED_SELECTORS = [
+  'script', 'style', 'noscript', 'template', 'svg', 'iframe', 'form', 'button', 'select',
+  'nav', 'aside', 'dialog', '[hidden]', '[aria-hidden="true"]',
+  '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[role="complementary"]',
+  '[role="search"]', '[role="dialog"]'
+];
+
+const UNLIKELY_CANDIDATE = /nav|menu|sidebar|footer|header|masthead|breadcrumb|comment|cookie|consent|banner|share|social|related|advert|\bads?\b|sponsor|promo|popup|modal|newsletter|subscribe/i;
+const LIKELY_CANDIDATE = /article|content|main|post|entry|story|body|text/i;
+
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'blockquote', 'br', 'dd', 'div', 'dl', 'dt', 'figcaption', 'figure',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'li', 'main', 'ol', 'p', 'pre', 'section',
+  'table', 'td', 'th', 'tr', 'ul'
+]);
+
+export class MainContentExtractor {
+  constructor(options = {}) {
+    this.options = {
+      minParagraphLength: options.minParagraphLength || 25
+    };
+  }
+
+  /**
+   * Main text of a parsed document, whitespace-normalized
+   */
+  extract(doc) {
+    if (!doc.body) return '';
+
+    const body = doc.body.cloneNode(true);
+    this.removeBoilerplate(body);
+
+    return this.getText(this.findMainContainer(body) || body);
+  }
+
+  /**
+   * Strip page chrome in place
+   */
+  removeBoilerplate(root) {
+    root.querySelectorAll(REMOVED_SELECTORS.join(',')).forEach(element => element.remove());
+
+    // Site headers and footers; those inside an article belong to it
+    root.querySelectorAll('header, footer').forEach(element => {
+      if (!element.closest('article, main, [role="main"]')) element.remove();
+    });
+
+    root.querySelectorAll('[class], [id]').forEach(element => {
+      if (!root.contains(element)) return; // An ancestor was already removed
+      const tag = element.tagName.toLowerCase();
+      if (['article', 'main', 'body'].includes(tag)) return;
+
+      const signature = `${element.getAttribute('class') || ''} ${element.getAttribute('id') || ''}`;
+      if (UNLIKELY_CANDIDATE.test(signature) && !LIKELY_CANDIDATE.test(signature)) {
+        element.remove();
+      }
+    });
+  }
+
+  /**
+   * The marked-up main region, or the best-scoring paragraph container
+   */
+  findMainContainer(root) {
+    const marked = root.querySelector('main, [role="main"]');
+    if (marked && this.getText(marked)) return marked;
+
+    const articles = [...root.querySelectorAll('article')];
+    if (articles.length > 0) {
+      return articles.reduce((best, article) =>
+        this.getText(article).length > this.getText(best).length ? article : best);
+    }
+
+    const stats = this.measure(root);
+    const scores = new Map();
+    root.querySelectorAll('p, pre, td, blockquote').forEach(paragraph => {
+      const { length, commas } = stats.get(paragraph);
+      if (length < this.options.minParagraphLength) return;
+
+      // Longer paragraphs with more clauses look like prose rather than chrome
+      const score = 2 + commas + Math.min(Math.floor(length / 100), 3);
+      const parent = paragraph.parentElement;
+      const grandparent = parent?.parentElement;
+      if (parent) scores.set(parent, (scores.get(parent) || 0) + score);
+      if (grandparent) scores.set(grandparent, (scores.get(grandparent) || 0) + score / 2);
+    });
+
+    let best = null;
+    let bestScore = 0;
+    scores.forEach((score, element) => {
+      const adjusted = score * (1 - this.getLinkDensity(stats.get(element)));
+      if (adjusted > bestScore) {
+        best = element;
+        bestScore = adjusted;
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Text length, link-text length and comma count of every element under
+   * root, gathered in one walk so scoring never re-reads a subtree
+   */
+  measure(root) {
+    const stats = new Map();
+    const walk = (element, inLink) => {
+      const entry = { length: 0, linkLength: 0, commas: 0 };
+      element.childNodes.forEach(child => {
+        let length = 0;
+        let linkLength = 0;
+        let commas = 0;
+        if (child.nodeType === 3) {
+          const text = child.textContent.replace(/\s+/g, ' ').trim();
+          length = text.length;
+          linkLength = inLink ? length : 0;
+          commas = text.split(',').length - 1;
+        } else if (child.nodeType === 1) {
+          ({ length, linkLength, commas } =
+            walk(child, inLink || child.tagName.toLowerCase() === 'a'));
+        }
+        entry.length += length;
+        entry.linkLength += linkLength;
+        entry.commas += commas;
+      });
+      stats.set(element, entry);
+      return entry;
+    };
+    walk(root, false);
+    return stats;
+  }
+
+  /**
+   * Share of an element's text that sits inside links
+   */
+  getLinkDensity({ length, linkLength }) {
+    return length === 0 ? 0 : linkLength / length;
+  }
+
+  /**
+   * Text content with block elements separated, unlike textContent
+   */
+  getText(element) {
+    const parts = [];
+    const walk = node => {
+      node.childNodes.forEach(child => {
+        if (child.nodeType === 3) {
+          parts.push(child.textContent);
+        } else if (child.nodeType === 1) {
+          const isBlock = BLOCK_TAGS.has(child.tagName.toLowerCase());
+          if (isBlock) parts.push(' ');
+          walk(child);
+          if (isBlock) parts.push(' ');
+        }
+      });
+    };
+    walk(element);
+    return parts.join('').replace(/\s+/g, ' ').trim();
+  }
+}
@@ -0,0 +1,73 @@
+/**
+ * PluginManager - Lifecycle hooks for crawler plugins
+ * A plugin is an object with any of the CRAWLER_HOOKS as methods, plus an
+ * optional name and setup(crawler). Every hook is called as
+ * hook(subject, context) with context.crawler set; hooks may be async and
+ * run in registration order.
+ */
+export const CRAWLER_HOOKS = [
+  'beforeEnqueue', // (item, ctx) - mutate the frontier item, return false to drop it
+  'beforeRequest', // (request { url, depth, referrer, headers }, ctx) - mutate headers, return false to skip
+  'afterResponse', // (response, ctx { url, finalUrl, redirectChain, depth }) - body still unread, return false to skip
+  'afterParse', // (page, ctx { response, body, content }) - add custom fields, return false to drop the page
+  'onLinkDiscovered', // (link, ctx { page }) - return false to keep the link out of the frontier
+  'onError', // (errorEntry, ctx { error })
+  'onComplete' // (results, ctx)
+];
+
+export class PluginManager {
+  constructor(crawler) {
+    this.crawler = crawler;
+    this.plugins = [];
+  }
+
+  /**
+   * Register a plugin
+   */
+  use(plugin) {
+    if (!plugin || typeof plugin !== 'object') {
+      throw new Error('A plugin must be an object of hook functions');
+    }
+
+    const unknown = Object.keys(plugin)
+      .filter(key => typeof plugin[key] === 'function' && key !== 'setup' && !CRAWLER_HOOKS.includes(key));
+    if (unknown.length > 0) {
+      console.warn(`Plugin ${plugin.name || '(unnamed)'} has unknown hooks: ${unknown.join(', ')}`);
+    }
+
+    plugin.setup?.(this.crawler);
+    this.plugins.push(plugin);
+  }
+
+  has(hook) {
+    return this.plugins.some(plugin => typeof plugin[hook] === 'function');
+  }
+
+  /**
+   * Run a hook that can veto: resolves to false as soon as a plugin returns
+   * false. Errors propagate to the caller, so a failing plugin fails the
+   * page it ran for.
+   */
+  async run(hook, subject, context = {}) {
+    for (const plugin of this.plugins) {
+      if (typeof plugin[hook] !== 'function') continue;
+      const result = await plugin[hook](subject, { ...context, crawler: this.crawler });
+      if (result === false) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Run a notification hook; plugin errors are logged, never thrown
+   */
+  async notify(hook, subject, context = {}) {
+    for (const plugin of this.plugins) {
+      if (typeof plugin[hook] !== 'function') continue;
+      try {
+        await plugin[hook](subject, { ...context, crawler: this.crawler });
+      } catch (error) {
+        console.warn(`Plugin ${plugin.name || '(unnamed)'} failed in ${hook}:`, error.message);
+      }
+    }
+  }
+}
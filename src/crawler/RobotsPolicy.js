@@ -0,0 +1,164 @@
+/**
+ * RobotsPolicy - robots.txt rules for one host, evaluated per RFC 9309
+ * Supports grouped user-agents, * and $ wildcards, longest-match precedence,
+ * Crawl-delay and Sitemap directives
+ */
+export class RobotsPolicy {
+  constructor(robotsText = '', userAgent = '*') {
+    this.productToken = RobotsPolicy.getProductToken(userAgent);
+    this.sitemaps = [];
+    this.groups = this.parse(robotsText);
+
+    const group = this.selectGroup();
+    this.rules = group.rules;
+    this.crawlDelay = group.crawlDelay;
+  }
+
+  /**
+   * Policy for a robots.txt that returned 4xx: everything is allowed
+   */
+  static allowAll(userAgent) {
+    return new RobotsPolicy('', userAgent);
+  }
+
+  /**
+   * Policy for an unreachable robots.txt (5xx or network failure):
+   * RFC 9309 section 2.3.1.4 requires assuming complete disallow
+   */
+  static disallowAll(userAgent) {
+    const policy = new RobotsPolicy('', userAgent);
+    policy.rules = [{ allow: false, path: '/', regex: /^\// }];
+    policy.unreachable = true;
+    return policy;
+  }
+
+  /**
+   * The product token a robots.txt user-agent line is matched against,
+   * e.g. "WebWarden" for "WebWarden Crawler 2.0" or "WebWarden/2.0"
+   */
+  static getProductToken(userAgent) {
+    return (userAgent.match(/^[A-Za-z_-]+/)?.[0] || userAgent).toLowerCase();
+  }
+
+  /**
+   * Parse robots.txt into user-agent groups and global sitemap entries
+   */
+  parse(robotsText) {
+    const groups = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    robotsText.split(/\r\n|\r|\n/).forEach(rawLine => {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      const separator = line.indexOf(':');
+      if (separator === -1) return;
+
+      const key = line.substring(0, separator).trim().toLowerCase();
+      const value = line.substring(separator + 1).trim();
+
+      switch (key) {
+        case 'user-agent':
+          // Consecutive user-agent lines share one group
+          if (!lastWasAgent || !current) {
+            current = { agents: [], rules: [], crawlDelay: null };
+            groups.push(current);
+          }
+          current.agents.push(value.toLowerCase());
+          lastWasAgent = true;
+          return;
+        case 'allow':
+        case 'disallow':
+          if (current && value) {
+            current.rules.push({
+              allow: key === 'allow',
+              path: value,
+              regex: this.compilePattern(value)
+            });
+          }
+          break;
+        case 'crawl-delay': {
+          const delay = parseFloat(value);
+          if (current && Number.isFinite(delay) && delay >= 0) {
+            current.crawlDelay = delay;
+          }
+          break;
+        }
+        case 'sitemap':
+          // Sitemap lines are global and independent of any group
+          if (value && !this.sitemaps.includes(value)) {
+            this.sitemaps.push(value);
+          }
+          break;
+      }
+      lastWasAgent = false;
+    });
+
+    return groups;
+  }
+
+  /**
+   * Merge every group naming our product token (case-insensitive, never a
+   * substring of the full user agent), falling back to "*"
+   */
+  selectGroup() {
+    let selected = this.groups.filter(group => group.agents.includes(this.productToken));
+    if (selected.length === 0) {
+      selected = this.groups.filter(group => group.agents.includes('*'));
+    }
+
+    const delays = selected.map(group => group.crawlDelay).filter(delay => delay !== null);
+    return {
+      rules: selected.flatMap(group => group.rules),
+      crawlDelay: delays.length > 0 ? Math.max(...delays) : null
+    };
+  }
+
+  /**
+   * Convert a robots path pattern to a RegExp anchored at the path start
+   */
+  compilePattern(path) {
+    const anchored = path.endsWith('$');
+    const body = (anchored ? path.slice(0, -1) : path)
+      .split('*')
+      .map(part => this.normalizePath(part).replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    return new RegExp(`^${body}${anchored ? '$' : ''}`);
+  }
+
+  /**
+   * Normalize percent-encoding so encoded and literal forms compare equal
+   */
+  normalizePath(path) {
+    return path.replace(/%([0-9a-fA-F]{2})/g, (match, hex) => {
+      const char = String.fromCharCode(parseInt(hex, 16));
+      return /[A-Za-z0-9\-._~]/.test(char) ? char : `%${hex.toUpperCase()}`;
+    });
+  }
+
+  /**
+   * Check whether a path (with optional query string) may be crawled.
+   * The longest matching rule wins; on a tie, allow wins.
+   */
+  isAllowed(path) {
+    const target = this.normalizePath(path || '/');
+    if (target === '/robots.txt') return true;
+
+    let best = null;
+    this.rules.forEach(rule => {
+      if (!rule.regex.test(target)) return;
+      if (!best || rule.path.length > best.path.length ||
+          (rule.path.length === best.path.length && rule.allow)) {
+        best = rule;
+      }
+    });
+
+    return best ? best.allow : true;
+  }
+
+  /**
+   * Crawl-delay for the matched group in milliseconds, or null
+   */
+  getCrawlDelay() {
+    return this.crawlDelay === null ? null : this.crawlDelay * 1000;
+  }
+}
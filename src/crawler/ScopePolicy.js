@@ -0,0 +1,126 @@
+/**
+ * ScopePolicy - Decides which discovered URLs belong to the crawl
+ * Host allow/block lists with *.domain wildcards, plus include/exclude
+ * patterns on path and query string
+ *
+ * Domain entries: "example.com" matches that host only; "*.example.com"
+ * matches example.com and every subdomain. Blocked domains always win.
+ *
+ * Patterns: "re:<regex>" is a case-insensitive regular expression searched
+ * anywhere in path + query. Anything else is a glob matched as a prefix of
+ * path + query, where * stops at "/" and ** crosses it (e.g. "/tag/",
+ * "/search?", "/archive/**.pdf").
+ */
+export class ScopePolicy {
+  constructor(options = {}, seedUrls = []) {
+    this.allowedDomains = (options.allowedDomains || []).map(domain => ScopePolicy.normalizeDomain(domain)).filter(Boolean);
+    this.blockedDomains = (options.blockedDomains || []).map(domain => ScopePolicy.normalizeDomain(domain)).filter(Boolean);
+    this.includePatterns = (options.includePatterns || []).map(pattern => ScopePolicy.compilePattern(pattern)).filter(Boolean);
+    this.excludePatterns = (options.excludePatterns || []).map(pattern => ScopePolicy.compilePattern(pattern)).filter(Boolean);
+    this.seedHosts = new Set();
+    this.seedUrls = new Set();
+
+    seedUrls.forEach(url => this.addSeed(url));
+  }
+
+  /**
+   * Seed hosts are always in scope, and seeds bypass include patterns
+   */
+  addSeed(url) {
+    try {
+      const urlObj = new URL(url);
+      this.seedHosts.add(urlObj.hostname);
+      this.seedUrls.add(urlObj.href);
+    } catch {
+      // Invalid seeds are rejected by the crawler before they get here
+    }
+  }
+
+  /**
+   * Reduce a domain entry to a bare lowercase host (keeping a leading "*.")
+   */
+  static normalizeDomain(domain) {
+    const value = String(domain || '').trim().toLowerCase()
+      .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+      .replace(/[/:?#].*$/, '')
+      .replace(/\.$/, '');
+    return /^(\*\.)?[a-z0-9.-]+$/.test(value) ? value : null;
+  }
+
+  /**
+   * Compile a pattern string; returns null if it is not valid
+   */
+  static compilePattern(pattern) {
+    if (pattern instanceof RegExp) return pattern;
+
+    const value = String(pattern || '').trim();
+    if (!value) return null;
+
+    try {
+      if (value.startsWith('re:')) {
+        return new RegExp(value.slice(3), 'i');
+      }
+
+      const source = value
+        .split('**')
+        .map(part => part
+          .split('*')
+          .map(piece => piece.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+          .join('[^/]*'))
+        .join('.*');
+      return new RegExp(`^${source}`);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Validation message for a pattern, or null when it compiles
+   */
+  static validatePattern(pattern) {
+    return ScopePolicy.compilePattern(pattern) ? null : `Invalid URL pattern: ${pattern}`;
+  }
+
+  static hostMatches(hostname, domain) {
+    if (domain.startsWith('*.')) {
+      const apex = domain.slice(2);
+      return hostname === apex || hostname.endsWith(`.${apex}`);
+    }
+    return hostname === domain;
+  }
+
+  /**
+   * Whether a host may be crawled at all
+   */
+  isHostAllowed(hostname) {
+    const host = hostname.toLowerCase();
+    if (this.blockedDomains.some(domain => ScopePolicy.hostMatches(host, domain))) {
+      return false;
+    }
+    return this.seedHosts.has(host) ||
+      this.allowedDomains.some(domain => ScopePolicy.hostMatches(host, domain));
+  }
+
+  /**
+   * Whether a URL is inside the crawl scope
+   */
+  isInScope(url) {
+    let urlObj;
+    try {
+      urlObj = new URL(url);
+    } catch {
+      return false;
+    }
+
+    if (!this.isHostAllowed(urlObj.hostname)) return false;
+
+    const target = urlObj.pathname + urlObj.search;
+    if (this.excludePatterns.some(regex => regex.test(target))) return false;
+
+    if (this.includePatterns.length > 0 && !this.seedUrls.has(urlObj.href)) {
+      return this.includePatterns.some(regex => regex.test(target));
+    }
+
+    return true;
+  }
+}
@@ -0,0 +1,105 @@
+/**
+ * SeedListParser - Seed lists for multi-seed crawls
+ * Accepts one URL per line, or CSV/TSV rows when the first line is a
+ * header row naming the columns url, depth, allowedDomains,
+ * includePatterns and excludePatterns. Tab-separated rows without a header
+ * are url, depth. List cells separate values with spaces, "|" or (in a
+ * quoted cell) commas. Without a header or tabs each whole line is a URL,
+ * commas included. Blank lines and lines starting with # are skipped.
+ *
+ * Seeds come out as { url, maxDepth?, scope? } with scope holding any of
+ * the ScopePolicy options for that seed.
+ */
+export const SEED_COLUMNS = ['url', 'depth', 'allowedDomains', 'includePatterns', 'excludePatterns'];
+
+const COLUMN_ALIASES = {
+  maxdepth: 'depth',
+  domains: 'allowedDomains',
+  alloweddomains: 'allowedDomains',
+  include: 'includePatterns',
+  includepatterns: 'includePatterns',
+  exclude: 'excludePatterns',
+  excludepatterns: 'excludePatterns'
+};
+
+export class SeedListParser {
+  parse(text) {
+    const lines = String(text || '').split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'));
+    if (lines.length === 0) return [];
+
+    const delimiter = lines[0].includes('\t') ? '\t' : ',';
+    let columns = ['url', 'depth'];
+    const header = this.splitRow(lines[0], delimiter).map(name => this.columnName(name));
+    if (header.includes('url')) {
+      columns = header;
+      lines.shift();
+    } else if (delimiter !== '\t') {
+      // A plain URL list; commas can be part of the URLs
+      return lines.map(url => ({ url }));
+    }
+
+    return lines.map(line => this.toSeed(this.splitRow(line, delimiter), columns)).filter(Boolean);
+  }
+
+  columnName(name) {
+    const key = name.trim().replace(/[\s_-]/g, '').toLowerCase();
+    return COLUMN_ALIASES[key] || SEED_COLUMNS.find(column => column.toLowerCase() === key) || null;
+  }
+
+  toSeed(cells, columns) {
+    const seed = {};
+    const scope = {};
+    columns.forEach((column, index) => {
+      const value = (cells[index] || '').trim();
+      if (!column || !value) return;
+      if (column === 'url') {
+        seed.url = value;
+      } else if (column === 'depth') {
+        // Clamped like the maxDepth setting
+        const depth = parseInt(value);
+        if (Number.isInteger(depth)) seed.maxDepth = Math.max(1, Math.min(10, depth));
+      } else {
+        scope[column] = value.split(/[\s,|]+/).filter(Boolean);
+      }
+    });
+
+    if (!seed.url) return null;
+    if (Object.keys(scope).length > 0) seed.scope = scope;
+    return seed;
+  }
+
+  /**
+   * Split a CSV row, honouring double-quoted cells
+   */
+  splitRow(line, delimiter) {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (quoted) {
+        if (char === '"' && line[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"' && !cell.trim()) {
+        quoted = true;
+        cell = '';
+      } else if (char === delimiter) {
+        cells.push(cell.trim());
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+    cells.push(cell.trim());
+    return cells;
+  }
+}
@@ -0,0 +1,77 @@
+/**
+ * SimHash - 64-bit locality-sensitive fingerprints of page text
+ * Similar documents produce fingerprints with a small Hamming distance
+ */
+export class SimHash {
+  constructor(options = {}) {
+    this.shingleSize = options.shingleSize || 3;
+    this.minTokens = options.minTokens || 10;
+  }
+
+  /**
+   * Fingerprint text as a 16-character hex string, or null when the text
+   * is too short to fingerprint reliably
+   */
+  fingerprint(text) {
+    const tokens = (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+    if (tokens.length < this.minTokens) return null;
+
+    const weights = new Array(64).fill(0);
+    const shingleCount = Math.max(1, tokens.length - this.shingleSize + 1);
+
+    for (let i = 0; i < shingleCount; i++) {
+      const shingle = tokens.slice(i, i + this.shingleSize).join(' ');
+      const [high, low] = this.hash64(shingle);
+
+      for (let bit = 0; bit < 32; bit++) {
+        weights[bit] += (high >>> bit) & 1 ? 1 : -1;
+        weights[bit + 32] += (low >>> bit) & 1 ? 1 : -1;
+      }
+    }
+
+    let high = 0;
+    let low = 0;
+    for (let bit = 0; bit < 32; bit++) {
+      if (weights[bit] > 0) high |= 1 << bit;
+      if (weights[bit + 32] > 0) low |= 1 << bit;
+    }
+
+    return (high >>> 0).toString(16).padStart(8, '0') + (low >>> 0).toString(16).padStart(8, '0');
+  }
+
+  /**
+   * Two independent 32-bit hashes of a string (FNV-1a with a murmur3
+   * finalizer so every output bit depends on every input character)
+   */
+  hash64(text) {
+    let h1 = 0x811c9dc5;
+    let h2 = 0xc9dc5811;
+    for (let i = 0; i < text.length; i++) {
+      const code = text.charCodeAt(i);
+      h1 = Math.imul(h1 ^ code, 0x01000193);
+      h2 = Math.imul(h2 ^ code, 0x5bd1e995);
+    }
+    return [this.mix(h1), this.mix(h2)];
+  }
+
+  mix(hash) {
+    let h = hash;
+    h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+    h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+    return (h ^ (h >>> 16)) >>> 0;
+  }
+
+  /**
+   * Hamming distance between two hex fingerprints
+   */
+  static distance(a, b) {
+    const popcount = (value) => {
+      let v = value - ((value >>> 1) & 0x55555555);
+      v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+      return (((v + (v >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+    };
+
+    return popcount((parseInt(a.slice(0, 8), 16) ^ parseInt(b.slice(0, 8), 16)) >>> 0) +
+           popcount((parseInt(a.slice(8), 16) ^ parseInt(b.slice(8), 16)) >>> 0);
+  }
+}
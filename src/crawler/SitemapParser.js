@@ -0,0 +1,72 @@
+/**
+ * SitemapParser - Parses sitemaps.org <urlset> and <sitemapindex> documents
+ * Works on raw XML text so it runs without a DOM implementation
+ */
+export class SitemapParser {
+  /**
+   * Parse sitemap XML into its type and entries
+   */
+  parse(xml) {
+    const text = String(xml || '');
+    const rootMatch = /<(?:[\w-]+:)?(urlset|sitemapindex)[\s>]/i.exec(text);
+    if (!rootMatch) {
+      return { type: null, entries: [] };
+    }
+
+    const type = rootMatch[1].toLowerCase();
+    const entryTag = type === 'urlset' ? 'url' : 'sitemap';
+    const entryPattern = new RegExp(
+      `<(?:[\\w-]+:)?${entryTag}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:[\\w-]+:)?${entryTag}>`,
+      'gi'
+    );
+
+    const entries = [];
+    let match;
+    while ((match = entryPattern.exec(text)) !== null) {
+      const block = match[1];
+      const loc = this.readTag(block, 'loc');
+      if (!loc) continue;
+
+      const entry = { url: loc };
+      const lastmod = this.readTag(block, 'lastmod');
+      if (lastmod) entry.lastmod = lastmod;
+
+      if (type === 'urlset') {
+        const priority = parseFloat(this.readTag(block, 'priority'));
+        if (Number.isFinite(priority)) entry.priority = Math.max(0, Math.min(1, priority));
+
+        const changefreq = this.readTag(block, 'changefreq');
+        if (changefreq) entry.changefreq = changefreq.toLowerCase();
+      }
+
+      entries.push(entry);
+    }
+
+    return { type, entries };
+  }
+
+  /**
+   * Read the text content of the first child element with the given name.
+   * Unprefixed tags win so extension elements like <image:loc> are ignored.
+   */
+  readTag(block, tag) {
+    const match =
+      new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'i').exec(block) ||
+      new RegExp(`<[\\w-]+:${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</[\\w-]+:${tag}>`, 'i').exec(block);
+    if (!match) return '';
+
+    const cdata = /^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/.exec(match[1]);
+    return this.decodeEntities(cdata ? cdata[1] : match[1]).trim();
+  }
+
+  decodeEntities(text) {
+    return text
+      .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+      .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, '&');
+  }
+}
@@ -0,0 +1,192 @@
+/**
+ * StructuredDataExtractor - Normalizes a page's structured data
+ * Reads JSON-LD blocks, OpenGraph and Twitter Card meta tags, schema.org
+ * microdata and RDFa Lite into one shape, collecting validation warnings
+ * for JSON-LD that cannot be parsed or has no @type
+ */
+export class StructuredDataExtractor {
+  /**
+   * Extract structured data from a parsed document
+   */
+  extract(doc) {
+    const warnings = [];
+    const jsonLd = this.extractJsonLd(doc, warnings);
+    const microdata = this.extractMicrodata(doc);
+    const rdfa = this.extractRdfa(doc);
+
+    const types = new Set();
+    const collectTypes = item => {
+      if (!item || typeof item !== 'object') return;
+      if (Array.isArray(item)) {
+        item.forEach(collectTypes);
+        return;
+      }
+      [].concat(item['@type'] || item.type || []).forEach(type => {
+        const normalized = StructuredDataExtractor.normalizeType(type);
+        if (normalized) types.add(normalized);
+      });
+      Object.values(item.properties || item).forEach(value => {
+        if (value && typeof value === 'object') collectTypes(value);
+      });
+    };
+    [jsonLd, microdata, rdfa].forEach(collectTypes);
+
+    return {
+      jsonLd,
+      openGraph: this.extractMetaGroup(doc, 'og:'),
+      twitter: this.extractMetaGroup(doc, 'twitter:'),
+      microdata,
+      rdfa,
+      types: [...types],
+      warnings
+    };
+  }
+
+  /**
+   * "https://schema.org/Product" and "schema:Product" both become "Product"
+   */
+  static normalizeType(type) {
+    if (typeof type !== 'string') return null;
+    return type.trim().replace(/^https?:\/\/schema\.org\//i, '').replace(/^schema:/i, '') || null;
+  }
+
+  extractJsonLd(doc, warnings) {
+    const items = [];
+
+    [...doc.querySelectorAll('script[type="application/ld+json" i]')].forEach((script, index) => {
+      const source = (script.textContent || '').trim();
+      if (!source) {
+        warnings.push(`JSON-LD block ${index + 1} is empty`);
+        return;
+      }
+
+      let data;
+      try {
+        // Tolerate the HTML comment wrappers some CMSs still emit
+        data = JSON.parse(source.replace(/^<!--/, '').replace(/-->$/, ''));
+      } catch (error) {
+        warnings.push(`JSON-LD block ${index + 1} is malformed: ${error.message}`);
+        return;
+      }
+
+      [].concat(data).forEach(entry => {
+        if (!entry || typeof entry !== 'object') {
+          warnings.push(`JSON-LD block ${index + 1} is not an object`);
+          return;
+        }
+        const graph = Array.isArray(entry['@graph']) ? entry['@graph'] : [entry];
+        graph.forEach(item => {
+          if (!item || typeof item !== 'object') return;
+          if (!item['@type']) {
+            warnings.push(`JSON-LD block ${index + 1} has an item without @type`);
+          }
+          items.push(item);
+        });
+      });
+    });
+
+    return items;
+  }
+
+  /**
+   * og:* / twitter:* meta tags as { image: ..., title: ... }; repeated
+   * properties (e.g. several og:image) become arrays
+   */
+  extractMetaGroup(doc, prefix) {
+    const group = {};
+
+    doc.querySelectorAll('meta[property], meta[name]').forEach(meta => {
+      const key = (meta.getAttribute('property') || meta.getAttribute('name') || '').trim().toLowerCase();
+      const value = meta.getAttribute('content')?.trim();
+      if (!key.startsWith(prefix) || !value) return;
+
+      const name = key.slice(prefix.length);
+      if (name in group) {
+        group[name] = [].concat(group[name], value);
+      } else {
+        group[name] = value;
+      }
+    });
+
+    return group;
+  }
+
+  /**
+   * Top-level microdata items ([itemscope] that are not a property value)
+   */
+  extractMicrodata(doc) {
+    return [...doc.querySelectorAll('[itemscope]')]
+      .filter(element => !element.hasAttribute('itemprop'))
+      .map(element => this.readMicrodataItem(element));
+  }
+
+  readMicrodataItem(scope) {
+    const properties = {};
+
+    scope.querySelectorAll('[itemprop]').forEach(element => {
+      // Only properties whose nearest item is this one
+      if (element.parentElement?.closest('[itemscope]') !== scope) return;
+
+      const value = element.hasAttribute('itemscope')
+        ? this.readMicrodataItem(element)
+        : this.readPropertyValue(element);
+      element.getAttribute('itemprop').trim().split(/\s+/).forEach(name => {
+        this.addProperty(properties, name, value);
+      });
+    });
+
+    return {
+      type: (scope.getAttribute('itemtype') || '').trim().split(/\s+/).filter(Boolean)
+        .map(type => StructuredDataExtractor.normalizeType(type)),
+      properties
+    };
+  }
+
+  /**
+   * RDFa Lite items ([typeof]) and their [property] values
+   */
+  extractRdfa(doc) {
+    return [...doc.querySelectorAll('[typeof]')]
+      .filter(element => !element.parentElement?.closest('[typeof]') || !element.hasAttribute('property'))
+      .map(scope => {
+        const properties = {};
+        scope.querySelectorAll('[property]').forEach(element => {
+          if (element.parentElement?.closest('[typeof]') !== scope) return;
+          const value = element.hasAttribute('typeof')
+            ? element.getAttribute('typeof')
+            : element.getAttribute('content') ?? this.readPropertyValue(element);
+          element.getAttribute('property').trim().split(/\s+/).forEach(name => {
+            this.addProperty(properties, name.replace(/^schema:/i, ''), value);
+          });
+        });
+
+        return {
+          type: scope.getAttribute('typeof').trim().split(/\s+/).filter(Boolean)
+            .map(type => StructuredDataExtractor.normalizeType(type)),
+          properties
+        };
+      });
+  }
+
+  /**
+   * Property value per the microdata rules for each element type
+   */
+  readPropertyValue(element) {
+    const tag = element.tagName.toLowerCase();
+    if (tag === 'meta') return element.getAttribute('content') || '';
+    if (['a', 'area', 'link'].includes(tag)) return element.getAttribute('href') || '';
+    if (['img', 'audio', 'video', 'source', 'iframe', 'embed', 'track'].includes(tag)) return element.getAttribute('src') || '';
+    if (tag === 'object') return element.getAttribute('data') || '';
+    if (tag === 'time' && element.hasAttribute('datetime')) return element.getAttribute('datetime');
+    if (['data', 'meter'].includes(tag)) return element.getAttribute('value') || '';
+    return (element.textContent || '').trim().replace(/\s+/g, ' ');
+  }
+
+  addProperty(properties, name, value) {
+    if (name in properties) {
+      properties[name] = [].concat(properties[name], [value]);
+    } else {
+      properties[name] = value;
+    }
+  }
+}
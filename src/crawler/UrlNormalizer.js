@@ -0,0 +1,102 @@
+/**
+ * UrlNormalizer - Canonical URL forms for deduplication
+ * Applies configurable rewrite rules so equivalent URLs share one visited key
+ */
+export const DEFAULT_TRACKING_PARAMS = [
+  'utm_*',
+  'gclid',
+  'dclid',
+  'fbclid',
+  'msclkid',
+  'mc_cid',
+  'mc_eid',
+  '_ga',
+  '_gl',
+  'yclid',
+  'igshid',
+  'jsessionid',
+  'phpsessid',
+  'aspsessionid*',
+  'sessionid'
+];
+
+export class UrlNormalizer {
+  constructor(options = {}) {
+    this.options = {
+      lowercaseHost: true,
+      stripFragments: true,
+      stripTrackingParams: true,
+      sortQuery: true,
+      removeTrailingSlash: true,
+      honorCanonical: true,
+      trackingParams: DEFAULT_TRACKING_PARAMS,
+      ...options
+    };
+
+    this.trackingMatchers = this.options.trackingParams.map(param => {
+      const name = param.toLowerCase();
+      return name.endsWith('*')
+        ? key => key.startsWith(name.slice(0, -1))
+        : key => key === name;
+    });
+  }
+
+  /**
+   * Normalize a URL, resolving it against an optional base.
+   * Returns null for unparseable input.
+   */
+  normalize(url, base) {
+    let urlObj;
+    try {
+      urlObj = base ? new URL(url, base) : new URL(url);
+    } catch {
+      return null;
+    }
+
+    const { options } = this;
+
+    // WHATWG URL parsing lowercases the host and drops default ports;
+    // without lowercaseHost the host is taken back as written
+    const host = options.lowercaseHost ? urlObj.host : this.getHostAsWritten(url, base, urlObj);
+
+    // Session IDs embedded as path parameters (e.g. ;jsessionid=...)
+    let pathname = urlObj.pathname;
+    if (options.stripTrackingParams) {
+      pathname = pathname.replace(/;(jsessionid|phpsessid)=[^/;]*/gi, '');
+    }
+    if (options.removeTrailingSlash && pathname.length > 1 && pathname.endsWith('/')) {
+      pathname = pathname.replace(/\/+$/, '') || '/';
+    }
+
+    let params = [...urlObj.searchParams.entries()];
+    if (options.stripTrackingParams) {
+      params = params.filter(([key]) => !this.isTrackingParam(key));
+    }
+    if (options.sortQuery) {
+      params.sort(([a, aValue], [b, bValue]) => (a === b ? aValue.localeCompare(bValue) : a < b ? -1 : 1));
+    }
+    const query = params.length > 0 ? `?${new URLSearchParams(params).toString()}` : '';
+
+    const hash = options.stripFragments ? '' : urlObj.hash;
+    const auth = urlObj.username
+      ? `${urlObj.username}${urlObj.password ? `:${urlObj.password}` : ''}@`
+      : '';
+
+    return `${urlObj.protocol}//${auth}${host}${pathname}${query}${hash}`;
+  }
+
+  /**
+   * The host of url (or of base, for a relative url) in its original case
+   */
+  getHostAsWritten(url, base, urlObj) {
+    const source = /^[a-z][a-z0-9+.-]*:\/\//i.test(url) ? url : String(base || '');
+    const hostname = source.match(/^[a-z][a-z0-9+.-]*:\/\/(?:[^@/?#]*@)?([^/?#:]+)/i)?.[1];
+    if (!hostname || hostname.toLowerCase() !== urlObj.hostname) return urlObj.host;
+    return urlObj.port ? `${hostname}:${urlObj.port}` : hostname;
+  }
+
+  isTrackingParam(name) {
+    const key = name.toLowerCase();
+    return this.trackingMatchers.some(matches => matches(key));
+  }
+}
@@ -1,9 +1,16 @@
+import { BUDGET_LABELS } from '../crawler/CrawlBudget.js';
+
 /**
  * ExportManager - Enhanced export functionality with multiple formats
  */
 export class ExportManager {
-  constructor() {
-    this.supportedFormats = ['csv', 'json', 'xml', 'txt'];
+  /**
+   * options.writer(content, filename, contentType) replaces the browser
+   * download, e.g. to write files from Node
+   */
+  constructor(options = {}) {
+    this.supportedFormats = ['csv', 'json', 'jsonl', 'xml', 'txt', 'broken-links', 'errors'];
+    this.writer = options.writer || null;
   }
 
   /**
@@ -18,10 +25,16 @@ export class ExportManager {
         return this.exportCSV(data, filename || `${defaultFilename}.csv`);
       case 'json':
         return this.exportJSON(data, filename || `${defaultFilename}.json`);
+      case 'jsonl':
+        return this.exportJSONL(data, filename || `${defaultFilename}.jsonl`);
       case 'xml':
         return this.exportXML(data, filename || `${defaultFilename}.xml`);
       case 'txt':
         return this.exportTXT(data, filename || `${defaultFilename}.txt`);
+      case 'broken-links':
+        return this.exportBrokenLinks(data, filename || `${defaultFilename}-broken-links.csv`);
+      case 'errors':
+        return this.exportErrors(data, filename || `${defaultFilename}-errors.csv`);
       default:
         throw new Error(`Unsupported export format: ${format}`);
     }
@@ -33,7 +46,9 @@ export class ExportManager {
   exportCSV(data, filename) {
     const headers = [
       'URL', 'Title', 'Description', 'Keywords', 'Word Count',
-      'Link Count', 'Image Count', 'Depth', 'Referrer', 'Crawled At'
+      'Link Count', 'Image Count', 'Depth', 'Referrer', 'Crawled At', 'Outbound Links',
+      'Original URL', 'Canonical URL', 'Change Status', 'Duplicate Of', 'Content Type', 'Redirect Chain', 'Inlinks', 'Outlinks', 'PageRank', 'Audit Score', 'Audit Issues',
+      'Schema Types', 'OG Title', 'OG Image', 'Twitter Card', 'Structured Data Warnings', 'Seed'
     ];
     
     const rows = data.pages.map(page => [
@@ -46,11 +61,29 @@ export class ExportManager {
       page.imageCount || 0,
       page.depth || 0,
       this.escapeCsvField(page.referrer || ''),
-      page.crawledAt
+      page.crawledAt,
+      this.escapeCsvField((page.links || []).map(link => link.url).join(' ')),
+      this.escapeCsvField(page.originalUrl || ''),
+      this.escapeCsvField(page.canonicalUrl || ''),
+      this.escapeCsvField(page.changeStatus || ''),
+      this.escapeCsvField(page.duplicateOf || ''),
+      this.escapeCsvField(page.contentType || ''),
+      this.escapeCsvField(this.formatRedirectChain(page.redirectChain, page.url)),
+      page.inlinks?.length || 0,
+      page.outlinks?.length || 0,
+      (page.pageRank || 0).toFixed(6),
+      page.auditScore ?? '',
+      this.escapeCsvField((page.auditIssues || []).map(issue => issue.rule).join(' ')),
+      this.escapeCsvField((page.structuredData?.types || []).join(' ')),
+      this.escapeCsvField([].concat(page.structuredData?.openGraph.title || []).join(' ')),
+      this.escapeCsvField([].concat(page.structuredData?.openGraph.image || []).join(' ')),
+      this.escapeCsvField([].concat(page.structuredData?.twitter.card || []).join(' ')),
+      this.escapeCsvField((page.structuredData?.warnings || []).join('; ')),
+      this.escapeCsvField(page.seed || '')
     ]);
     
     const csvContent = [headers.join(','), ...rows.map(row => row.join(','))].join('\n');
-    this.downloadFile(csvContent, filename, 'text/csv');
+    return this.writeFile(csvContent, filename, 'text/csv');
   }
 
   /**
@@ -66,11 +99,70 @@ export class ExportManager {
         crawlStats: data.stats
       },
       pages: data.pages,
-      errors: data.errors
+      errors: data.errors,
+      sitemaps: data.sitemaps || [],
+      sitemapReport: data.sitemapReport || null,
+      changes: data.changes || null,
+      duplicateGroups: data.duplicateGroups || [],
+      redirects: data.redirects || [],
+      linkGraph: data.linkGraph || null,
+      linkReport: data.linkReport || null,
+      audit: data.audit || null,
+      budget: data.budget || null,
+      hostStats: data.hostStats || [],
+      seeds: data.seeds || []
     };
     
     const jsonContent = JSON.stringify(exportData, null, 2);
-    this.downloadFile(jsonContent, filename, 'application/json');
+    return this.writeFile(jsonContent, filename, 'application/json');
+  }
+
+  /**
+   * Export to JSON Lines, one page record per line
+   */
+  exportJSONL(data, filename) {
+    const lines = data.pages.map(page => JSON.stringify(page));
+    return this.writeFile(lines.length > 0 ? `${lines.join('\n')}\n` : '', filename, 'application/x-ndjson');
+  }
+
+  /**
+   * Export crawl errors as CSV with their class, attempts and HTTP status
+   */
+  exportErrors(data, filename) {
+    const headers = ['URL', 'Error Class', 'Status', 'Attempts', 'Error', 'Redirect Chain', 'Time'];
+    
+    const rows = data.errors.map(error => [
+      this.escapeCsvField(error.url),
+      error.errorClass || '',
+      error.status ?? '',
+      error.attempts || 1,
+      this.escapeCsvField(error.error),
+      this.escapeCsvField(this.formatRedirectChain(error.redirectChain, null)),
+      error.timestamp
+    ]);
+    
+    const csvContent = [headers.join(','), ...rows.map(row => row.join(','))].join('\n');
+    return this.writeFile(csvContent, filename, 'text/csv');
+  }
+
+  /**
+   * Export the broken-links report as CSV, one row per referencing anchor
+   */
+  exportBrokenLinks(data, filename) {
+    const headers = ['Target URL', 'Status', 'Category', 'Error', 'Redirect Target', 'Referring Page', 'Anchor Text'];
+    
+    const rows = (data.linkReport?.broken || []).flatMap(link => link.referrers.map(referrer => [
+      this.escapeCsvField(link.url),
+      link.status ?? '',
+      link.category,
+      this.escapeCsvField(link.error || ''),
+      this.escapeCsvField(link.redirectTarget || ''),
+      this.escapeCsvField(referrer.source),
+      this.escapeCsvField(referrer.anchorText)
+    ]));
+    
+    const csvContent = [headers.join(','), ...rows.map(row => row.join(','))].join('\n');
+    return this.writeFile(csvContent, filename, 'text/csv');
   }
 
   /**
@@ -88,19 +180,76 @@ export class ExportManager {
     data.pages.forEach(page => {
       xmlContent += `    <page>\n`;
       xmlContent += `      <url>${this.escapeXml(page.url)}</url>\n`;
+      if (page.originalUrl && page.originalUrl !== page.url) {
+        xmlContent += `      <originalUrl>${this.escapeXml(page.originalUrl)}</originalUrl>\n`;
+      }
+      if (page.canonicalUrl) {
+        xmlContent += `      <canonicalUrl>${this.escapeXml(page.canonicalUrl)}</canonicalUrl>\n`;
+      }
       xmlContent += `      <title>${this.escapeXml(page.title)}</title>\n`;
       xmlContent += `      <description>${this.escapeXml(page.description)}</description>\n`;
       xmlContent += `      <keywords>${this.escapeXml(page.keywords)}</keywords>\n`;
       xmlContent += `      <wordCount>${page.wordCount || 0}</wordCount>\n`;
       xmlContent += `      <linkCount>${page.linkCount || 0}</linkCount>\n`;
       xmlContent += `      <imageCount>${page.imageCount || 0}</imageCount>\n`;
+      xmlContent += `      <inlinks>${page.inlinks?.length || 0}</inlinks>\n`;
+      xmlContent += `      <outlinks>${page.outlinks?.length || 0}</outlinks>\n`;
+      xmlContent += `      <pageRank>${(page.pageRank || 0).toFixed(6)}</pageRank>\n`;
       xmlContent += `      <depth>${page.depth || 0}</depth>\n`;
       xmlContent += `      <crawledAt>${page.crawledAt}</crawledAt>\n`;
+      if (page.changeStatus) {
+        xmlContent += `      <changeStatus>${page.changeStatus}</changeStatus>\n`;
+      }
+      if (page.duplicateOf) {
+        xmlContent += `      <duplicateOf>${this.escapeXml(page.duplicateOf)}</duplicateOf>\n`;
+      }
+      if (page.contentType) {
+        xmlContent += `      <contentType>${this.escapeXml(page.contentType)}</contentType>\n`;
+      }
+      if (page.auditIssues) {
+        xmlContent += `      <audit score="${page.auditScore}">\n`;
+        page.auditIssues.forEach(issue => {
+          xmlContent += `        <issue rule="${issue.rule}" severity="${issue.severity}">${this.escapeXml(issue.message)}</issue>\n`;
+        });
+        xmlContent += `      </audit>\n`;
+      }
+      if (page.structuredData) {
+        const { types, openGraph, twitter, warnings } = page.structuredData;
+        xmlContent += `      <structuredData>\n`;
+        types.forEach(type => {
+          xmlContent += `        <type>${this.escapeXml(type)}</type>\n`;
+        });
+        [['openGraph', openGraph], ['twitter', twitter]].forEach(([tag, group]) => {
+          Object.entries(group).forEach(([property, values]) => {
+            [].concat(values).forEach(value => {
+              xmlContent += `        <${tag} property="${this.escapeXml(property)}">${this.escapeXml(value)}</${tag}>\n`;
+            });
+          });
+        });
+        warnings.forEach(warning => {
+          xmlContent += `        <warning>${this.escapeXml(warning)}</warning>\n`;
+        });
+        xmlContent += `      </structuredData>\n`;
+      }
+      if (page.redirectChain?.length) {
+        xmlContent += `      <redirects>\n`;
+        page.redirectChain.forEach(hop => {
+          xmlContent += `        <redirect status="${hop.status ?? ''}" from="${this.escapeXml(hop.url)}" to="${this.escapeXml(hop.location || '')}"/>\n`;
+        });
+        xmlContent += `      </redirects>\n`;
+      }
+      if (page.links?.length) {
+        xmlContent += `      <links>\n`;
+        page.links.forEach(link => {
+          xmlContent += `        <link url="${this.escapeXml(link.url)}"${link.nofollow ? ' nofollow="true"' : ''}>${this.escapeXml(link.anchorText)}</link>\n`;
+        });
+        xmlContent += `      </links>\n`;
+      }
       xmlContent += `    </page>\n`;
     });
     
     xmlContent += `  </pages>\n</crawlResults>`;
-    this.downloadFile(xmlContent, filename, 'application/xml');
+    return this.writeFile(xmlContent, filename, 'application/xml');
   }
 
   /**
@@ -111,7 +260,22 @@ export class ExportManager {
     report += `Generated: ${new Date().toLocaleString()}\n`;
     report += `Total Pages: ${data.pages.length}\n`;
     report += `Total Errors: ${data.errors.length}\n`;
-    report += `Crawl Duration: ${data.stats.elapsed}s\n\n`;
+    report += `Crawl Duration: ${data.stats.elapsed}s\n`;
+    if (data.budget?.exhausted) {
+      report += `Stopped By: ${BUDGET_LABELS[data.budget.exhausted]} (${data.budget.exhausted})\n`;
+    }
+    if (data.budget?.cappedHosts.length > 0) {
+      report += `Hosts At Page Cap: ${data.budget.cappedHosts.join(', ')}\n`;
+    }
+    report += `\n`;
+    
+    if (data.seeds?.length > 1) {
+      report += `=== SEEDS ===\n\n`;
+      data.seeds.forEach(seed => {
+        report += `${seed.url}: ${seed.pages} pages${seed.maxDepth != null ? ` (depth ${seed.maxDepth})` : ''}\n`;
+      });
+      report += `\n`;
+    }
     
     report += `=== CRAWLED PAGES ===\n\n`;
     data.pages.forEach((page, index) => {
@@ -122,21 +286,134 @@ export class ExportManager {
       report += `   Depth: ${page.depth}, Crawled: ${new Date(page.crawledAt).toLocaleString()}\n\n`;
     });
     
+    const audit = data.audit;
+    if (audit?.pagesAudited > 0) {
+      report += `=== SEO AUDIT ===\n\n`;
+      report += `Site score: ${audit.score}/100 over ${audit.pagesAudited} pages\n`;
+      report += `Errors: ${audit.bySeverity.error}, Warnings: ${audit.bySeverity.warning}, Notices: ${audit.bySeverity.notice}\n\n`;
+      Object.entries(audit.byRule).filter(([, count]) => count > 0).forEach(([rule, count]) => {
+        report += `${rule} (${count}):\n`;
+        audit.findings.filter(finding => finding.rule === rule).forEach(finding => {
+          report += `   ${finding.url} - ${finding.message}\n`;
+        });
+      });
+      report += `\n`;
+    }
+    
+    const structured = data.pages.filter(page => page.structuredData);
+    if (structured.length > 0) {
+      const typeCounts = {};
+      structured.forEach(page => page.structuredData.types.forEach(type => {
+        typeCounts[type] = (typeCounts[type] || 0) + 1;
+      }));
+      const missingImage = structured.filter(page => !page.structuredData.openGraph.image);
+      const withWarnings = structured.filter(page => page.structuredData.warnings.length > 0);
+      
+      report += `=== STRUCTURED DATA ===\n\n`;
+      report += `Schema types: ${Object.entries(typeCounts).map(([type, count]) => `${type} (${count})`).join(', ') || 'none'}\n\n`;
+      report += `Missing og:image (${missingImage.length}):\n`;
+      missingImage.forEach(page => { report += `   ${page.url}\n`; });
+      if (withWarnings.length > 0) {
+        report += `\nJSON-LD warnings (${withWarnings.length} pages):\n`;
+        withWarnings.forEach(page => {
+          page.structuredData.warnings.forEach(warning => { report += `   ${page.url} - ${warning}\n`; });
+        });
+      }
+      report += `\n`;
+    }
+    
+    const ranked = data.pages.filter(page => page.pageRank).sort((a, b) => b.pageRank - a.pageRank).slice(0, 10);
+    if (ranked.length > 0) {
+      report += `=== TOP PAGES BY PAGERANK ===\n\n`;
+      ranked.forEach((page, index) => {
+        report += `${index + 1}. ${page.url}\n`;
+        report += `   PageRank: ${page.pageRank.toFixed(4)}, ${page.inlinks?.length || 0} inlinks, ${page.outlinks?.length || 0} outlinks\n`;
+      });
+      report += `\n`;
+    }
+    
+    const changes = data.changes;
+    if (changes && (changes.changed.length || changes.unchanged.length || changes.gone.length)) {
+      report += `=== CHANGES SINCE LAST CRAWL ===\n\n`;
+      ['new', 'changed', 'gone'].forEach(status => {
+        report += `${status[0].toUpperCase() + status.slice(1)} (${changes[status].length}):\n`;
+        changes[status].forEach(url => { report += `   ${url}\n`; });
+      });
+      report += `Unchanged: ${changes.unchanged.length}\n\n`;
+    }
+    
+    if (data.duplicateGroups?.length > 0) {
+      report += `=== NEAR-DUPLICATE GROUPS ===\n\n`;
+      data.duplicateGroups.forEach((group, index) => {
+        report += `${index + 1}. ${group.representative} (${group.size} pages)\n`;
+        group.urls.filter(url => url !== group.representative).forEach(url => {
+          report += `   ${url}\n`;
+        });
+      });
+      report += `\n`;
+    }
+    
+    if (data.redirects?.length > 0) {
+      report += `=== REDIRECT CHAINS ===\n\n`;
+      data.redirects.forEach((redirect, index) => {
+        report += `${index + 1}. ${redirect.url} [${redirect.outcome}, ${redirect.hops.length} hop${redirect.hops.length === 1 ? '' : 's'}]\n`;
+        report += `   ${this.formatRedirectChain(redirect.hops, redirect.finalUrl)}\n`;
+      });
+      report += `\n`;
+    }
+    
+    const linkReport = data.linkReport;
+    if (linkReport?.checked > 0) {
+      report += `=== BROKEN LINKS ===\n\n`;
+      report += `Links checked: ${linkReport.checked} of ${linkReport.links}, broken: ${linkReport.broken.length}\n\n`;
+      linkReport.broken.forEach((link, index) => {
+        report += `${index + 1}. ${link.url}\n`;
+        report += `   ${link.status ? `HTTP ${link.status}` : link.category}${link.error ? ` - ${link.error}` : ''}\n`;
+        link.referrers.forEach(referrer => {
+          report += `   Linked from ${referrer.source}${referrer.anchorText ? ` ("${referrer.anchorText}")` : ''}\n`;
+        });
+      });
+      report += `\n`;
+    }
+    
+    const sitemapReport = data.sitemapReport;
+    if (sitemapReport?.sitemaps.length > 0) {
+      report += `=== SITEMAP COVERAGE ===\n\n`;
+      report += `Sitemaps: ${sitemapReport.sitemaps.join(', ')}\n`;
+      report += `URLs in sitemaps: ${sitemapReport.sitemapUrls}\n\n`;
+      report += `In sitemap but not linked (${sitemapReport.inSitemapNotLinked.length}):\n`;
+      sitemapReport.inSitemapNotLinked.forEach(url => { report += `   ${url}\n`; });
+      report += `\nLinked but not in sitemap (${sitemapReport.linkedNotInSitemap.length}):\n`;
+      sitemapReport.linkedNotInSitemap.forEach(url => { report += `   ${url}\n`; });
+      report += `\n`;
+    }
+    
     if (data.errors.length > 0) {
       report += `=== ERRORS ===\n\n`;
       data.errors.forEach((error, index) => {
         report += `${index + 1}. ${error.url}\n`;
         report += `   Error: ${error.error}\n`;
+        if (error.errorClass) {
+          report += `   Class: ${error.errorClass}${error.status ? `, HTTP ${error.status}` : ''}, ${error.attempts || 1} attempt${(error.attempts || 1) === 1 ? '' : 's'}\n`;
+        }
         report += `   Time: ${new Date(error.timestamp).toLocaleString()}\n\n`;
       });
     }
     
-    this.downloadFile(report, filename, 'text/plain');
+    return this.writeFile(report, filename, 'text/plain');
   }
 
   /**
    * Utility methods
    */
+  formatRedirectChain(hops, finalUrl) {
+    if (!hops?.length) return '';
+    const steps = hops.map(hop => `${hop.url} (${hop.status ?? 'redirect'})`);
+    const last = hops[hops.length - 1].location;
+    if (finalUrl || last) steps.push(finalUrl || last);
+    return steps.join(' -> ');
+  }
+
   escapeCsvField(field) {
     if (typeof field !== 'string') return field;
     return `"${field.replace(/"/g, '""')}"`;
@@ -152,6 +429,11 @@ export class ExportManager {
       .replace(/'/g, '&#39;');
   }
 
+  writeFile(content, filename, contentType) {
+    if (this.writer) return this.writer(content, filename, contentType);
+    return this.downloadFile(content, filename, contentType);
+  }
+
   downloadFile(content, filename, contentType) {
     const blob = new Blob([content], { type: contentType });
     const url = URL.createObjectURL(blob);
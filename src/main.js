@@ -9,6 +9,9 @@ import { Logger } from './utils/Logger.js';
 import { ConfigManager } from './utils/ConfigManager.js';
 import { ExportManager } from './export/ExportManager.js';
 import { UIController } from './ui/UIController.js';
+import { CheckpointStore } from './utils/CheckpointStore.js';
+import { AUDIT_RULES } from './audit/SeoAuditor.js';
+import { WorkerPool } from './workers/WorkerPool.js';
 
 /**
  * WebWarden Application Class
@@ -18,10 +21,15 @@ class WebWardenApp {
     this.logger = new Logger('INFO');
     this.configManager = new ConfigManager();
     this.exportManager = new ExportManager();
-    this.searchEngine = new SearchEngine();
+    this.workerPool = this.createWorkerPool();
+    this.searchEngine = new SearchEngine({ workerPool: this.workerPool });
+    
+    this.checkpointStore = CheckpointStore.isSupported() ? new CheckpointStore() : null;
     
     // Initialize crawler with configuration
     this.crawler = new CrawlerEngine(this.configManager.getConfig());
+    this.crawler.setCheckpointStore(this.checkpointStore);
+    this.crawler.setWorkerPool(this.workerPool);
     
     // Initialize UI controller
     this.uiController = new UIController(
@@ -34,6 +42,14 @@ class WebWardenApp {
     this.initializeApp();
   }
 
+  /**
+   * Workers for HTML parsing and index building, when enabled and supported
+   */
+  createWorkerPool() {
+    if (!this.configManager.getConfig().useWorkers || !WorkerPool.isSupported()) return null;
+    return new WorkerPool(() => new Worker(new URL('./workers/crawler.worker.js', import.meta.url), { type: 'module' }));
+  }
+
   /**
    * Initialize the application
    */
@@ -42,6 +58,7 @@ class WebWardenApp {
     this.setupGlobalErrorHandling();
     this.setupPerformanceMonitoring();
     this.addAdvancedFeatures();
+    this.uiController.checkForCheckpoint();
   }
 
   /**
@@ -120,6 +137,9 @@ class WebWardenApp {
       }, 1000);
     });
 
+    // Preselect the configured default crawl mode
+    this.uiController.elements.crawlMode.value = this.configManager.getConfig().crawlMode;
+
     // Restore last search on load
     const lastSearch = localStorage.getItem('webwarden-last-search');
     if (lastSearch) {
@@ -165,7 +185,10 @@ class WebWardenApp {
         <label>Max Concurrency: <input type="number" id="configConcurrency" value="${config.maxConcurrency}" min="1" max="10"></label>
       </div>
       <div style="margin-bottom: 1rem;">
-        <label>Request Delay (ms): <input type="number" id="configDelay" value="${config.requestDelay}" min="100" max="10000"></label>
+        <label>Max Concurrency per Host: <input type="number" id="configHostConcurrency" value="${config.maxConcurrencyPerHost}" min="1" max="10"></label>
+      </div>
+      <div style="margin-bottom: 1rem;">
+        <label>Request Delay per Host (ms): <input type="number" id="configDelay" value="${config.requestDelay}" min="100" max="10000"></label>
       </div>
       <div style="margin-bottom: 1rem;">
         <label>Timeout (ms): <input type="number" id="configTimeout" value="${config.timeout}" min="1000" max="60000"></label>
@@ -173,9 +196,93 @@ class WebWardenApp {
       <div style="margin-bottom: 1rem;">
         <label>Max Retries: <input type="number" id="configRetries" value="${config.maxRetries}" min="0" max="5"></label>
       </div>
+      <fieldset style="margin-bottom: 1rem;">
+        <legend>Budgets (0 = unlimited)</legend>
+        <label style="display: block;">Max Pages per Host: <input type="number" id="configMaxPagesPerHost" value="${config.maxPagesPerHost}" min="0"></label>
+        <label style="display: block;">Max Pages per Directory: <input type="number" id="configMaxPagesPerDirectory" value="${config.maxPagesPerDirectory}" min="0"></label>
+        <label style="display: block;">Max Total Download (MB): <input type="number" id="configMaxTotalBytes" value="${config.maxTotalBytes / 1048576}" min="0" step="any"></label>
+        <label style="display: block;">Max Page Size (KB, longer pages are truncated): <input type="number" id="configMaxResponseBytes" value="${config.maxResponseBytes / 1024}" min="0" step="any"></label>
+        <label style="display: block;">Max Crawl Time (minutes): <input type="number" id="configMaxCrawlDuration" value="${config.maxCrawlDuration / 60000}" min="0" step="any"></label>
+      </fieldset>
       <div style="margin-bottom: 1rem;">
         <label><input type="checkbox" id="configRobots" ${config.respectRobots ? 'checked' : ''}> Respect robots.txt</label>
       </div>
+      <div style="margin-bottom: 1rem;">
+        <label><input type="checkbox" id="configSitemaps" ${config.useSitemaps ? 'checked' : ''}> Seed from sitemap.xml</label>
+      </div>
+      <div style="margin-bottom: 1rem;">
+        <label><input type="checkbox" id="configIncremental" ${config.incremental ? 'checked' : ''}> Incremental recrawl (conditional requests)</label>
+      </div>
+      <div style="margin-bottom: 1rem;">
+        <label><input type="checkbox" id="configSkipDuplicates" ${config.skipDuplicates ? 'checked' : ''}> Skip indexing near-duplicate pages</label>
+      </div>
+      <div style="margin-bottom: 1rem;">
+        <label><input type="checkbox" id="configCheckLinks" ${config.checkLinks ? 'checked' : ''}> Link check mode (verify every discovered link, including external)</label>
+      </div>
+      <div style="margin-bottom: 1rem;">
+        <label><input type="checkbox" id="configUseWorkers" ${config.useWorkers ? 'checked' : ''}> Parse pages in background workers</label>
+      </div>
+      <div style="margin-bottom: 1rem;">
+        <label><input type="checkbox" id="configFollowRedirects" ${config.followRedirects ? 'checked' : ''}> Follow redirects</label>
+        <label>Max Redirects: <input type="number" id="configMaxRedirects" value="${config.maxRedirects}" min="0" max="20"></label>
+      </div>
+      <div style="margin-bottom: 1rem;">
+        <label>Default Crawl Mode:
+          <select id="configCrawlMode">
+            <option value="breadth" ${config.crawlMode === 'breadth' ? 'selected' : ''}>Breadth-First</option>
+            <option value="depth" ${config.crawlMode === 'depth' ? 'selected' : ''}>Depth-First</option>
+            <option value="best" ${config.crawlMode === 'best' ? 'selected' : ''}>Best-First</option>
+          </select>
+        </label>
+      </div>
+      <div style="margin-bottom: 1rem;">
+        <label>Priority Keywords (best-first, comma separated): <input type="text" id="configPriorityKeywords" value="${config.priorityKeywords.join(', ')}" style="width: 100%;"></label>
+      </div>
+      <div style="margin-bottom: 1rem;">
+        <label>Allowed Domains (one per line, *.example.com for subdomains):
+          <textarea id="configAllowedDomains" rows="2" style="width: 100%;">${config.allowedDomains.join('\n')}</textarea>
+        </label>
+      </div>
+      <div style="margin-bottom: 1rem;">
+        <label>Blocked Domains:
+          <textarea id="configBlockedDomains" rows="2" style="width: 100%;">${config.blockedDomains.join('\n')}</textarea>
+        </label>
+      </div>
+      <div style="margin-bottom: 1rem;">
+        <label>Include Patterns (glob prefix like /docs/, or re:regex):
+          <textarea id="configIncludePatterns" rows="2" style="width: 100%;">${config.includePatterns.join('\n')}</textarea>
+        </label>
+      </div>
+      <div style="margin-bottom: 1rem;">
+        <label>Exclude Patterns (e.g. /search? or /tag/):
+          <textarea id="configExcludePatterns" rows="2" style="width: 100%;">${config.excludePatterns.join('\n')}</textarea>
+        </label>
+      </div>
+      <div style="margin-bottom: 1rem;">
+        <label>Content Types (comma separated, e.g. text/plain, application/rss+xml, text/*):
+          <input type="text" id="configContentTypes" value="${config.contentTypes.join(', ')}" style="width: 100%;">
+        </label>
+      </div>
+      <fieldset style="margin-bottom: 1rem;">
+        <legend>SEO Audit Rules</legend>
+        ${AUDIT_RULES.map(rule => `
+          <label style="display: block;"><input type="checkbox" class="config-audit-rule" value="${rule.id}" ${config.disabledAuditRules.includes(rule.id) ? '' : 'checked'}> ${rule.label} (${rule.severity})</label>
+        `).join('')}
+      </fieldset>
+      <div style="margin-bottom: 1rem;">
+        <label>Send Requests:
+          <select id="configTransport">
+            <option value="direct" ${config.transport === 'direct' ? 'selected' : ''}>Directly (only CORS-enabled sites)</option>
+            <option value="proxy" ${config.transport === 'proxy' ? 'selected' : ''}>Through the local proxy (npm run dev)</option>
+          </select>
+        </label>
+        <label>Proxy URL prefix: <input type="text" id="configProxyUrl" value="${config.proxyUrl}" style="width: 100%;"></label>
+      </div>
+      <div style="margin-bottom: 1rem;">
+        <label>Authenticated Hosts (JSON list of { host, username, password, bearerToken, cookies, headers, allowInsecure }):
+          <textarea id="configAuthProfiles" rows="3" style="width: 100%; font-family: monospace;"></textarea>
+        </label>
+      </div>
       <div style="margin-bottom: 1rem;">
         <label>User Agent: <input type="text" id="configUserAgent" value="${config.userAgent}" style="width: 100%;"></label>
       </div>
@@ -198,20 +305,70 @@ class WebWardenApp {
     backdrop.appendChild(panel);
     document.body.appendChild(backdrop);
     
+    // Set as a value, not markup: credentials may contain anything
+    panel.querySelector('#configAuthProfiles').value = config.authProfiles.length
+      ? JSON.stringify(config.authProfiles, null, 2)
+      : '';
+    
     // Save configuration
     panel.querySelector('#saveConfig').addEventListener('click', () => {
+      let authProfiles;
+      try {
+        const source = panel.querySelector('#configAuthProfiles').value.trim();
+        authProfiles = source ? JSON.parse(source) : [];
+      } catch (error) {
+        this.logger.error('Authenticated hosts must be a JSON list', { error: error.message });
+        panel.querySelector('#configAuthProfiles').style.borderColor = '#c00';
+        return;
+      }
+      
       const newConfig = {
         maxConcurrency: parseInt(panel.querySelector('#configConcurrency').value),
+        maxConcurrencyPerHost: parseInt(panel.querySelector('#configHostConcurrency').value),
         requestDelay: parseInt(panel.querySelector('#configDelay').value),
         timeout: parseInt(panel.querySelector('#configTimeout').value),
         maxRetries: parseInt(panel.querySelector('#configRetries').value),
+        maxPagesPerHost: parseInt(panel.querySelector('#configMaxPagesPerHost').value),
+        maxPagesPerDirectory: parseInt(panel.querySelector('#configMaxPagesPerDirectory').value),
+        maxTotalBytes: Math.round(parseFloat(panel.querySelector('#configMaxTotalBytes').value) * 1048576),
+        maxResponseBytes: Math.round(parseFloat(panel.querySelector('#configMaxResponseBytes').value) * 1024),
+        maxCrawlDuration: Math.round(parseFloat(panel.querySelector('#configMaxCrawlDuration').value) * 60000),
         respectRobots: panel.querySelector('#configRobots').checked,
-        userAgent: panel.querySelector('#configUserAgent').value
+        useSitemaps: panel.querySelector('#configSitemaps').checked,
+        incremental: panel.querySelector('#configIncremental').checked,
+        skipDuplicates: panel.querySelector('#configSkipDuplicates').checked,
+        checkLinks: panel.querySelector('#configCheckLinks').checked,
+        useWorkers: panel.querySelector('#configUseWorkers').checked,
+        followRedirects: panel.querySelector('#configFollowRedirects').checked,
+        maxRedirects: parseInt(panel.querySelector('#configMaxRedirects').value),
+        userAgent: panel.querySelector('#configUserAgent').value,
+        transport: panel.querySelector('#configTransport').value,
+        proxyUrl: panel.querySelector('#configProxyUrl').value,
+        authProfiles,
+        crawlMode: panel.querySelector('#configCrawlMode').value,
+        priorityKeywords: panel.querySelector('#configPriorityKeywords').value,
+        allowedDomains: panel.querySelector('#configAllowedDomains').value,
+        blockedDomains: panel.querySelector('#configBlockedDomains').value,
+        includePatterns: panel.querySelector('#configIncludePatterns').value,
+        excludePatterns: panel.querySelector('#configExcludePatterns').value,
+        contentTypes: panel.querySelector('#configContentTypes').value,
+        disabledAuditRules: [...panel.querySelectorAll('.config-audit-rule')]
+          .filter(input => !input.checked)
+          .map(input => input.value)
       };
       
       this.configManager.updateConfig(newConfig);
+      if (Boolean(this.workerPool) !== (newConfig.useWorkers && WorkerPool.isSupported())) {
+        this.workerPool?.terminate();
+        this.workerPool = this.createWorkerPool();
+        this.searchEngine.workerPool = this.workerPool;
+      }
       this.crawler = new CrawlerEngine(this.configManager.getConfig());
-      this.logger.info('Configuration updated', newConfig);
+      this.crawler.setCheckpointStore(this.checkpointStore);
+      this.crawler.setWorkerPool(this.workerPool);
+      this.uiController.crawler = this.crawler;
+      this.uiController.elements.crawlMode.value = this.configManager.getConfig().crawlMode;
+      this.logger.info('Configuration updated', ConfigManager.withoutSecrets(newConfig));
       document.body.removeChild(backdrop);
     });
   }
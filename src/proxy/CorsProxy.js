@@ -0,0 +1,215 @@
+import { lookup } from 'node:dns/promises';
+import { isIP } from 'node:net';
+import { FetchTransport, PROXY_PATH, PROXY_REQUEST_HEADER, PROXY_RESPONSE_HEADER } from '../crawler/FetchTransport.js';
+
+/**
+ * CorsProxy - Local forwarding proxy for browser crawls
+ * Node middleware (served by the Vite dev server at PROXY_PATH) that makes
+ * the upstream request for FetchTransport's 'proxy' mode: the crawler's
+ * headers are sent as given, redirects are returned rather than followed
+ * when the crawler asks for manual redirects, and the upstream status and
+ * headers come back in an envelope header. Only http(s) GET and HEAD
+ * requests are forwarded, only for pages served from the same origin, and
+ * never to loopback or private-network hosts unless allowPrivateTargets is
+ * set; it is meant for localhost development servers.
+ */
+// Per-connection headers that must not be forwarded
+const HOP_BY_HOP_HEADERS = ['connection', 'keep-alive', 'transfer-encoding', 'upgrade', 'host', 'proxy-connection'];
+
+const MAX_REDIRECTS = 20;
+
+// Unspecified, private, shared, loopback and link-local IPv4 ranges
+const PRIVATE_IPV4_RANGES = ['0.0.0.0/8', '10.0.0.0/8', '100.64.0.0/10', '127.0.0.0/8', '169.254.0.0/16', '172.16.0.0/12', '192.168.0.0/16'];
+
+const ipv4ToNumber = address => address.split('.').reduce((sum, octet) => sum * 256 + Number(octet), 0);
+
+export class CorsProxy {
+  constructor(options = {}) {
+    this.fetch = options.fetch || ((url, init) => fetch(url, init));
+    this.lookup = options.lookup || (hostname => lookup(hostname, { all: true }));
+    this.allowPrivateTargets = options.allowPrivateTargets === true;
+  }
+
+  /**
+   * Connect-style (req, res) handler for a server mounted at PROXY_PATH
+   */
+  middleware() {
+    return (req, res) => {
+      this.handle(req, res).catch(error => {
+        // Streaming stops with an error when the crawler hangs up
+        if (!res.destroyed) console.warn('Proxy request failed:', error.message);
+        if (!res.headersSent) res.writeHead(500);
+        res.end();
+      });
+    };
+  }
+
+  async handle(req, res) {
+    const target = new URL(req.url, 'http://localhost').searchParams.get('url');
+    if (!/^https?:\/\//i.test(target || '')) {
+      res.writeHead(400, { 'Content-Type': 'text/plain' });
+      res.end('Expected ?url=<http(s) URL>');
+      return;
+    }
+    if (!['GET', 'HEAD'].includes(req.method)) {
+      res.writeHead(405, { 'Allow': 'GET, HEAD' });
+      res.end();
+      return;
+    }
+    if (!this.isSameOrigin(req)) {
+      res.writeHead(403, { 'Content-Type': 'text/plain' });
+      res.end('Only pages served from this origin may use the proxy');
+      return;
+    }
+
+    const { headers = {}, redirect = 'follow' } = this.parseRequest(req.headers[PROXY_REQUEST_HEADER.toLowerCase()]);
+
+    // The crawler aborting its request (timeout, stop) closes ours
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) controller.abort();
+    });
+
+    let upstream;
+    try {
+      upstream = await this.fetchChecked(target, {
+        method: req.method,
+        headers: this.forwardableHeaders(headers),
+        signal: controller.signal
+      }, redirect === 'manual');
+    } catch (error) {
+      if (controller.signal.aborted) return;
+      const cause = error.cause || error;
+      res.writeHead(502, {
+        [PROXY_RESPONSE_HEADER]: FetchTransport.encode({ error: { message: cause.message, code: cause.code || null } }),
+        'Cache-Control': 'no-store'
+      });
+      res.end();
+      return;
+    }
+
+    res.writeHead(200, {
+      [PROXY_RESPONSE_HEADER]: FetchTransport.encode({
+        status: upstream.status,
+        statusText: upstream.statusText,
+        url: upstream.finalUrl,
+        headers: this.upstreamHeaders(upstream.headers)
+      }),
+      'Cache-Control': 'no-store'
+    });
+
+    if (upstream.body && req.method !== 'HEAD') {
+      for await (const chunk of upstream.body) {
+        res.write(chunk);
+      }
+    }
+    res.end();
+  }
+
+  /**
+   * Fetch target, refusing private hosts. Redirects are followed here
+   * (unless manual) so every hop is checked; resolves to the response
+   * with finalUrl set to the URL it came from.
+   */
+  async fetchChecked(target, init, manual) {
+    let url = target;
+    for (let hops = 0; ; hops++) {
+      await this.assertPublicTarget(url);
+      const response = await this.fetch(url, { ...init, redirect: 'manual' });
+      const location = response.headers.get('location');
+      if (manual || !location || response.status < 300 || response.status > 399) {
+        return Object.assign(response, { finalUrl: response.url || url });
+      }
+      if (hops >= MAX_REDIRECTS) throw new Error(`Too many redirects from ${target}`);
+      await response.body?.cancel();
+      url = new URL(location, url).href;
+    }
+  }
+
+  /**
+   * Whether the page asking is from this origin. Browsers send
+   * Sec-Fetch-Site (older ones Origin on cross-origin requests); clients
+   * that send neither are not browsers acting for another site.
+   */
+  isSameOrigin(req) {
+    const site = req.headers['sec-fetch-site'];
+    if (site) return site === 'same-origin' || site === 'none';
+
+    const origin = req.headers.origin;
+    if (!origin) return true;
+    try {
+      return new URL(origin).host === req.headers.host;
+    } catch {
+      return false;
+    }
+  }
+
+  async assertPublicTarget(url) {
+    if (this.allowPrivateTargets) return;
+
+    const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    const addresses = isIP(hostname)
+      ? [hostname]
+      : /(^|\.)localhost\.?$/i.test(hostname)
+        ? ['127.0.0.1']
+        : (await this.lookup(hostname)).map(({ address }) => address);
+
+    if (addresses.some(address => CorsProxy.isPrivateAddress(address))) {
+      throw Object.assign(new Error(`Refusing to proxy ${hostname}: it is a loopback or private-network address`), { code: 'EPRIVATE' });
+    }
+  }
+
+  static isPrivateAddress(address) {
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) return CorsProxy.isPrivateAddress(mapped[1]);
+
+    if (isIP(address) === 4) {
+      const value = ipv4ToNumber(address);
+      return PRIVATE_IPV4_RANGES.some(range => {
+        const [base, bits] = range.split('/');
+        const size = 2 ** (32 - Number(bits));
+        return Math.floor(value / size) === Math.floor(ipv4ToNumber(base) / size);
+      });
+    }
+
+    const normalized = address.toLowerCase();
+    return normalized === '::' || normalized === '::1' ||
+      /^f[cd]/.test(normalized) || // fc00::/7 unique local
+      /^fe[89ab]/.test(normalized); // fe80::/10 link-local
+  }
+
+  parseRequest(value) {
+    if (!value) return {};
+    try {
+      return FetchTransport.decode(value);
+    } catch {
+      return {};
+    }
+  }
+
+  forwardableHeaders(headers) {
+    return Object.fromEntries(Object.entries(headers)
+      .filter(([name]) => !HOP_BY_HOP_HEADERS.includes(name.toLowerCase())));
+  }
+
+  /**
+   * Upstream headers as [name, value] pairs (repeated Set-Cookie kept apart).
+   * fetch has already decoded the body, so its encoding and length go.
+   */
+  upstreamHeaders(headers) {
+    return [...headers]
+      .filter(([name]) => !HOP_BY_HOP_HEADERS.includes(name) && !['content-encoding', 'content-length'].includes(name));
+  }
+
+  /**
+   * Vite plugin serving the proxy from the dev server only
+   */
+  static vitePlugin(options = {}) {
+    return {
+      name: 'webwarden-cors-proxy',
+      configureServer(server) {
+        server.middlewares.use(PROXY_PATH, new CorsProxy(options).middleware());
+      }
+    };
+  }
+}
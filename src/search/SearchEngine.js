@@ -2,38 +2,98 @@
  * SearchEngine - Advanced search functionality with ranking and filtering
  */
 export class SearchEngine {
-  constructor() {
+  /**
+   * options.workerPool (a WorkerPool) lets updateIndexAsync build the
+   * inverted indexes off the main thread
+   */
+  constructor(options = {}) {
     this.index = [];
     this.searchCache = new Map();
+    this.workerPool = options.workerPool || null;
+    this.options = {
+      authorityWeight: options.authorityWeight ?? 30, // Max points PageRank can add
+      bodyMatchWeight: options.bodyMatchWeight ?? 0.5 // A body-only word match counts this much of a metadata match
+    };
+    this.maxPageRank = 0;
   }
 
   /**
    * Update the search index with new data
    */
   updateIndex(pages) {
+    this.setPages(pages);
+    this.buildSearchIndex();
+  }
+
+  /**
+   * Update the index, building it in a worker when a pool is available.
+   * Only the searchable text is sent to the worker.
+   */
+  async updateIndexAsync(pages) {
+    if (!this.workerPool) {
+      this.updateIndex(pages);
+      return;
+    }
+    
+    const { invertedIndex, bodyIndex } = await this.workerPool.run('buildIndex', {
+      documents: pages.map(page => SearchEngine.getIndexFields(page))
+    });
+    this.setPages(pages);
+    this.invertedIndex = invertedIndex;
+    this.bodyIndex = bodyIndex;
+  }
+
+  setPages(pages) {
     this.index = pages;
     this.searchCache.clear(); // Clear cache when index updates
-    this.buildSearchIndex();
+    this.maxPageRank = Math.max(0, ...pages.map(page => page.pageRank || 0));
   }
 
   /**
-   * Build inverted index for faster searching
+   * Build inverted indexes for faster searching
    */
   buildSearchIndex() {
-    this.invertedIndex = new Map();
+    const { invertedIndex, bodyIndex } = SearchEngine.buildIndexes(this.index.map(page => SearchEngine.getIndexFields(page)));
+    this.invertedIndex = invertedIndex;
+    this.bodyIndex = bodyIndex;
+  }
+
+  /**
+   * Text a page is indexed by: metadata and main body text are indexed
+   * separately so body matches can rank lower
+   */
+  static getIndexFields(page) {
+    return {
+      metadata: `${page.title} ${page.description} ${page.keywords}`,
+      body: page.mainText || ''
+    };
+  }
+
+  /**
+   * Inverted indexes (word -> Set of document positions) for
+   * getIndexFields() documents; also run inside workers
+   */
+  static buildIndexes(documents) {
+    const invertedIndex = new Map();
+    const bodyIndex = new Map();
     
-    this.index.forEach((page, pageIndex) => {
-      const text = `${page.title} ${page.description} ${page.keywords}`.toLowerCase();
-      const words = text.match(/\b\w+\b/g) || [];
-      
-      words.forEach(word => {
-        if (word.length > 2) { // Ignore very short words
-          if (!this.invertedIndex.has(word)) {
-            this.invertedIndex.set(word, new Set());
-          }
-          this.invertedIndex.get(word).add(pageIndex);
+    documents.forEach((fields, pageIndex) => {
+      SearchEngine.addToInvertedIndex(invertedIndex, fields.metadata, pageIndex);
+      SearchEngine.addToInvertedIndex(bodyIndex, fields.body, pageIndex);
+    });
+    return { invertedIndex, bodyIndex };
+  }
+
+  static addToInvertedIndex(invertedIndex, text, pageIndex) {
+    const words = text.toLowerCase().match(/\b\w+\b/g) || [];
+    
+    words.forEach(word => {
+      if (word.length > 2) { // Ignore very short words
+        if (!invertedIndex.has(word)) {
+          invertedIndex.set(word, new Set());
         }
-      });
+        invertedIndex.get(word).add(pageIndex);
+      }
     });
   }
 
@@ -41,7 +101,8 @@ export class SearchEngine {
    * Search the index with ranking
    */
   search(query, options = {}) {
-    if (!query.trim()) return this.index;
+    const collapse = options.collapseDuplicates !== false;
+    if (!query.trim()) return collapse ? this.collapseDuplicates(this.index) : this.index;
     
     const cacheKey = `${query.toLowerCase()}_${JSON.stringify(options)}`;
     if (this.searchCache.has(cacheKey)) {
@@ -53,32 +114,59 @@ export class SearchEngine {
     
     // Find pages containing query words
     queryWords.forEach(word => {
-      if (this.invertedIndex.has(word)) {
-        this.invertedIndex.get(word).forEach(pageIndex => {
-          const currentScore = pageScores.get(pageIndex) || 0;
-          pageScores.set(pageIndex, currentScore + 1);
-        });
-      }
+      const metadataMatches = this.invertedIndex.get(word) || new Set();
+      metadataMatches.forEach(pageIndex => {
+        const currentScore = pageScores.get(pageIndex) || 0;
+        pageScores.set(pageIndex, currentScore + 1);
+      });
+      
+      (this.bodyIndex.get(word) || new Set()).forEach(pageIndex => {
+        if (metadataMatches.has(pageIndex)) return;
+        const currentScore = pageScores.get(pageIndex) || 0;
+        pageScores.set(pageIndex, currentScore + this.options.bodyMatchWeight);
+      });
     });
 
     // Score and rank results
     const results = Array.from(pageScores.entries())
       .map(([pageIndex, wordMatches]) => {
         const page = this.index[pageIndex];
-        const score = this.calculateRelevanceScore(page, query, wordMatches);
+        const score = this.calculateRelevanceScore(page, query, wordMatches, options);
         return { page, score };
       })
       .sort((a, b) => b.score - a.score)
       .map(result => result.page);
 
-    this.searchCache.set(cacheKey, results);
-    return results;
+    const finalResults = collapse ? this.collapseDuplicates(results) : results;
+    this.searchCache.set(cacheKey, finalResults);
+    return finalResults;
+  }
+
+  /**
+   * Keep only the best-ranked page of each near-duplicate group
+   */
+  collapseDuplicates(results) {
+    const seenGroups = new Set();
+    return results.filter(page => {
+      if (!page.duplicateGroup) return true;
+      if (seenGroups.has(page.duplicateGroup)) return false;
+      seenGroups.add(page.duplicateGroup);
+      return true;
+    });
+  }
+
+  /**
+   * Other indexed pages in the same near-duplicate group as a page
+   */
+  getDuplicates(page) {
+    if (!page.duplicateGroup) return [];
+    return this.index.filter(other => other !== page && other.duplicateGroup === page.duplicateGroup);
   }
 
   /**
    * Calculate relevance score for search results
    */
-  calculateRelevanceScore(page, query, wordMatches) {
+  calculateRelevanceScore(page, query, wordMatches, options = {}) {
     let score = wordMatches * 10; // Base score from word matches
     
     const queryLower = query.toLowerCase();
@@ -117,12 +205,27 @@ export class SearchEngine {
       });
     });
     
+    // Body text phrase matches
+    if (page.mainText?.toLowerCase().includes(queryLower)) {
+      score += 10;
+    }
+    
     // Boost score for pages with more content
     score += Math.min(page.wordCount / 100, 10);
     
+    score += this.getAuthorityScore(page, options.authorityWeight ?? this.options.authorityWeight);
+    
     return score;
   }
 
+  /**
+   * Link authority: PageRank relative to the best-linked page, scaled to weight
+   */
+  getAuthorityScore(page, weight = this.options.authorityWeight) {
+    if (!weight || !this.maxPageRank || !page.pageRank) return 0;
+    return (page.pageRank / this.maxPageRank) * weight;
+  }
+
   /**
    * Get search suggestions based on indexed content
    */
@@ -147,6 +250,19 @@ export class SearchEngine {
     return Array.from(suggestions).slice(0, limit);
   }
 
+  /**
+   * Schema.org types found in the index, most common first
+   */
+  getSchemaTypes() {
+    const counts = new Map();
+    this.index.forEach(page => {
+      (page.structuredData?.types || []).forEach(type => counts.set(type, (counts.get(type) || 0) + 1));
+    });
+    return [...counts.entries()]
+      .map(([type, count]) => ({ type, count }))
+      .sort((a, b) => b.count - a.count || a.type.localeCompare(b.type));
+  }
+
   /**
    * Filter results by various criteria
    */
@@ -161,6 +277,18 @@ export class SearchEngine {
       filtered = filtered.filter(page => page.depth <= filters.maxDepth);
     }
     
+    if (filters.schemaType) {
+      const schemaType = filters.schemaType.toLowerCase();
+      filtered = filtered.filter(page =>
+        (page.structuredData?.types || []).some(type => type.toLowerCase() === schemaType));
+    }
+    
+    // e.g. { missingOpenGraph: 'image' } finds HTML pages without og:image
+    if (filters.missingOpenGraph) {
+      filtered = filtered.filter(page =>
+        page.structuredData && !page.structuredData.openGraph[filters.missingOpenGraph]);
+    }
+    
     if (filters.hasImages) {
       filtered = filtered.filter(page => page.imageCount > 0);
     }
@@ -0,0 +1,54 @@
+/**
+ * Test suite for AuthProfiles
+ */
+import { describe, it, expect, vi } from 'vitest';
+import { AuthProfiles } from '../crawler/AuthProfiles.js';
+
+describe('AuthProfiles', () => {
+  const profiles = new AuthProfiles([
+    { host: '*.example.com', bearerToken: 'wildcard-token', cookies: 'sid=1' },
+    { host: 'staging.example.com', username: 'ada', password: 'pässword', headers: { 'X-Env': 'staging' } }
+  ]);
+
+  it('should prefer exact hosts over wildcards and skip other hosts', () => {
+    expect(profiles.getHeaders('https://staging.example.com/docs')).toEqual({
+      'X-Env': 'staging',
+      'Authorization': `Basic ${Buffer.from('ada:pässword').toString('base64')}`,
+      'Cookie': 'sid=1'
+    });
+    expect(profiles.getHeaders('https://www.example.com/')).toEqual({
+      'Authorization': 'Bearer wildcard-token',
+      'Cookie': 'sid=1'
+    });
+    expect(profiles.getHeaders('https://example.org/')).toEqual({});
+  });
+
+  it('should only keep cookies set by profiled hosts', () => {
+    const auth = new AuthProfiles([{ host: 'intranet.test' }]);
+    const response = cookie => new Response(null, { status: 204, headers: { 'set-cookie': cookie } });
+
+    auth.storeCookies('https://intranet.test/login', response('session=xyz; Path=/'));
+    auth.storeCookies('https://tracker.test/', response('track=1'));
+
+    expect(auth.getHeaders('https://intranet.test/wiki')).toEqual({ Cookie: 'session=xyz' });
+    expect(auth.cookieJar.getCookieHeader('https://tracker.test/')).toBe('');
+
+    auth.reset();
+    expect(auth.getHeaders('https://intranet.test/wiki')).toEqual({});
+  });
+
+  it('should send credentials over plain HTTP only when the profile allows it', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const auth = new AuthProfiles([
+      { host: 'intranet.test', bearerToken: 'token', cookies: 'sid=1' },
+      { host: 'legacy.test', bearerToken: 'token', allowInsecure: true }
+    ]);
+
+    expect(auth.getHeaders('http://intranet.test/')).toEqual({});
+    expect(auth.getHeaders('http://intranet.test/other')).toEqual({});
+    expect(warn).toHaveBeenCalledTimes(1);
+    expect(auth.getHeaders('https://intranet.test/')).toEqual({ Authorization: 'Bearer token', Cookie: 'sid=1' });
+    expect(auth.getHeaders('http://legacy.test/')).toEqual({ Authorization: 'Bearer token' });
+    warn.mockRestore();
+  });
+});
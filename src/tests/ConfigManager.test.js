@@ -0,0 +1,41 @@
+/**
+ * Test suite for ConfigManager
+ */
+import { describe, it, expect } from 'vitest';
+import { ConfigManager } from '../utils/ConfigManager.js';
+
+describe('ConfigManager', () => {
+  const createStorage = (entries = {}) => {
+    const items = new Map(Object.entries(entries));
+    return {
+      getItem: key => items.get(key) ?? null,
+      setItem: (key, value) => items.set(key, value),
+      items
+    };
+  };
+
+  it('should keep credentials out of persistent storage', () => {
+    const storage = createStorage();
+    const secretStorage = createStorage();
+    const manager = new ConfigManager(storage, secretStorage);
+
+    manager.updateConfig({ maxPages: 5, authProfiles: [{ host: 'staging.example.com', password: 'hunter2' }] });
+
+    expect(storage.items.get('webwarden-config')).not.toContain('hunter2');
+    expect(JSON.parse(storage.items.get('webwarden-config')).maxPages).toBe(5);
+    expect(new ConfigManager(storage, secretStorage).getConfig().authProfiles[0].password).toBe('hunter2');
+    expect(new ConfigManager(storage, null).getConfig().authProfiles).toEqual([]);
+  });
+
+  it('should drop credentials saved by earlier versions', () => {
+    const storage = createStorage({
+      'webwarden-config': JSON.stringify({ maxPages: 7, authProfiles: [{ host: 'a.example', password: 'old' }] })
+    });
+
+    const config = new ConfigManager(storage, null).getConfig();
+
+    expect(config.maxPages).toBe(7);
+    expect(config.authProfiles).toEqual([]);
+    expect(storage.items.get('webwarden-config')).not.toContain('old');
+  });
+});
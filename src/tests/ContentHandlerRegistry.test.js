@@ -0,0 +1,111 @@
+/**
+ * Test suite for ContentHandlerRegistry
+ */
+import { describe, it, expect } from 'vitest';
+import { ContentHandlerRegistry } from '../crawler/ContentHandlerRegistry.js';
+
+describe('ContentHandlerRegistry', () => {
+  const registry = new ContentHandlerRegistry();
+  const url = 'https://example.com/docs';
+
+  describe('Handler resolution', () => {
+    it('should only resolve handlers enabled by contentTypes', () => {
+      expect(registry.resolve('text/html; charset=utf-8', ['text/html']).mimeType).toBe('text/html');
+      expect(registry.resolve('text/plain', ['text/html'])).toBeNull();
+      expect(registry.resolve('text/plain', ['text/*'])).not.toBeNull();
+      expect(registry.resolve('image/png', ['*/*'])).toBeNull();
+      expect(registry.resolve('', ['*/*'])).toBeNull();
+    });
+
+    it('should fall back to the base type for structured suffixes', () => {
+      const match = registry.resolve('application/ld+json', ['application/json']);
+      expect(match.mimeType).toBe('application/ld+json');
+      expect(match.handler).toBe(registry.handlers.get('application/json'));
+    });
+
+    it('should build the Accept header from the active types', () => {
+      expect(registry.getAcceptHeader(['text/html', 'text/plain'])).toBe('text/html,text/plain,*/*;q=0.8');
+    });
+  });
+
+  describe('Plain text', () => {
+    it('should use the first line as title and bare URLs as links', () => {
+      const content = registry.parseText('Partner API Guide\n\nSee https://example.com/api/v2. Or (https://example.com/faq)\n', url);
+
+      expect(content.title).toBe('Partner API Guide');
+      expect(content.links.map(link => link.href)).toEqual(['https://example.com/api/v2', 'https://example.com/faq']);
+      expect(content.bodyText).toContain('See https://example.com/api/v2');
+    });
+  });
+
+  describe('Feeds', () => {
+    it('should parse RSS channels and item links', () => {
+      const rss = `<?xml version="1.0"?>
+        <rss version="2.0"><channel>
+          <title>Partner News</title>
+          <description>Release notes &amp; updates</description>
+          <item><title>Version 2</title><link>https://example.com/v2</link>
+            <description>&lt;p&gt;Now with &lt;b&gt;feeds&lt;/b&gt;&lt;/p&gt;</description></item>
+          <item><title>Version 1</title><guid>https://example.com/v1</guid></item>
+        </channel></rss>`;
+      const content = registry.parseXml(rss, url);
+
+      expect(content.title).toBe('Partner News');
+      expect(content.description).toBe('Release notes & updates');
+      expect(content.links).toEqual([
+        { href: 'https://example.com/v2', anchorText: 'Version 2' },
+        { href: 'https://example.com/v1', anchorText: 'Version 1' }
+      ]);
+      expect(content.bodyText).toContain('Now with feeds');
+    });
+
+    it('should parse Atom entries using the alternate link', () => {
+      const atom = `<feed xmlns="http://www.w3.org/2005/Atom">
+          <title>Changelog</title><subtitle>Weekly</subtitle>
+          <entry><title>Week 1</title>
+            <link rel="self" href="https://example.com/feed/1"/>
+            <link href="https://example.com/week-1"/>
+            <summary>Fixed bugs</summary></entry>
+        </feed>`;
+      const content = registry.parseFeed(atom, url);
+
+      expect(content.title).toBe('Changelog');
+      expect(content.description).toBe('Weekly');
+      expect(content.links).toEqual([{ href: 'https://example.com/week-1', anchorText: 'Week 1' }]);
+    });
+  });
+
+  describe('XML and JSON', () => {
+    it('should extract text and href attributes from generic XML', () => {
+      const content = registry.parseXml('<doc><title>Spec</title><ref href="/spec/2"/><p>Body text</p></doc>', url);
+
+      expect(content.title).toBe('Spec');
+      expect(content.links).toEqual([{ href: '/spec/2', anchorText: '' }]);
+      expect(content.bodyText).toBe('Spec Body text');
+    });
+
+    it('should read titles, text and URLs from JSON', () => {
+      const content = registry.parseJson(JSON.stringify({
+        name: 'Widget',
+        description: 'A widget',
+        docs: { homepage: 'https://example.com/widget', notes: ['Fast', 'Small'] }
+      }), url);
+
+      expect(content.title).toBe('Widget');
+      expect(content.description).toBe('A widget');
+      expect(content.links).toEqual([{ href: 'https://example.com/widget', anchorText: 'homepage' }]);
+      expect(content.bodyText).toContain('Fast');
+      expect(() => registry.parseJson('{nope', url)).toThrow('Invalid JSON');
+    });
+
+    it('should link JSON Feed items by title', () => {
+      const content = registry.parseJson(JSON.stringify({
+        version: 'https://jsonfeed.org/version/1.1',
+        title: 'Blog',
+        items: [{ id: '1', url: 'https://example.com/post', title: 'Post' }]
+      }), url);
+
+      expect(content.links).toEqual([{ href: 'https://example.com/post', anchorText: 'Post' }]);
+    });
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * Test suite for CookieJar
+ */
+import { describe, it, expect } from 'vitest';
+import { CookieJar } from '../crawler/CookieJar.js';
+
+describe('CookieJar', () => {
+  it('should scope cookies by domain, path and Secure', () => {
+    const jar = new CookieJar();
+    jar.setCookies('https://app.example.com/account/login', [
+      'session=abc; Path=/; Secure; HttpOnly',
+      'prefs=dark; Domain=example.com; Path=/',
+      'step=2',
+      'evil=1; Domain=other.com'
+    ]);
+
+    expect(jar.getCookieHeader('https://app.example.com/account/settings')).toBe('step=2; session=abc; prefs=dark');
+    expect(jar.getCookieHeader('https://app.example.com/')).toBe('session=abc; prefs=dark');
+    expect(jar.getCookieHeader('http://app.example.com/')).toBe('prefs=dark');
+    expect(jar.getCookieHeader('https://docs.example.com/')).toBe('prefs=dark');
+    expect(jar.getCookieHeader('https://other.com/')).toBe('');
+  });
+
+  it('should replace and expire cookies', () => {
+    const jar = new CookieJar();
+    jar.setCookies('https://example.com/', ['session=one', 'theme=light']);
+    jar.setCookies('https://example.com/', ['session=two', 'theme=; Max-Age=0']);
+
+    expect(jar.getCookieHeader('https://example.com/')).toBe('session=two');
+
+    jar.addCookieString('example.com', 'a=1; b=2', true);
+    expect(jar.getCookieHeader('https://www.example.com/')).toBe('a=1; b=2');
+  });
+});
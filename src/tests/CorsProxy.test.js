@@ -0,0 +1,100 @@
+/**
+ * Test suite for CorsProxy
+ */
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createServer } from 'node:http';
+import { CorsProxy } from '../proxy/CorsProxy.js';
+import { FetchTransport, PROXY_PATH } from '../crawler/FetchTransport.js';
+
+describe('CorsProxy', () => {
+  let server;
+
+  const listen = async (proxy) => {
+    const handler = proxy.middleware();
+    server = createServer((req, res) => {
+      // Mounted like the Vite plugin does: the mount path is stripped
+      req.url = req.url.slice(PROXY_PATH.length);
+      handler(req, res);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return `http://127.0.0.1:${server.address().port}${PROXY_PATH}?url=`;
+  };
+
+  afterEach(async () => {
+    if (server) await new Promise(resolve => server.close(resolve));
+    server = null;
+  });
+
+  // example.com resolves to a public address without touching the network
+  const lookup = async hostname => [{ address: hostname === 'internal.example.com' ? '10.1.2.3' : '93.184.215.14' }];
+
+  it('should forward headers and return redirects unfollowed', async () => {
+    const upstream = vi.fn(async () => new Response(null, {
+      status: 301,
+      headers: { location: 'https://example.com/new', 'set-cookie': 'session=1' }
+    }));
+    const proxyUrl = await listen(new CorsProxy({ fetch: upstream, lookup }));
+    const transport = new FetchTransport({ mode: 'proxy', proxyUrl });
+
+    const response = await transport.fetch('https://example.com/old', {
+      headers: { 'User-Agent': 'WebWarden Test', 'Connection': 'keep-alive' },
+      redirect: 'manual'
+    });
+
+    const [url, init] = upstream.mock.calls[0];
+    expect(url).toBe('https://example.com/old');
+    expect(init).toMatchObject({ method: 'GET', redirect: 'manual', headers: { 'User-Agent': 'WebWarden Test' } });
+    expect(init.headers.Connection).toBeUndefined();
+    expect(response.status).toBe(301);
+    expect(response.headers.get('location')).toBe('https://example.com/new');
+  });
+
+  it('should reject non-http targets', async () => {
+    const upstream = vi.fn();
+    const proxyUrl = await listen(new CorsProxy({ fetch: upstream }));
+
+    const response = await fetch(`${proxyUrl}${encodeURIComponent('file:///etc/passwd')}`);
+
+    expect(response.status).toBe(400);
+    expect(upstream).not.toHaveBeenCalled();
+  });
+
+  it('should reject requests from pages on other origins', async () => {
+    const upstream = vi.fn(async () => new Response('ok'));
+    const proxyUrl = await listen(new CorsProxy({ fetch: upstream, lookup }));
+    const target = encodeURIComponent('https://example.com/');
+
+    const crossSite = await fetch(proxyUrl + target, { headers: { 'Sec-Fetch-Site': 'cross-site' } });
+    const otherOrigin = await fetch(proxyUrl + target, { headers: { Origin: 'https://evil.example' } });
+    const sameOrigin = await fetch(proxyUrl + target, { headers: { Origin: new URL(proxyUrl).origin } });
+
+    expect(crossSite.status).toBe(403);
+    expect(otherOrigin.status).toBe(403);
+    expect(sameOrigin.status).toBe(200);
+    expect(upstream).toHaveBeenCalledTimes(1);
+  });
+
+  it('should refuse loopback and private targets unless allowed', async () => {
+    const upstream = vi.fn(async url => url === 'https://example.com/hop'
+      ? new Response(null, { status: 302, headers: { location: 'http://192.168.1.1/admin' } })
+      : new Response('ok'));
+    const transport = new FetchTransport({ mode: 'proxy', proxyUrl: await listen(new CorsProxy({ fetch: upstream, lookup })) });
+
+    for (const target of ['http://127.0.0.1:8080/', 'http://localhost/', 'http://[::1]/', 'https://internal.example.com/', 'https://example.com/hop']) {
+      const error = await transport.fetch(target).catch(error => error);
+      expect(error.message).toMatch(/loopback or private-network/);
+    }
+    expect(upstream.mock.calls.map(([url]) => url)).toEqual(['https://example.com/hop']);
+
+    await new Promise(resolve => server.close(resolve));
+    const allowing = new FetchTransport({ mode: 'proxy', proxyUrl: await listen(new CorsProxy({ fetch: upstream, allowPrivateTargets: true })) });
+    expect(await (await allowing.fetch('http://127.0.0.1:8080/')).text()).toBe('ok');
+  });
+
+  it('should tell private addresses from public ones', () => {
+    ['10.0.0.1', '172.31.255.255', '192.168.0.1', '169.254.169.254', '127.0.0.1', '0.0.0.0', '::1', 'fd12::1', 'fe80::1', '::ffff:10.0.0.1']
+      .forEach(address => expect(CorsProxy.isPrivateAddress(address), address).toBe(true));
+    ['8.8.8.8', '172.32.0.1', '93.184.215.14', '2606:4700::1111', '::ffff:8.8.8.8']
+      .forEach(address => expect(CorsProxy.isPrivateAddress(address), address).toBe(false));
+  });
+});
@@ -0,0 +1,35 @@
+/**
+ * Test suite for CrawlBudget
+ */
+import { describe, it, expect } from 'vitest';
+import { CrawlBudget } from '../crawler/CrawlBudget.js';
+
+describe('CrawlBudget', () => {
+  it('should cap pages per host and per directory', () => {
+    const budget = new CrawlBudget({ maxPagesPerHost: 3, maxPagesPerDirectory: 2 });
+
+    expect(budget.take('https://big.example/blog/1')).toBe(true);
+    expect(budget.take('https://big.example/blog/2')).toBe(true);
+    expect(budget.take('https://big.example/blog/3')).toBe(false);
+    expect(budget.take('https://big.example/about')).toBe(true);
+    expect(budget.take('https://big.example/contact')).toBe(false);
+    expect(budget.take('https://small.example/')).toBe(true);
+
+    expect([...budget.cappedDirectories]).toEqual(['big.example/blog/']);
+    expect([...budget.cappedHosts]).toEqual(['big.example']);
+  });
+
+  it('should report exhausted crawl-wide budgets and survive a checkpoint', () => {
+    const budget = new CrawlBudget({ maxTotalBytes: 1000, maxCrawlDuration: 60000 });
+
+    expect(budget.getExhausted(1000)).toBeNull();
+    expect(budget.getExhausted(60000)).toBe('maxCrawlDuration');
+    budget.addBytes(1200);
+    expect(budget.getExhausted(0)).toBe('maxTotalBytes');
+
+    const restored = new CrawlBudget({ maxTotalBytes: 1000 });
+    restored.restore(JSON.parse(JSON.stringify(budget.toJSON())));
+    expect(restored.totalBytes).toBe(1200);
+    expect(new CrawlBudget().getExhausted(Infinity)).toBeNull();
+  });
+});
@@ -0,0 +1,33 @@
+import { describe, it, expect } from 'vitest';
+import { CrawlError } from '../crawler/CrawlError.js';
+
+describe('CrawlError', () => {
+  it('should classify HTTP statuses', () => {
+    expect(CrawlError.classifyStatus(404)).toBe('http-4xx');
+    expect(CrawlError.classifyStatus(429)).toBe('throttled');
+    expect(CrawlError.classifyStatus(502)).toBe('http-5xx');
+  });
+
+  it('should classify thrown errors', () => {
+    const dnsError = new TypeError('fetch failed', { cause: Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' }) });
+    const resetError = new TypeError('fetch failed', { cause: Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }) });
+    const timeoutError = new DOMException('The operation timed out', 'TimeoutError');
+
+    expect(CrawlError.classify(dnsError)).toBe('dns');
+    expect(CrawlError.classify(resetError)).toBe('network');
+    expect(CrawlError.classify(timeoutError)).toBe('timeout');
+    expect(CrawlError.classify(Object.assign(new Error('Redirect blocked'), { redirectOutcome: 'disallowed' }))).toBe('robots-denied');
+    expect(CrawlError.classify(Object.assign(new Error('Redirect loop'), { redirectOutcome: 'loop' }))).toBe('redirect');
+    expect(CrawlError.classify(new Error('Something else'))).toBe('other');
+  });
+
+  it('should wrap errors keeping status and redirect details', () => {
+    const original = Object.assign(new Error('HTTP 503'), { status: 503, redirectChain: [{ url: 'a', status: 301, location: 'b' }] });
+    const error = CrawlError.from(original, 'https://example.com/');
+
+    expect(error).toBeInstanceOf(CrawlError);
+    expect(error).toMatchObject({ errorClass: 'http-5xx', status: 503, attempts: 1, cause: original });
+    expect(error.redirectChain).toHaveLength(1);
+    expect(CrawlError.from(error)).toBe(error);
+  });
+});
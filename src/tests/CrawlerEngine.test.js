@@ -3,6 +3,7 @@
  */
 import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { CrawlerEngine } from '../crawler/CrawlerEngine.js';
+import { WorkerTasks } from '../workers/WorkerTasks.js';
 
 describe('CrawlerEngine', () => {
   let crawler;
@@ -45,6 +46,11 @@ describe('CrawlerEngine', () => {
       expect(customCrawler.config.maxConcurrency).toBe(5);
       expect(customCrawler.config.requestDelay).toBe(1000); // Should keep default
     });
+
+    it('should build the frontier for the configured crawl mode', () => {
+      expect(crawler.frontier.mode).toBe('breadth');
+      expect(new CrawlerEngine({ crawlMode: 'depth' }).frontier.mode).toBe('depth');
+    });
   });
 
   describe('Robots.txt parsing', () => {
@@ -86,6 +92,808 @@ describe('CrawlerEngine', () => {
       expect(pageData.keywords).toBe('test, page');
       expect(pageData.linkCount).toBe(1);
       expect(pageData.imageCount).toBe(1);
+      expect(pageData.links).toEqual([
+        { url: 'https://example.com/link1', originalUrl: 'https://example.com/link1', anchorText: 'Link 1' }
+      ]);
+    });
+  });
+
+  describe('Worker parsing', () => {
+    it('should build the same page record from worker-parsed content', async () => {
+      const tasks = new WorkerTasks();
+      const html = `<html><head><title>Zebras</title><link rel="canonical" href="/zebras/"></head>
+        <body><main><p>${'Zebras have black and white stripes. '.repeat(5)}</p><a href="/about">About</a></main></body></html>`;
+
+      const local = crawler.buildPageRecord('https://example.com/zebras', await crawler.parseHtml(html, 'https://example.com/zebras'), 0, null, html.length);
+      crawler.setWorkerPool({ run: (type, payload) => tasks.handle(type, structuredClone(payload)) });
+      const content = await crawler.parseHtml(html, 'https://example.com/zebras');
+      const remote = crawler.buildPageRecord('https://example.com/zebras', content, 0, null, html.length);
+
+      expect(content.bodyText).toBeUndefined();
+      const { crawledAt, loadTime, ...expected } = local;
+      expect(remote).toMatchObject(expected);
+      expect(remote.contentFingerprint).not.toBeNull();
+    });
+  });
+
+  describe('Sitemap seeding', () => {
+    it('should follow robots.txt sitemaps and sitemap indexes into the frontier', async () => {
+      const responses = {
+        'https://example.com/robots.txt': 'User-agent: *\nSitemap: https://example.com/sitemap_index.xml',
+        'https://example.com/sitemap_index.xml':
+          '<sitemapindex><sitemap><loc>https://example.com/pages.xml</loc></sitemap></sitemapindex>',
+        'https://example.com/pages.xml':
+          '<urlset><url><loc>https://example.com/orphan</loc><priority>0.9</priority></url>' +
+          '<url><loc>https://other.com/external</loc></url></urlset>'
+      };
+      vi.stubGlobal('fetch', vi.fn(async (url) => new Response(responses[url] ?? '', {
+        status: responses[url] ? 200 : 404
+      })));
+      crawler.controller = new AbortController();
+      crawler.scheduler.options.requestDelay = 0;
+
+      try {
+        await crawler.seedFromSitemaps('https://example.com/');
+      } finally {
+        vi.unstubAllGlobals();
+      }
+
+      expect(crawler.frontier.toArray()).toEqual([{
+        url: 'https://example.com/orphan',
+        originalUrl: 'https://example.com/orphan',
+        depth: 1,
+        referrer: 'https://example.com/pages.xml',
+        anchorText: '',
+        sitemapPriority: 0.9
+      }]);
+      expect(crawler.getSitemapReport().inSitemapNotLinked).toEqual(['https://example.com/orphan']);
+    });
+  });
+
+  describe('Checkpoints', () => {
+    it('should restore frontier, visited set and results from a checkpoint', () => {
+      const source = new CrawlerEngine({ crawlMode: 'depth' });
+      source.startUrl = 'https://example.com/';
+      source.visited.add('https://example.com/');
+      source.visited.add('https://example.com/in-flight');
+      source.inFlightItems.set('https://example.com/in-flight', { url: 'https://example.com/in-flight', depth: 1 });
+      source.frontier.push({ url: 'https://example.com/a', depth: 1 }, { url: 'https://example.com/b', depth: 1 });
+      source.index.push({ url: 'https://example.com/', title: 'Home' });
+      source.stats.processed = 1;
+
+      const checkpoint = structuredClone(source.getCheckpoint());
+      crawler.restoreCheckpoint(checkpoint);
+
+      expect(crawler.config.crawlMode).toBe('depth');
+      expect(crawler.frontier.toArray().map(item => item.url)).toEqual([
+        'https://example.com/in-flight',
+        'https://example.com/a',
+        'https://example.com/b'
+      ]);
+      expect([...crawler.visited]).toEqual(['https://example.com/']);
+      expect(crawler.index).toHaveLength(1);
+      expect(crawler.stats.processed).toBe(1);
+      expect(crawler.startUrl).toBe('https://example.com/');
+    });
+
+    it('should rebuild config-driven components from the restored config', () => {
+      const source = new CrawlerEngine({ transport: 'proxy', duplicateThreshold: 5, urlNormalization: { removeTrailingSlash: false } });
+      crawler = new CrawlerEngine();
+
+      crawler.restoreCheckpoint(structuredClone(source.getCheckpoint()));
+
+      expect(crawler.transport.mode).toBe('proxy');
+      expect(crawler.duplicateDetector.threshold).toBe(5);
+      expect(crawler.normalizeUrl('https://example.com/docs/')).toBe('https://example.com/docs/');
+    });
+
+    it('should write only the pages added since the last checkpoint', async () => {
+      const store = { save: vi.fn(async () => {}), savePages: vi.fn(async () => {}) };
+      crawler.setCheckpointStore(store);
+      crawler.index.push({ url: 'https://example.com/' }, { url: 'https://example.com/a' });
+      await crawler.saveCheckpoint();
+      crawler.index.push({ url: 'https://example.com/b' });
+      await crawler.saveCheckpoint();
+
+      expect(store.savePages.mock.calls).toEqual([
+        [[{ url: 'https://example.com/' }, { url: 'https://example.com/a' }], 0],
+        [[{ url: 'https://example.com/b' }], 2]
+      ]);
+      expect(store.save.mock.calls[1][0]).toMatchObject({ pageCount: 3 });
+      expect(store.save.mock.calls[1][0].index).toBeUndefined();
+    });
+
+    it('should save a checkpoint instead of completing when paused', async () => {
+      const store = { save: vi.fn(async () => {}), clear: vi.fn(async () => {}) };
+      const onComplete = vi.fn();
+      crawler.setCheckpointStore(store);
+      crawler.onComplete = onComplete;
+      crawler.frontier.push({ url: 'https://example.com/', depth: 0 });
+
+      crawler.pauseCrawl();
+      await crawler.runCrawl();
+
+      expect(store.save).toHaveBeenCalledTimes(1);
+      expect(store.save.mock.calls[0][0].frontier).toHaveLength(1);
+      expect(onComplete).not.toHaveBeenCalled();
+      expect(crawler.isPaused).toBe(true);
+    });
+  });
+
+  describe('Incremental recrawl', () => {
+    const previous = {
+      url: 'https://example.com/docs',
+      title: 'Docs',
+      etag: '"v1"',
+      lastModified: 'Wed, 01 Jan 2025 00:00:00 GMT',
+      contentHash: 'abc',
+      links: []
+    };
+
+    beforeEach(() => {
+      crawler = new CrawlerEngine({ respectRobots: false, maxRetries: 0 });
+      crawler.setBaseline([previous]);
+      crawler.controller = new AbortController();
+      crawler.stats.startTime = Date.now();
+    });
+
+    it('should send validators and reuse the previous record on 304', async () => {
+      const fetchMock = vi.fn(async () => new Response(null, { status: 304 }));
+      vi.stubGlobal('fetch', fetchMock);
+
+      try {
+        const pageData = await crawler.crawlPage('https://example.com/docs', 1, null);
+
+        expect(fetchMock.mock.calls[0][1].headers).toMatchObject({
+          'If-None-Match': '"v1"',
+          'If-Modified-Since': 'Wed, 01 Jan 2025 00:00:00 GMT'
+        });
+        expect(pageData).toMatchObject({ title: 'Docs', changeStatus: 'unchanged' });
+      } finally {
+        vi.unstubAllGlobals();
+      }
+    });
+
+    it('should classify content hashes and report gone pages', async () => {
+      expect(crawler.getChangeStatus('https://example.com/docs', 'abc')).toBe('unchanged');
+      expect(crawler.getChangeStatus('https://example.com/docs', 'def')).toBe('changed');
+      expect(crawler.getChangeStatus('https://example.com/new', 'abc')).toBe('new');
+      expect(crawler.hashContent('hello')).toBe(crawler.hashContent('hello'));
+      expect(crawler.hashContent('hello')).not.toBe(crawler.hashContent('hellp'));
+
+      vi.stubGlobal('fetch', vi.fn(async () => new Response('', { status: 410, statusText: 'Gone' })));
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      crawler.config.maxPages = 1;
+      crawler.onProgress = () => {};
+      crawler.frontier.push({ url: 'https://example.com/docs', depth: 0 });
+
+      try {
+        await crawler.crawlWorker();
+      } finally {
+        vi.unstubAllGlobals();
+        vi.restoreAllMocks();
+      }
+
+      expect(crawler.getChangeFeed().gone).toEqual(['https://example.com/docs']);
+    });
+
+    it('should keep a separate baseline for each site', async () => {
+      const baselines = new Map();
+      const store = {
+        save: vi.fn(async () => {}),
+        clear: vi.fn(async () => {}),
+        saveBaseline: vi.fn(async (pages, origin) => { baselines.set(origin, pages); }),
+        loadBaseline: vi.fn(async origin => baselines.get(origin) || null)
+      };
+      crawler = new CrawlerEngine({ respectRobots: false, useSitemaps: false, incremental: true, maxDepth: 0 });
+      crawler.scheduler.options.requestDelay = 0;
+      crawler.setCheckpointStore(store);
+      const fetchMock = vi.fn(async (url, init) => init.headers['If-None-Match']
+        ? new Response(null, { status: 304 })
+        : new Response('<title>Home</title>', { headers: { 'content-type': 'text/html', etag: `"${url}"` } }));
+      vi.stubGlobal('fetch', fetchMock);
+
+      const crawl = async (url) => {
+        let results;
+        crawler.reset();
+        await crawler.startCrawl(url, () => {}, crawlResults => { results = crawlResults; });
+        return results;
+      };
+      try {
+        await crawl('https://a.example/');
+        await crawl('https://b.example/');
+        const results = await crawl('https://a.example/');
+
+        expect([...baselines.keys()]).toEqual(['https://a.example', 'https://b.example']);
+        expect(fetchMock.mock.calls.at(-1)[1].headers['If-None-Match']).toBe('"https://a.example/"');
+        expect(results.pages[0]).toMatchObject({ url: 'https://a.example/', changeStatus: 'unchanged' });
+      } finally {
+        vi.unstubAllGlobals();
+      }
+    });
+
+    it('should keep baseline records of pages a limited crawl did not reach', async () => {
+      const baselines = new Map([['https://example.com', [
+        { url: 'https://example.com/', seed: 'https://example.com/', etag: '"home"' },
+        { url: 'https://example.com/gone', seed: 'https://example.com/', etag: '"gone"' },
+        { url: 'https://example.com/deep', seed: 'https://example.com/', etag: '"deep"' },
+        { url: 'https://example.com/far', seed: 'https://example.com/', etag: '"far"' }
+      ]]]);
+      crawler = new CrawlerEngine({ respectRobots: false, useSitemaps: false, incremental: true, maxPages: 2, maxConcurrency: 1 });
+      crawler.scheduler.options.requestDelay = 0;
+      crawler.setCheckpointStore({
+        save: async () => {},
+        clear: async () => {},
+        saveBaseline: async (pages, origin) => { baselines.set(origin, pages); },
+        loadBaseline: async origin => baselines.get(origin) || null
+      });
+      vi.stubGlobal('fetch', vi.fn(async (url) => url.endsWith('/gone')
+        ? new Response('', { status: 410 })
+        : new Response('<title>Page</title>', { headers: { 'content-type': 'text/html' } })));
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      try {
+        await crawler.startCrawl('https://example.com/');
+      } finally {
+        vi.unstubAllGlobals();
+        vi.restoreAllMocks();
+      }
+
+      const saved = baselines.get('https://example.com');
+      expect(saved.map(page => page.url).sort()).toEqual(['https://example.com/', 'https://example.com/deep', 'https://example.com/far']);
+      expect(saved.find(page => page.url === 'https://example.com/far').etag).toBe('"far"');
+    });
+  });
+
+  describe('Content types', () => {
+    it('should index enabled non-HTML types and reject the rest', async () => {
+      crawler = new CrawlerEngine({ respectRobots: false, maxRetries: 0, contentTypes: ['text/plain'] });
+      crawler.controller = new AbortController();
+      crawler.scheduler.options.requestDelay = 0;
+      crawler.stats.startTime = Date.now();
+      vi.stubGlobal('fetch', vi.fn(async (url) => url.endsWith('.txt')
+        ? new Response('Release Notes\nDetails at https://example.com/notes/2', { headers: { 'content-type': 'text/plain; charset=utf-8' } })
+        : new Response('<html></html>', { headers: { 'content-type': 'text/html' } })));
+
+      try {
+        const pageData = await crawler.crawlPage('https://example.com/notes.txt', 0, null);
+        expect(pageData).toMatchObject({ title: 'Release Notes', contentType: 'text/plain', wordCount: 5 });
+        expect(pageData.links[0].url).toBe('https://example.com/notes/2');
+        expect(pageData.mainText).toBe('Release Notes Details at https://example.com/notes/2');
+
+        await expect(crawler.crawlPage('https://example.com/page', 0, null)).rejects.toThrow('Unsupported content type');
+      } finally {
+        vi.unstubAllGlobals();
+      }
+    });
+  });
+
+  describe('Plugins', () => {
+    it('should run lifecycle hooks registered with use()', async () => {
+      crawler = new CrawlerEngine({
+        respectRobots: false, useSitemaps: false, incremental: false, maxRetries: 0,
+        requestDelay: 1, contentTypes: ['text/plain']
+      });
+      const fetchMock = vi.fn(async (url) => ({
+        'https://example.com/': new Response('Home https://example.com/a https://example.com/b https://example.com/private', { headers: { 'content-type': 'text/plain' } }),
+        'https://example.com/a': new Response('Page A', { headers: { 'content-type': 'text/plain' } })
+      })[url] || new Response('', { status: 500 }));
+      vi.stubGlobal('fetch', fetchMock);
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const discovered = [];
+      const errors = [];
+      const onComplete = vi.fn();
+      const plugin = {
+        name: 'test',
+        beforeEnqueue: item => !item.url.endsWith('/private'),
+        beforeRequest: request => { request.headers['X-Team'] = 'search'; },
+        afterParse: (page, { body }) => { page.bodyLength = body.length; },
+        onLinkDiscovered: link => { discovered.push(link.url); },
+        onError: entry => { errors.push(entry.url); },
+        onComplete
+      };
+
+      try {
+        await crawler.use(plugin).startCrawl('https://example.com/');
+      } finally {
+        vi.unstubAllGlobals();
+        warn.mockRestore();
+      }
+
+      expect(discovered).toHaveLength(3);
+      expect(fetchMock.mock.calls.map(([url]) => url)).not.toContain('https://example.com/private');
+      expect(fetchMock.mock.calls[0][1].headers['X-Team']).toBe('search');
+      expect(crawler.index.map(page => page.bodyLength)).toEqual([76, 6]);
+      expect(errors).toEqual(['https://example.com/b']);
+      expect(onComplete).toHaveBeenCalledTimes(1);
+      expect(onComplete.mock.calls[0][1].crawler).toBe(crawler);
+    });
+
+    it('should skip a page when beforeRequest returns false', async () => {
+      crawler = new CrawlerEngine({ respectRobots: false });
+      crawler.use({ beforeRequest: () => false });
+
+      expect(await crawler.crawlPage('https://example.com/', 0, null)).toBeNull();
+      expect(crawler.stats.skipped).toBe(1);
+    });
+  });
+
+  describe('Main text', () => {
+    it('should cap stored main text at a word boundary', () => {
+      crawler = new CrawlerEngine({ maxMainTextLength: 12 });
+      const pageData = crawler.buildPageRecord('https://example.com/', { bodyText: 'alpha beta gamma delta' }, 0, null, 22);
+
+      expect(pageData.mainText).toBe('alpha beta');
+      expect(pageData.wordCount).toBe(4);
+    });
+  });
+
+  describe('Redirects', () => {
+    const redirect = (location, status = 301) => new Response(null, { status, headers: { location } });
+
+    beforeEach(() => {
+      crawler = new CrawlerEngine({ respectRobots: false, maxRetries: 0, contentTypes: ['text/plain'] });
+      crawler.controller = new AbortController();
+      crawler.scheduler.options.requestDelay = 0;
+      crawler.stats.startTime = Date.now();
+    });
+
+    it('should record each hop and use the final URL as page identity', async () => {
+      const fetchMock = vi.fn(async (url) => ({
+        'https://example.com/old': redirect('/moved'),
+        'https://example.com/moved': redirect('https://example.com/new', 302)
+      })[url] || new Response('New page', { headers: { 'content-type': 'text/plain' } }));
+      vi.stubGlobal('fetch', fetchMock);
+
+      try {
+        const pageData = await crawler.crawlPage('https://example.com/old', 0, null);
+
+        expect(fetchMock.mock.calls[0][1].redirect).toBe('manual');
+        expect(pageData.url).toBe('https://example.com/new');
+        expect(pageData.redirectChain).toEqual([
+          { url: 'https://example.com/old', status: 301, location: 'https://example.com/moved' },
+          { url: 'https://example.com/moved', status: 302, location: 'https://example.com/new' }
+        ]);
+        expect(crawler.visited.has('https://example.com/new')).toBe(true);
+        expect(crawler.getResults().redirects[0]).toMatchObject({ finalUrl: 'https://example.com/new', outcome: 'followed' });
+
+        // A second path to the same final URL is not crawled twice
+        expect(await crawler.crawlPage('https://example.com/moved', 0, null)).toBeNull();
+      } finally {
+        vi.unstubAllGlobals();
+      }
+    });
+
+    it('should follow a redirect that only adds a trailing slash', async () => {
+      vi.stubGlobal('fetch', vi.fn(async (url) => url === 'https://example.com/docs'
+        ? redirect('/docs/')
+        : new Response('Docs', { headers: { 'content-type': 'text/plain' } })));
+
+      try {
+        const pageData = await crawler.crawlPage('https://example.com/docs', 0, null);
+
+        expect(pageData.url).toBe('https://example.com/docs');
+        expect(pageData.redirectChain).toEqual([
+          { url: 'https://example.com/docs', status: 301, location: 'https://example.com/docs/' }
+        ]);
+      } finally {
+        vi.unstubAllGlobals();
+      }
+    });
+
+    it('should check where a browser-followed redirect landed', async () => {
+      vi.stubGlobal('fetch', vi.fn(async (url, init) => {
+        if (init.redirect === 'manual') return { type: 'opaqueredirect', status: 0, headers: new Headers() };
+        const response = new Response('Elsewhere', { headers: { 'content-type': 'text/plain' } });
+        Object.defineProperty(response, 'url', { value: 'https://other.test/landing' });
+        return response;
+      }));
+
+      try {
+        await expect(crawler.crawlPage('https://example.com/out', 0, null)).rejects.toThrow('Redirected out of scope to https://other.test/landing');
+        expect(crawler.redirects[0]).toMatchObject({ outcome: 'out-of-scope' });
+      } finally {
+        vi.unstubAllGlobals();
+      }
+    });
+
+    it('should bring the host a seed redirects to into scope', async () => {
+      crawler = new CrawlerEngine({ respectRobots: false, useSitemaps: false, incremental: false, maxDepth: 1 });
+      crawler.scheduler.options.requestDelay = 0;
+      vi.stubGlobal('fetch', vi.fn(async (url) => ({
+        'https://example.com/': redirect('https://www.example.com/'),
+        'https://www.example.com/': new Response('<a href="/about">About</a>', { headers: { 'content-type': 'text/html' } })
+      })[url] || new Response('<title>About</title>', { headers: { 'content-type': 'text/html' } })));
+
+      let results;
+      try {
+        await crawler.startCrawl('https://example.com/', () => {}, crawlResults => { results = crawlResults; });
+      } finally {
+        vi.unstubAllGlobals();
+      }
+
+      expect(results.errors).toEqual([]);
+      expect(results.pages.map(page => page.url)).toEqual(['https://www.example.com/', 'https://www.example.com/about']);
+      expect(results.pages.every(page => page.seed === 'https://example.com/')).toBe(true);
+    });
+
+    it('should request URLs as linked and key them by their normalized form', async () => {
+      crawler = new CrawlerEngine({ respectRobots: false, useSitemaps: false, incremental: false, maxDepth: 1 });
+      crawler.scheduler.options.requestDelay = 0;
+      const fetchMock = vi.fn(async (url) => url === 'https://example.com/'
+        ? new Response('<a href="/docs/?b=2&a=1#intro">Docs</a>', { headers: { 'content-type': 'text/html' } })
+        : new Response('<title>Docs</title>', { headers: { 'content-type': 'text/html' } }));
+      vi.stubGlobal('fetch', fetchMock);
+
+      let results;
+      try {
+        await crawler.startCrawl('https://example.com/', () => {}, crawlResults => { results = crawlResults; });
+      } finally {
+        vi.unstubAllGlobals();
+      }
+
+      expect(fetchMock.mock.calls.map(([url]) => url)).toContain('https://example.com/docs/?b=2&a=1');
+      expect(results.pages.map(page => page.url)).toContain('https://example.com/docs?a=1&b=2');
+    });
+
+    it('should stop on loops and when maxRedirects is exceeded', async () => {
+      vi.stubGlobal('fetch', vi.fn(async (url) => ({
+        'https://example.com/a': redirect('/b'),
+        'https://example.com/b': redirect('/a'),
+        'https://example.com/1': redirect('/2'),
+        'https://example.com/2': redirect('/3')
+      })[url]));
+      crawler.config.maxRedirects = 1;
+
+      try {
+        await expect(crawler.crawlPage('https://example.com/a', 0, null)).rejects.toThrow('Redirect loop');
+        await expect(crawler.crawlPage('https://example.com/1', 0, null)).rejects.toThrow('Too many redirects');
+        expect(crawler.redirects.map(entry => entry.outcome)).toEqual(['loop', 'limit']);
+      } finally {
+        vi.unstubAllGlobals();
+      }
+    });
+  });
+
+  describe('Errors and retries', () => {
+    beforeEach(() => {
+      crawler = new CrawlerEngine({ respectRobots: false, maxRetries: 2, retryBaseDelay: 100, contentTypes: ['text/plain'] });
+      crawler.controller = new AbortController();
+      crawler.scheduler.options.requestDelay = 0;
+      crawler.stats.startTime = Date.now();
+      crawler.delay = vi.fn(async () => {});
+    });
+
+    it('should time out a single request without stopping the crawl', async () => {
+      crawler.config.timeout = 20;
+      vi.stubGlobal('fetch', vi.fn((url, options) => new Promise((resolve, reject) => {
+        options.signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+      })));
+
+      try {
+        const error = await crawler.fetchWithTimeout('https://example.com/slow').catch(error => error);
+
+        expect(error).toMatchObject({ name: 'CrawlError', errorClass: 'timeout' });
+        expect(crawler.controller.signal.aborted).toBe(false);
+      } finally {
+        vi.unstubAllGlobals();
+      }
+    });
+
+    it('should retry by error class and record class, attempts and status', async () => {
+      const fetchMock = vi.fn(async (url) => new Response('', { status: url.endsWith('/missing') ? 404 : 500 }));
+      vi.stubGlobal('fetch', fetchMock);
+      crawler.config.retryPolicy = { 'http-5xx': 1 };
+
+      try {
+        await crawler.crawlPage('https://example.com/broken', 0, null).catch(error => crawler.handleCrawlError('https://example.com/broken', error));
+        await crawler.crawlPage('https://example.com/missing', 0, null).catch(error => crawler.handleCrawlError('https://example.com/missing', error));
+
+        // One retry for the 500 per the policy, none for the 404
+        expect(fetchMock).toHaveBeenCalledTimes(3);
+        expect(crawler.errors).toEqual([
+          expect.objectContaining({ url: 'https://example.com/broken', errorClass: 'http-5xx', attempts: 2, status: 500 }),
+          expect.objectContaining({ url: 'https://example.com/missing', errorClass: 'http-4xx', attempts: 1, status: 404 })
+        ]);
+      } finally {
+        vi.unstubAllGlobals();
+      }
+    });
+  });
+
+  describe('Authentication', () => {
+    it('should send credentials per host, keep session cookies and leave them out of checkpoints', async () => {
+      crawler = new CrawlerEngine({
+        respectRobots: false,
+        followRedirects: true,
+        allowedDomains: ['sso.example.com'],
+        contentTypes: ['text/plain'],
+        authProfiles: [{ host: 'docs.example.com', username: 'ada', password: 'secret' }]
+      });
+      crawler.controller = new AbortController();
+      crawler.scheduler.options.requestDelay = 0;
+      const fetchMock = vi.fn(async (url) => {
+        if (url === 'https://docs.example.com/private') {
+          return new Response(null, { status: 302, headers: { location: 'https://sso.example.com/login', 'set-cookie': 'session=42; Path=/' } });
+        }
+        return new Response('Page', { headers: { 'content-type': 'text/plain' } });
+      });
+      vi.stubGlobal('fetch', fetchMock);
+
+      try {
+        await crawler.crawlPage('https://docs.example.com/private', 0, null);
+        await crawler.crawlPage('https://docs.example.com/other', 0, null);
+
+        const headersFor = index => fetchMock.mock.calls[index][1].headers;
+        expect(headersFor(0).Authorization).toBe(`Basic ${btoa('ada:secret')}`);
+        // The redirect to another host carries no credentials
+        expect(headersFor(1).Authorization).toBeUndefined();
+        expect(headersFor(1).Cookie).toBeUndefined();
+        expect(headersFor(2).Cookie).toBe('session=42');
+        expect(crawler.getCheckpoint().config.authProfiles).toBeUndefined();
+      } finally {
+        vi.unstubAllGlobals();
+      }
+    });
+  });
+
+  describe('Budgets', () => {
+    const page = (links) => new Response(
+      `<html><head><title>Page</title></head><body>${links.map(href => `<a href="${href}">${href}</a>`).join('')}</body></html>`,
+      { headers: { 'content-type': 'text/html' } }
+    );
+
+    it('should cap pages per host and report the byte budget that ended the crawl', async () => {
+      crawler = new CrawlerEngine({
+        respectRobots: false,
+        useSitemaps: false,
+        incremental: false,
+        requestDelay: 1,
+        maxConcurrency: 1,
+        maxPagesPerHost: 2
+      });
+      vi.stubGlobal('fetch', vi.fn(async (url) => page(['/a', '/b', '/c', '/d', '/e'].map(path => new URL(path, url).href))));
+
+      let results;
+      try {
+        await crawler.startCrawl('https://example.com/', () => {}, crawlResults => { results = crawlResults; });
+      } finally {
+        vi.unstubAllGlobals();
+      }
+
+      expect(results.pages).toHaveLength(2);
+      expect(results.budget.cappedHosts).toEqual(['example.com']);
+      expect(results.budget.hostPages).toEqual({ 'example.com': 2 });
+      expect(results.budget.exhausted).toBeNull();
+
+      crawler.config.maxPagesPerHost = 0;
+      crawler.config.maxTotalBytes = 400;
+      vi.stubGlobal('fetch', vi.fn(async (url) => page(['/a', '/b', '/c', '/d', '/e'].map(path => new URL(path, url).href))));
+      try {
+        await crawler.startCrawl('https://example.com/', () => {}, crawlResults => { results = crawlResults; });
+      } finally {
+        vi.unstubAllGlobals();
+      }
+
+      expect(results.budget.exhausted).toBe('maxTotalBytes');
+      expect(results.pages.length).toBeLessThan(6);
+      expect(results.stats.bytes).toBeGreaterThanOrEqual(400);
+    });
+
+    it('should truncate bodies over maxResponseBytes without reading the rest', async () => {
+      crawler = new CrawlerEngine({ respectRobots: false, maxResponseBytes: 10, contentTypes: ['text/plain'] });
+      crawler.controller = new AbortController();
+      crawler.scheduler.options.requestDelay = 0;
+      let pulls = 0;
+      const stream = new ReadableStream({
+        pull(controller) {
+          pulls++;
+          controller.enqueue(new TextEncoder().encode('0123456789abcdef'));
+        }
+      });
+      vi.stubGlobal('fetch', vi.fn(async () => new Response(stream, { headers: { 'content-type': 'text/plain' } })));
+
+      try {
+        const pageData = await crawler.crawlPage('https://example.com/huge.txt', 0, null);
+
+        expect(pageData).toMatchObject({ bytes: 10, truncated: true });
+        expect(pulls).toBeLessThan(3);
+
+        // Bodies without a stream are measured in bytes and truncated alike
+        const buffered = { body: null, text: async () => 'ééééé ééééé' };
+        expect(await crawler.readBody(buffered)).toEqual({ body: 'ééééé', bytes: 10, truncated: true });
+        crawler.config.maxResponseBytes = 0;
+        expect(await crawler.readBody(buffered)).toMatchObject({ bytes: 21, truncated: false });
+      } finally {
+        vi.unstubAllGlobals();
+      }
+    });
+  });
+
+  describe('Multiple seeds', () => {
+    const page = (links) => new Response(
+      `<html><head><title>Page</title></head><body>${links.map(href => `<a href="${href}">${href}</a>`).join('')}</body></html>`,
+      { headers: { 'content-type': 'text/html' } }
+    );
+
+    it('should crawl each seed with its own depth and scope and record the seed of every page', async () => {
+      crawler = new CrawlerEngine({ respectRobots: false, useSitemaps: false, incremental: false, maxDepth: 2 });
+      crawler.scheduler.options.requestDelay = 0;
+      vi.stubGlobal('fetch', vi.fn(async (url) => {
+        const { pathname } = new URL(url);
+        if (pathname === '/') return page(['/one', '/private/x']);
+        if (pathname === '/one') return page(['/two']);
+        return page([]);
+      }));
+
+      let results;
+      try {
+        await crawler.startCrawl([
+          'https://a.example/',
+          { url: 'https://b.example/', maxDepth: 1, scope: { excludePatterns: ['/private'] } }
+        ], () => {}, crawlResults => { results = crawlResults; });
+      } finally {
+        vi.unstubAllGlobals();
+      }
+
+      const seedOf = Object.fromEntries(results.pages.map(pageData => [pageData.url, pageData.seed]));
+      expect(seedOf).toEqual({
+        'https://a.example/': 'https://a.example/',
+        'https://a.example/one': 'https://a.example/',
+        'https://a.example/private/x': 'https://a.example/',
+        'https://a.example/two': 'https://a.example/',
+        'https://b.example/': 'https://b.example/',
+        'https://b.example/one': 'https://b.example/'
+      });
+      expect(results.seeds).toEqual([
+        { url: 'https://a.example/', maxDepth: null, pages: 4 },
+        { url: 'https://b.example/', maxDepth: 1, pages: 2 }
+      ]);
+    });
+
+    it('should follow redirects within the scope of the page\'s seed', async () => {
+      crawler = new CrawlerEngine({ respectRobots: false, useSitemaps: false, incremental: false, maxDepth: 2 });
+      crawler.scheduler.options.requestDelay = 0;
+      vi.stubGlobal('fetch', vi.fn(async (url) => ({
+        'https://a.example/': page(['/go', 'https://docs.a.example/direct']),
+        'https://a.example/go': new Response(null, { status: 301, headers: { location: 'https://docs.a.example/start' } })
+      })[url] || page([])));
+
+      let results;
+      try {
+        await crawler.startCrawl([
+          { url: 'https://a.example/', scope: { allowedDomains: ['docs.a.example'] } }
+        ], () => {}, crawlResults => { results = crawlResults; });
+      } finally {
+        vi.unstubAllGlobals();
+      }
+
+      expect(results.errors).toEqual([]);
+      expect(results.pages.map(pageData => pageData.url).sort()).toEqual([
+        'https://a.example/',
+        'https://docs.a.example/direct',
+        'https://docs.a.example/start'
+      ]);
+    });
+
+    it('should reject an invalid seed', async () => {
+      crawler = new CrawlerEngine();
+      await expect(crawler.startCrawl(['https://a.example/', 'not a url'])).rejects.toThrow('Invalid start URL provided: not a url');
+    });
+  });
+
+  describe('Link check mode', () => {
+    it('should reuse crawl outcomes and check the remaining links', async () => {
+      crawler = new CrawlerEngine({ respectRobots: false, checkLinks: true });
+      crawler.controller = new AbortController();
+      crawler.scheduler.options.requestDelay = 0;
+      crawler.onProgress = () => {};
+      crawler.addToIndex({ url: 'https://example.com/', status: 200, links: [
+        { url: 'https://example.com/gone', anchorText: 'Gone' },
+        { url: 'https://external.test/page', anchorText: 'External' }
+      ] });
+      crawler.errors.push({ url: 'https://example.com/gone', error: 'HTTP 404: Not Found', status: 404 });
+      const fetchMock = vi.fn(async () => new Response(null, { status: 500 }));
+      vi.stubGlobal('fetch', fetchMock);
+
+      try {
+        await crawler.checkLinks();
+      } finally {
+        vi.unstubAllGlobals();
+      }
+
+      expect(fetchMock.mock.calls.map(([url, init]) => `${init.method} ${url}`)).toEqual([
+        'HEAD https://external.test/page',
+        'GET https://external.test/page'
+      ]);
+      expect(crawler.getResults().linkReport.broken.map(link => [link.url, link.category])).toEqual([
+        ['https://example.com/gone', 'not-found'],
+        ['https://external.test/page', 'server-error']
+      ]);
+    });
+
+    it('should report links to hosts with an unreachable robots.txt as broken', async () => {
+      crawler = new CrawlerEngine({ respectRobots: true, checkLinks: true, maxRetries: 0 });
+      crawler.controller = new AbortController();
+      crawler.scheduler.options.requestDelay = 0;
+      crawler.onProgress = () => {};
+      crawler.addToIndex({ url: 'https://example.com/', status: 200, links: [
+        { url: 'https://dead.test/page', anchorText: 'Dead' }
+      ] });
+      const dnsError = new TypeError('fetch failed', { cause: Object.assign(new Error('getaddrinfo ENOTFOUND dead.test'), { code: 'ENOTFOUND' }) });
+      vi.stubGlobal('fetch', vi.fn(async () => { throw dnsError; }));
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      try {
+        await crawler.checkLinks();
+      } finally {
+        vi.unstubAllGlobals();
+        vi.restoreAllMocks();
+      }
+
+      expect(crawler.getResults().linkReport.broken.map(link => [link.url, link.category])).toEqual([
+        ['https://dead.test/page', 'dns']
+      ]);
+    });
+
+    it('should skip links to hosts whose robots.txt answers 5xx', async () => {
+      crawler = new CrawlerEngine({ respectRobots: true, checkLinks: true, maxRetries: 0 });
+      crawler.controller = new AbortController();
+      crawler.scheduler.options.requestDelay = 0;
+      crawler.onProgress = () => {};
+      crawler.addToIndex({ url: 'https://example.com/', status: 200, links: [
+        { url: 'https://flaky.test/page', anchorText: 'Flaky' }
+      ] });
+      const fetchMock = vi.fn(async () => new Response('', { status: 503 }));
+      vi.stubGlobal('fetch', fetchMock);
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      try {
+        await crawler.checkLinks();
+        expect(fetchMock.mock.calls.map(([url]) => url)).toEqual(['https://flaky.test/robots.txt']);
+      } finally {
+        vi.unstubAllGlobals();
+        vi.restoreAllMocks();
+      }
+
+      expect(crawler.getResults().linkReport.byCategory).toEqual({ skipped: 1 });
+    });
+  });
+
+  describe('Host stats', () => {
+    it('should keep per-host stats after the crawl is stopped', () => {
+      crawler = new CrawlerEngine();
+      crawler.scheduler.getHost('https://example.com/');
+
+      crawler.stopCrawl();
+
+      expect(crawler.getResults().hostStats.map(host => host.host)).toEqual(['example.com']);
+    });
+  });
+
+  describe('Link selection', () => {
+    it('should queue unvisited same-domain links from the parsed page', () => {
+      crawler.visited.add('https://example.com/seen');
+      const pageData = {
+        url: 'https://example.com/',
+        links: [
+          { url: 'https://example.com/seen', anchorText: 'Seen' },
+          { url: 'https://other.com/page', anchorText: 'External' },
+          { url: 'https://example.com/docs', originalUrl: 'https://example.com/docs#top', anchorText: 'Docs' },
+          { url: 'https://example.com/docs', originalUrl: 'https://example.com/docs', anchorText: 'Docs again' }
+        ]
+      };
+
+      expect(crawler.selectLinksToQueue(pageData, 1)).toEqual([
+        {
+          url: 'https://example.com/docs',
+          originalUrl: 'https://example.com/docs#top',
+          depth: 1,
+          referrer: 'https://example.com/',
+          anchorText: 'Docs'
+        }
+      ]);
     });
   });
 });
\ No newline at end of file
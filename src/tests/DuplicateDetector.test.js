@@ -0,0 +1,51 @@
+/**
+ * Test suite for SimHash and DuplicateDetector
+ */
+import { describe, it, expect } from 'vitest';
+import { SimHash } from '../crawler/SimHash.js';
+import { DuplicateDetector } from '../crawler/DuplicateDetector.js';
+
+const article = `The quick brown fox jumps over the lazy dog while the farmer watches
+  from the porch and the sun sets slowly behind the hills of the quiet valley where
+  the river bends twice before reaching the old mill that nobody has used for years.
+  In the morning the market opens early and traders arrive with baskets of apples,
+  fresh bread, cheese from the northern farms and bright flowers that sell out by noon,
+  while children run between the stalls and the church bell rings every quarter hour`;
+
+describe('SimHash', () => {
+  const simHash = new SimHash();
+
+  it('should give near-identical text a small Hamming distance', () => {
+    const original = simHash.fingerprint(article);
+    const printVersion = simHash.fingerprint(`${article} printed`);
+    const unrelated = simHash.fingerprint(
+      'Quarterly revenue grew across all regions as the company expanded its cloud ' +
+      'offering and signed several enterprise customers in banking and retail markets'
+    );
+
+    expect(original).toMatch(/^[0-9a-f]{16}$/);
+    expect(SimHash.distance(original, printVersion)).toBeLessThanOrEqual(3);
+    expect(SimHash.distance(original, unrelated)).toBeGreaterThan(10);
+  });
+
+  it('should not fingerprint very short text', () => {
+    expect(simHash.fingerprint('Home About Contact')).toBeNull();
+  });
+});
+
+describe('DuplicateDetector', () => {
+  it('should cluster pages under the first page seen', () => {
+    const detector = new DuplicateDetector({ threshold: 3 });
+
+    expect(detector.add('https://example.com/a', '00000000000000ff')).toBeNull();
+    expect(detector.add('https://example.com/a?print=1', '00000000000000fe')).toBe('https://example.com/a');
+    expect(detector.add('https://example.com/b', 'ffffffff00000000')).toBeNull();
+    expect(detector.add('https://example.com/empty', null)).toBeNull();
+
+    expect(detector.getGroups()).toEqual([{
+      representative: 'https://example.com/a',
+      urls: ['https://example.com/a', 'https://example.com/a?print=1'],
+      size: 2
+    }]);
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * Test suite for ExportManager
+ */
+import { describe, it, expect } from 'vitest';
+import { ExportManager } from '../export/ExportManager.js';
+
+describe('ExportManager', () => {
+  const results = {
+    pages: [{ url: 'https://a.example/', title: 'A', description: '', depth: 0, seed: 'https://a.example/' }],
+    errors: [],
+    stats: { elapsed: 2 },
+    budget: { exhausted: 'maxTotalBytes', totalBytes: 5000, cappedHosts: [], cappedDirectories: [], hostPages: { 'a.example': 1 }, directoryPages: {} },
+    hostStats: [{ host: 'https://a.example', requests: 1 }],
+    seeds: [
+      { url: 'https://a.example/', maxDepth: null, pages: 1 },
+      { url: 'https://b.example/', maxDepth: 2, pages: 0 }
+    ]
+  };
+
+  const exportAs = async (format) => {
+    let written;
+    await new ExportManager({ writer: content => { written = content; } }).export(results, format);
+    return written;
+  };
+
+  it('should include the budget report, host stats and seeds in JSON', async () => {
+    const exported = JSON.parse(await exportAs('json'));
+
+    expect(exported.budget).toEqual(results.budget);
+    expect(exported.hostStats).toEqual(results.hostStats);
+    expect(exported.seeds).toEqual(results.seeds);
+  });
+
+  it('should print a depth only for seeds that set their own', async () => {
+    const report = await exportAs('txt');
+
+    expect(report).toContain('https://a.example/: 1 pages\n');
+    expect(report).toContain('https://b.example/: 0 pages (depth 2)\n');
+  });
+
+  it('should count an error without recorded attempts as one attempt', async () => {
+    let written;
+    const errors = [{ url: 'https://a.example/x', error: 'Timed out', errorClass: 'timeout', timestamp: 0 }];
+    await new ExportManager({ writer: content => { written = content; } }).export({ ...results, errors }, 'txt');
+
+    expect(written).toContain('Class: timeout, 1 attempt\n');
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Test suite for FetchTransport
+ */
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { FetchTransport, PROXY_REQUEST_HEADER, PROXY_RESPONSE_HEADER } from '../crawler/FetchTransport.js';
+import { CrawlError } from '../crawler/CrawlError.js';
+import { CrawlerEngine } from '../crawler/CrawlerEngine.js';
+
+describe('FetchTransport', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should wrap requests for the proxy and unwrap its answer', async () => {
+    const fetchMock = vi.fn(async () => new Response('<p>Hi</p>', {
+      headers: {
+        [PROXY_RESPONSE_HEADER]: FetchTransport.encode({
+          status: 404,
+          statusText: 'Not Found',
+          url: 'https://example.com/final',
+          headers: [['content-type', 'text/html'], ['x-upstream', 'yes']]
+        })
+      }
+    }));
+    vi.stubGlobal('fetch', fetchMock);
+    const transport = new FetchTransport({ mode: 'proxy', proxyUrl: 'http://localhost:3000/proxy?url=' });
+
+    const response = await transport.fetch('https://example.com/page?a=1', {
+      headers: { 'User-Agent': 'WebWarden' },
+      redirect: 'manual'
+    });
+
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe('http://localhost:3000/proxy?url=https%3A%2F%2Fexample.com%2Fpage%3Fa%3D1');
+    expect(FetchTransport.decode(init.headers[PROXY_REQUEST_HEADER])).toEqual({
+      headers: { 'User-Agent': 'WebWarden' },
+      redirect: 'manual'
+    });
+    expect(response.status).toBe(404);
+    expect(response.url).toBe('https://example.com/final');
+    expect(response.headers.get('x-upstream')).toBe('yes');
+    expect(await response.text()).toBe('<p>Hi</p>');
+  });
+
+  it('should report upstream failures like a failed fetch', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => new Response(null, {
+      status: 502,
+      headers: { [PROXY_RESPONSE_HEADER]: FetchTransport.encode({ error: { message: 'getaddrinfo ENOTFOUND nowhere.test', code: 'ENOTFOUND' } }) }
+    })));
+    const transport = new FetchTransport({ mode: 'proxy' });
+
+    const error = await transport.fetch('https://nowhere.test/').catch(error => error);
+    expect(error).toBeInstanceOf(TypeError);
+    expect(CrawlError.classify(error)).toBe('dns');
+
+    vi.stubGlobal('fetch', vi.fn(async () => new Response(null, {
+      headers: { [PROXY_RESPONSE_HEADER]: FetchTransport.encode({ status: 101, statusText: 'Switching Protocols', headers: [] }) }
+    })));
+    await expect(transport.fetch('https://example.com/')).rejects.toThrow('unusable upstream status');
+
+    vi.stubGlobal('fetch', vi.fn(async () => new Response('Not found', { status: 404 })));
+    await expect(transport.fetch('https://example.com/')).rejects.toThrow('No proxy answered');
+  });
+
+  it('should let the crawler use a custom fetch function', async () => {
+    const customFetch = vi.fn(async () => new Response('Hello', { headers: { 'content-type': 'text/plain' } }));
+    const crawler = new CrawlerEngine({ respectRobots: false, contentTypes: ['text/plain'] });
+    crawler.controller = new AbortController();
+    crawler.scheduler.options.requestDelay = 0;
+    crawler.setTransport(customFetch);
+
+    const pageData = await crawler.crawlPage('https://example.com/', 0, null);
+
+    expect(pageData.url).toBe('https://example.com/');
+    expect(customFetch.mock.calls[0][1].headers['User-Agent']).toBe('WebWarden Crawler 2.0');
+    expect(() => new FetchTransport({ mode: 'carrier-pigeon' })).toThrow('Unknown transport');
+  });
+});
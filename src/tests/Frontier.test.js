@@ -0,0 +1,70 @@
+/**
+ * Test suite for Frontier
+ */
+import { describe, it, expect } from 'vitest';
+import { Frontier } from '../crawler/Frontier.js';
+
+const drain = (frontier) => {
+  const urls = [];
+  while (frontier.size > 0) {
+    urls.push(frontier.shift().url);
+  }
+  return urls;
+};
+
+describe('Frontier', () => {
+  it('should reject unknown crawl modes', () => {
+    expect(() => new Frontier('random')).toThrow('Unsupported crawl mode');
+  });
+
+  describe('Breadth-first', () => {
+    it('should visit items in insertion order', () => {
+      const frontier = new Frontier('breadth');
+      frontier.push({ url: 'a', depth: 1 }, { url: 'b', depth: 1 });
+      frontier.push({ url: 'c', depth: 2 });
+
+      expect(frontier.size).toBe(3);
+      expect(drain(frontier)).toEqual(['a', 'b', 'c']);
+      expect(frontier.shift()).toBeUndefined();
+    });
+  });
+
+  describe('Depth-first', () => {
+    it('should visit the most recently discovered page first, in link order', () => {
+      const frontier = new Frontier('depth');
+      frontier.push({ url: 'a', depth: 1 }, { url: 'b', depth: 1 });
+      expect(frontier.shift().url).toBe('a');
+
+      frontier.push({ url: 'a1', depth: 2 }, { url: 'a2', depth: 2 });
+      expect(drain(frontier)).toEqual(['a1', 'a2', 'b']);
+    });
+  });
+
+  describe('Best-first', () => {
+    it('should prefer shallow pages and keep FIFO order on ties', () => {
+      const frontier = new Frontier('best');
+      frontier.push({ url: 'deep', depth: 3 }, { url: 'x', depth: 1 }, { url: 'y', depth: 1 });
+
+      expect(drain(frontier)).toEqual(['x', 'y', 'deep']);
+    });
+
+    it('should boost anchor text keyword and URL pattern matches', () => {
+      const frontier = new Frontier('best', {
+        priorityKeywords: ['api'],
+        priorityPatterns: [{ pattern: '/blog/', weight: -50 }]
+      });
+      frontier.push(
+        { url: 'https://example.com/blog/post', depth: 1, anchorText: 'Post' },
+        { url: 'https://example.com/about', depth: 1, anchorText: 'About' },
+        { url: 'https://example.com/reference', depth: 2, anchorText: 'API Reference' }
+      );
+
+      expect(frontier.toArray().map(item => item.url)).toEqual([
+        'https://example.com/reference',
+        'https://example.com/about',
+        'https://example.com/blog/post'
+      ]);
+      expect(drain(frontier)[0]).toBe('https://example.com/reference');
+    });
+  });
+});
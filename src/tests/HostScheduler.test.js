@@ -0,0 +1,73 @@
+/**
+ * Test suite for HostScheduler
+ */
+import { describe, it, expect } from 'vitest';
+import { HostScheduler } from '../crawler/HostScheduler.js';
+
+describe('HostScheduler', () => {
+  const timed = (scheduler, url, starts) =>
+    scheduler.schedule(url, async () => {
+      starts.push({ url, at: Date.now() });
+    });
+
+  it('should space requests to the same host but not across hosts', async () => {
+    const scheduler = new HostScheduler({ requestDelay: 60, maxConcurrencyPerHost: 1 });
+    const starts = [];
+    const begin = Date.now();
+
+    await Promise.all([
+      timed(scheduler, 'https://a.com/1', starts),
+      timed(scheduler, 'https://a.com/2', starts),
+      timed(scheduler, 'https://b.com/1', starts)
+    ]);
+
+    const at = (url) => starts.find(start => start.url === url).at - begin;
+    expect(at('https://b.com/1')).toBeLessThan(30);
+    expect(at('https://a.com/2')).toBeGreaterThanOrEqual(55);
+  });
+
+  it('should back off on 429 and honor Retry-After', () => {
+    const scheduler = new HostScheduler({ requestDelay: 1000 });
+    const headers = new Headers({ 'retry-after': '5' });
+
+    scheduler.reportResponse('https://a.com/', { status: 429, headers });
+
+    const host = scheduler.getHost('https://a.com/');
+    expect(host.delay).toBe(2000);
+    expect(host.blockedUntil - Date.now()).toBeGreaterThan(4000);
+    expect(scheduler.getHostStats()[0]).toMatchObject({ host: 'a.com', backoffs: 1 });
+  });
+
+  it('should recover toward the base delay on healthy responses', () => {
+    const scheduler = new HostScheduler({ requestDelay: 1000, recoveryFactor: 0.5 });
+    const host = scheduler.getHost('https://a.com/');
+    host.delay = 8000;
+
+    scheduler.reportResponse('https://a.com/', { status: 200, headers: new Headers() });
+    expect(host.delay).toBe(4000);
+
+    scheduler.reportResponse('https://a.com/', { status: 200, headers: new Headers() });
+    scheduler.reportResponse('https://a.com/', { status: 200, headers: new Headers() });
+    scheduler.reportResponse('https://a.com/', { status: 200, headers: new Headers() });
+    expect(host.delay).toBe(1000);
+  });
+
+  it('should use the larger of adaptive delay and Crawl-delay', () => {
+    const scheduler = new HostScheduler({ requestDelay: 500 });
+    scheduler.setCrawlDelay('https://a.com', 3000);
+    expect(scheduler.getHostStats()[0].delay).toBe(3000);
+
+    scheduler.setCrawlDelay('https://a.com', 86400000);
+    expect(scheduler.getHostStats()[0].delay).toBe(60000);
+  });
+
+  it('should reject queued requests when cleared', async () => {
+    const scheduler = new HostScheduler({ requestDelay: 10000, maxConcurrencyPerHost: 1 });
+    const first = scheduler.schedule('https://a.com/1', async () => 'done');
+    const second = scheduler.schedule('https://a.com/2', async () => 'never');
+
+    await expect(first).resolves.toBe('done');
+    scheduler.clear();
+    await expect(second).rejects.toMatchObject({ name: 'AbortError' });
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Test suite for LinkChecker
+ */
+import { describe, it, expect, vi } from 'vitest';
+import { LinkChecker } from '../crawler/LinkChecker.js';
+
+describe('LinkChecker', () => {
+  const pages = [
+    { url: 'https://example.com/', links: [
+      { url: 'https://example.com/missing', anchorText: 'Old docs' },
+      { url: 'https://partner.test/', anchorText: 'Partner' }
+    ] },
+    { url: 'https://example.com/about', links: [
+      { url: 'https://example.com/missing', anchorText: 'Docs' }
+    ] }
+  ];
+
+  describe('Checking', () => {
+    it('should fall back to GET when HEAD fails', async () => {
+      const fetchFn = vi.fn(async (url, method) => new Response(null, { status: method === 'HEAD' ? 405 : 200 }));
+      const checker = new LinkChecker(fetchFn);
+
+      const result = await checker.check('https://partner.test/');
+
+      expect(fetchFn.mock.calls.map(call => call[1])).toEqual(['HEAD', 'GET']);
+      expect(result).toMatchObject({ status: 200, category: 'ok', error: null });
+    });
+
+    it('should classify timeouts, DNS and network failures', () => {
+      const dnsError = new TypeError('fetch failed', { cause: Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' }) });
+
+      expect(LinkChecker.categorizeError(new DOMException('timed out', 'TimeoutError'))).toBe('timeout');
+      expect(LinkChecker.categorizeError(dnsError)).toBe('dns');
+      expect(LinkChecker.categorizeError(new TypeError('Failed to fetch'))).toBe('network');
+      expect(LinkChecker.categorizeError(new DOMException('stopped', 'AbortError'))).toBeNull();
+      expect(LinkChecker.categorizeStatus(410)).toBe('not-found');
+      expect(LinkChecker.categorizeStatus(503)).toBe('server-error');
+    });
+  });
+
+  describe('Report', () => {
+    it('should group broken targets with every referrer and skip known results', async () => {
+      const fetchFn = vi.fn(async url => {
+        if (url.includes('partner')) throw new TypeError('Failed to fetch');
+        return new Response(null, { status: 404, statusText: 'Not Found' });
+      });
+      const checker = new LinkChecker(fetchFn, { concurrency: 2 });
+      checker.addReferences(pages);
+      checker.setResult('https://example.com/about', { status: 200, category: 'ok' });
+
+      await checker.checkAll();
+      const report = checker.getReport();
+
+      expect(report).toMatchObject({ links: 2, checked: 2, byCategory: { 'not-found': 1, network: 1 } });
+      expect(report.broken[0]).toMatchObject({
+        url: 'https://example.com/missing',
+        status: 404,
+        referrers: [
+          { source: 'https://example.com/', anchorText: 'Old docs' },
+          { source: 'https://example.com/about', anchorText: 'Docs' }
+        ]
+      });
+      expect(fetchFn.mock.calls.some(([url]) => url === 'https://example.com/about')).toBe(false);
+    });
+
+    it('should request and report the href as linked, not its normalized form', async () => {
+      const fetchFn = vi.fn(async url => new Response(null, { status: url.endsWith('/') ? 200 : 404 }));
+      const checker = new LinkChecker(fetchFn);
+      checker.addReferences([{ url: 'https://example.com/', links: [
+        { url: 'https://ext.test/dir', originalUrl: 'https://ext.test/dir/#intro', anchorText: 'Dir' },
+        { url: 'https://ext.test/gone', originalUrl: 'https://ext.test/gone', anchorText: 'Gone' }
+      ] }]);
+
+      await checker.checkAll();
+
+      expect(fetchFn.mock.calls.map(([url]) => url)).toContain('https://ext.test/dir/');
+      expect(checker.getReport().broken.map(link => link.url)).toEqual(['https://ext.test/gone']);
+    });
+
+    it('should report robots-disallowed targets as skipped, not broken', async () => {
+      const checker = new LinkChecker(vi.fn(), { isAllowed: async () => false });
+      checker.addReferences(pages);
+
+      await checker.checkAll();
+
+      expect(checker.getReport().broken).toEqual([]);
+      expect(checker.getReport().byCategory).toEqual({ skipped: 2 });
+    });
+  });
+});
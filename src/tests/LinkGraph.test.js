@@ -0,0 +1,57 @@
+/**
+ * Test suite for LinkGraph
+ */
+import { describe, it, expect } from 'vitest';
+import { LinkGraph } from '../crawler/LinkGraph.js';
+
+describe('LinkGraph', () => {
+  const link = (url, extra = {}) => ({ url: `https://example.com${url}`, anchorText: url, ...extra });
+  const page = path => `https://example.com${path}`;
+
+  describe('Edges', () => {
+    it('should record inlinks and outlinks through aliases', () => {
+      const graph = new LinkGraph();
+      graph.addPage(page('/'), [link('/old'), link('/about'), link('/')]);
+      graph.addPage(page('/new'), [link('/')]);
+      graph.addPage(page('/about'), [link('/', { nofollow: true })]);
+      graph.addAlias(page('/old'), page('/new'));
+
+      const { inlinks, outlinks } = graph.getLinkCounts();
+      expect([...inlinks.get(page('/'))]).toEqual([page('/new'), page('/about')]);
+      expect([...inlinks.get(page('/new'))]).toEqual([page('/')]);
+      expect(outlinks.get(page('/'))).toEqual([page('/new'), page('/about')]);
+      expect(graph.getInlinks(page('/new'))).toEqual([page('/')]);
+      expect(graph.toJSON().edges[0]).toEqual({
+        source: page('/'), target: page('/new'), anchorText: '/old', nofollow: false
+      });
+    });
+  });
+
+  describe('PageRank', () => {
+    it('should favour well-linked pages and sum to 1', () => {
+      const graph = new LinkGraph();
+      graph.addPage(page('/'), [link('/a'), link('/b')]);
+      graph.addPage(page('/a'), [link('/')]);
+      graph.addPage(page('/b'), [link('/'), link('/external')]);
+      graph.addPage(page('/orphan'), []);
+
+      const ranks = graph.computePageRank();
+      const total = [...ranks.values()].reduce((sum, rank) => sum + rank, 0);
+
+      expect(total).toBeCloseTo(1, 6);
+      expect(ranks.get(page('/'))).toBeGreaterThan(ranks.get(page('/a')));
+      expect(ranks.get(page('/a'))).toBeCloseTo(ranks.get(page('/b')), 6);
+      expect(ranks.get(page('/orphan'))).toBeLessThan(ranks.get(page('/a')));
+    });
+
+    it('should not pass rank through nofollow links', () => {
+      const graph = new LinkGraph();
+      graph.addPage(page('/'), [link('/a'), link('/b', { nofollow: true })]);
+      graph.addPage(page('/a'), []);
+      graph.addPage(page('/b'), []);
+
+      const ranks = graph.computePageRank();
+      expect(ranks.get(page('/a'))).toBeGreaterThan(ranks.get(page('/b')));
+    });
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * Test suite for MainContentExtractor
+ */
+import { describe, it, expect } from 'vitest';
+import { MainContentExtractor } from '../crawler/MainContentExtractor.js';
+import { HtmlParser } from '../utils/HtmlParser.js';
+
+describe('MainContentExtractor', () => {
+  const extractor = new MainContentExtractor();
+  const parse = html => new HtmlParser().parse(html);
+
+  it('should prefer the <main> region and drop page chrome', () => {
+    const doc = parse(`<html><body>
+      <header><a href="/">Logo</a></header>
+      <nav><a href="/a">Products</a></nav>
+      <main><h1>Zebras</h1><p>Zebras have<b>stripes</b>.</p><div class="share-buttons">Share this</div></main>
+      <footer>Copyright</footer>
+      <script>var tracking = true;</script>
+    </body></html>`);
+
+    expect(extractor.extract(doc)).toBe('Zebras Zebras havestripes.');
+  });
+
+  it('should score paragraph containers when there is no main or article', () => {
+    const doc = parse(`<html><body>
+      <div id="menu"><p>Home, Products, Pricing, Contact, Careers and more links</p></div>
+      <div class="links"><p><a href="/x">A long list of links that are only navigation really</a></p></div>
+      <div class="story">
+        <p>The first paragraph of the story, which is long enough to count.</p>
+        <p>The second paragraph, with a clause, another clause, and an ending.</p>
+      </div>
+    </body></html>`);
+
+    const text = extractor.extract(doc);
+    expect(text).toContain('The first paragraph of the story');
+    expect(text).toContain('an ending.');
+    expect(text).not.toContain('Pricing');
+    expect(text).not.toContain('navigation');
+  });
+
+  it('should measure text and link text for every element in one walk', () => {
+    const doc = parse('<html><body><div><p>One, two <a href="/x">three</a></p><p>four</p></div></body></html>');
+    const div = doc.body.querySelector('div');
+    const stats = extractor.measure(doc.body);
+
+    expect(stats.get(div)).toEqual({ length: 17, linkLength: 5, commas: 1 });
+    expect(stats.get(div.querySelector('a'))).toEqual({ length: 5, linkLength: 5, commas: 0 });
+    expect(extractor.getLinkDensity(stats.get(div))).toBeCloseTo(5 / 17);
+  });
+});
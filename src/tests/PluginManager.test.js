@@ -0,0 +1,42 @@
+/**
+ * Test suite for PluginManager
+ */
+import { describe, it, expect, vi } from 'vitest';
+import { PluginManager } from '../crawler/PluginManager.js';
+
+describe('PluginManager', () => {
+  const crawler = { name: 'crawler' };
+
+  it('should run hooks in order and stop at the first veto', async () => {
+    const plugins = new PluginManager(crawler);
+    const calls = [];
+    plugins.use({ beforeEnqueue: (item, { crawler: context }) => { calls.push(['first', item.url, context]); } });
+    plugins.use({ beforeEnqueue: async () => false });
+    plugins.use({ beforeEnqueue: () => { calls.push(['third']); } });
+
+    expect(await plugins.run('beforeEnqueue', { url: 'https://example.com/' })).toBe(false);
+    expect(calls).toEqual([['first', 'https://example.com/', crawler]]);
+    expect(await plugins.run('afterParse', {})).toBe(true);
+    expect(plugins.has('afterParse')).toBe(false);
+  });
+
+  it('should call setup, reject non-objects and log notification failures', async () => {
+    const plugins = new PluginManager(crawler);
+    const setup = vi.fn();
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const onComplete = vi.fn();
+
+    try {
+      plugins.use({ name: 'broken', setup, onComplete: () => { throw new Error('boom'); } });
+      plugins.use({ onComplete });
+      await plugins.notify('onComplete', { pages: [] });
+
+      expect(setup).toHaveBeenCalledWith(crawler);
+      expect(onComplete).toHaveBeenCalledTimes(1);
+      expect(warn).toHaveBeenCalledWith('Plugin broken failed in onComplete:', 'boom');
+      expect(() => plugins.use(() => {})).toThrow('A plugin must be an object');
+    } finally {
+      warn.mockRestore();
+    }
+  });
+});
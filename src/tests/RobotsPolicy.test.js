@@ -0,0 +1,82 @@
+/**
+ * Test suite for RobotsPolicy
+ */
+import { describe, it, expect } from 'vitest';
+import { RobotsPolicy } from '../crawler/RobotsPolicy.js';
+
+describe('RobotsPolicy', () => {
+  const userAgent = 'WebWarden Crawler 2.0';
+
+  it('should apply the longest matching rule, preferring allow on ties', () => {
+    const policy = new RobotsPolicy(`
+      User-agent: *
+      Disallow: /docs
+      Allow: /docs/public
+      Disallow: /page
+      Allow: /page
+    `, userAgent);
+
+    expect(policy.isAllowed('/docs/private')).toBe(false);
+    expect(policy.isAllowed('/docs/public/intro')).toBe(true);
+    expect(policy.isAllowed('/page')).toBe(true);
+    expect(policy.isAllowed('/other')).toBe(true);
+  });
+
+  it('should support * and $ wildcards', () => {
+    const policy = new RobotsPolicy(`
+      User-agent: *
+      Disallow: /*.pdf$
+      Disallow: /search*?q=
+    `, userAgent);
+
+    expect(policy.isAllowed('/files/report.pdf')).toBe(false);
+    expect(policy.isAllowed('/files/report.pdf?download=1')).toBe(true);
+    expect(policy.isAllowed('/search/results?q=test')).toBe(false);
+    expect(policy.isAllowed('/search/results')).toBe(true);
+  });
+
+  it('should use the group for our product token instead of *', () => {
+    const policy = new RobotsPolicy(`
+      User-agent: *
+      Disallow: /
+
+      User-agent: googlebot
+      User-agent: webwarden
+      Disallow: /private
+      Crawl-delay: 2
+
+      Sitemap: https://example.com/sitemap.xml
+    `, userAgent);
+
+    expect(policy.isAllowed('/public')).toBe(true);
+    expect(policy.isAllowed('/private/area')).toBe(false);
+    expect(policy.getCrawlDelay()).toBe(2000);
+    expect(policy.sitemaps).toEqual(['https://example.com/sitemap.xml']);
+  });
+
+  it('should not match groups naming only part of the user agent string', () => {
+    const policy = new RobotsPolicy(`
+      User-agent: crawler
+      User-agent: web
+      Disallow: /
+
+      User-agent: *
+      Disallow: /private
+    `, userAgent);
+
+    expect(policy.isAllowed('/public')).toBe(true);
+    expect(policy.isAllowed('/private')).toBe(false);
+  });
+
+  it('should treat percent-encoded unreserved characters as literals', () => {
+    const policy = new RobotsPolicy('User-agent: *\nDisallow: /%7Euser', userAgent);
+    expect(policy.isAllowed('/~user/home')).toBe(false);
+  });
+
+  it('should always allow /robots.txt and handle unreachable hosts', () => {
+    const blocked = RobotsPolicy.disallowAll(userAgent);
+    expect(blocked.isAllowed('/anything')).toBe(false);
+    expect(blocked.isAllowed('/robots.txt')).toBe(true);
+    expect(RobotsPolicy.allowAll(userAgent).isAllowed('/anything')).toBe(true);
+  });
+});
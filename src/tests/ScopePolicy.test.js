@@ -0,0 +1,55 @@
+/**
+ * Test suite for ScopePolicy
+ */
+import { describe, it, expect } from 'vitest';
+import { ScopePolicy } from '../crawler/ScopePolicy.js';
+
+describe('ScopePolicy', () => {
+  it('should default to the seed host only', () => {
+    const scope = new ScopePolicy({}, ['https://www.example.com/']);
+
+    expect(scope.isInScope('https://www.example.com/about')).toBe(true);
+    expect(scope.isInScope('https://docs.example.com/')).toBe(false);
+    expect(scope.isInScope('not a url')).toBe(false);
+  });
+
+  it('should include subdomains and honor blocked domains first', () => {
+    const scope = new ScopePolicy({
+      allowedDomains: ['*.example.com'],
+      blockedDomains: ['legacy.example.com']
+    }, ['https://www.example.com/']);
+
+    expect(scope.isInScope('https://docs.example.com/guide')).toBe(true);
+    expect(scope.isInScope('https://example.com/')).toBe(true);
+    expect(scope.isInScope('https://legacy.example.com/')).toBe(false);
+    expect(scope.isInScope('https://notexample.com/')).toBe(false);
+  });
+
+  it('should apply glob and regex exclude patterns to path and query', () => {
+    const scope = new ScopePolicy({
+      excludePatterns: ['/search?', '/tag/', '/blog/*/print', 're:\\.pdf$']
+    }, ['https://example.com/']);
+
+    expect(scope.isInScope('https://example.com/search?q=test')).toBe(false);
+    expect(scope.isInScope('https://example.com/search')).toBe(true);
+    expect(scope.isInScope('https://example.com/tag/news')).toBe(false);
+    expect(scope.isInScope('https://example.com/blog/post-1/print')).toBe(false);
+    expect(scope.isInScope('https://example.com/blog/2025/post-1/print')).toBe(true);
+    expect(scope.isInScope('https://example.com/files/Report.PDF')).toBe(false);
+  });
+
+  it('should require include patterns to match except for seeds', () => {
+    const scope = new ScopePolicy({ includePatterns: ['/docs/**'] }, ['https://example.com/']);
+
+    expect(scope.isInScope('https://example.com/')).toBe(true);
+    expect(scope.isInScope('https://example.com/docs/a/b')).toBe(true);
+    expect(scope.isInScope('https://example.com/blog')).toBe(false);
+  });
+
+  it('should normalize domain entries and validate patterns', () => {
+    expect(ScopePolicy.normalizeDomain('https://Docs.Example.com/path')).toBe('docs.example.com');
+    expect(ScopePolicy.normalizeDomain('not a domain')).toBeNull();
+    expect(ScopePolicy.validatePattern('re:(unclosed')).toMatch('Invalid URL pattern');
+    expect(ScopePolicy.validatePattern('/docs/')).toBeNull();
+  });
+});
@@ -66,6 +66,56 @@ describe('SearchEngine', () => {
     });
   });
 
+  describe('Body text search', () => {
+    it('should find terms that only appear in the main text, below metadata matches', () => {
+      searchEngine.updateIndex([
+        { ...samplePages[0], mainText: 'Closures and prototypes explained step by step' },
+        { ...samplePages[1], title: 'Prototypes in Python' }
+      ]);
+
+      const results = searchEngine.search('prototypes');
+      expect(results.map(page => page.url)).toEqual(['https://example.com/page2', 'https://example.com/page1']);
+      expect(searchEngine.search('closures')).toHaveLength(1);
+    });
+  });
+
+  describe('Background indexing', () => {
+    it('should use indexes built by the worker pool', async () => {
+      const run = async (type, payload) => SearchEngine.buildIndexes(payload.documents);
+      const engine = new SearchEngine({ workerPool: { run } });
+
+      await engine.updateIndexAsync([{ ...samplePages[0], mainText: 'closures explained' }, samplePages[1]]);
+
+      expect(engine.search('closures').map(page => page.url)).toEqual(['https://example.com/page1']);
+      expect(engine.search('python')).toHaveLength(1);
+    });
+  });
+
+  describe('Duplicate collapsing', () => {
+    beforeEach(() => {
+      searchEngine.updateIndex([
+        ...samplePages,
+        {
+          ...samplePages[0],
+          url: 'https://example.com/page1?print=1',
+          duplicateOf: 'https://example.com/page1',
+          duplicateGroup: 'https://example.com/page1'
+        }
+      ]);
+      searchEngine.index[0].duplicateGroup = 'https://example.com/page1';
+    });
+
+    it('should collapse near-duplicates by default', () => {
+      expect(searchEngine.search('JavaScript')).toHaveLength(1);
+      expect(searchEngine.search('')).toHaveLength(2);
+    });
+
+    it('should return duplicates when collapsing is disabled', () => {
+      expect(searchEngine.search('JavaScript', { collapseDuplicates: false })).toHaveLength(2);
+      expect(searchEngine.getDuplicates(searchEngine.index[0])).toHaveLength(1);
+    });
+  });
+
   describe('Search ranking', () => {
     it('should rank exact title matches higher', () => {
       const results = searchEngine.search('JavaScript Tutorial');
@@ -77,6 +127,17 @@ describe('SearchEngine', () => {
       // Python page has more words, should rank higher for generic terms
       expect(results.length).toBeGreaterThan(0);
     });
+
+    it('should blend PageRank authority into the score', () => {
+      searchEngine.updateIndex([
+        { ...samplePages[0], pageRank: 0.1 },
+        { ...samplePages[1], wordCount: 500, pageRank: 0.4 }
+      ]);
+
+      expect(searchEngine.search('programming')[0].title).toBe('Python Guide');
+      expect(searchEngine.getAuthorityScore(searchEngine.index[0])).toBeCloseTo(7.5);
+      expect(searchEngine.getAuthorityScore(searchEngine.index[1], 0)).toBe(0);
+    });
   });
 
   describe('Result filtering', () => {
@@ -96,6 +157,18 @@ describe('SearchEngine', () => {
       const results = searchEngine.filterResults(samplePages, { hasImages: true });
       expect(results).toHaveLength(2); // Both have images
     });
+
+    it('should filter by schema type and missing OpenGraph image', () => {
+      const pages = [
+        { ...samplePages[0], structuredData: { types: ['Product', 'Offer'], openGraph: { image: 'https://example.com/a.png' } } },
+        { ...samplePages[1], structuredData: { types: ['Article'], openGraph: {} } }
+      ];
+
+      expect(searchEngine.filterResults(pages, { schemaType: 'product' }).map(page => page.url))
+        .toEqual(['https://example.com/page1']);
+      expect(searchEngine.filterResults(pages, { missingOpenGraph: 'image' }).map(page => page.url))
+        .toEqual(['https://example.com/page2']);
+    });
   });
 
   describe('Search suggestions', () => {
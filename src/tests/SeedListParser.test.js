@@ -0,0 +1,51 @@
+/**
+ * Test suite for SeedListParser
+ */
+import { describe, it, expect } from 'vitest';
+import { SeedListParser } from '../crawler/SeedListParser.js';
+
+describe('SeedListParser', () => {
+  const parser = new SeedListParser();
+
+  it('should read one whole URL per line without a header row', () => {
+    const seeds = parser.parse('# seeds\nhttps://a.example/\n\nhttps://b.example/list?ids=1,2,3\n');
+
+    expect(seeds).toEqual([
+      { url: 'https://a.example/' },
+      { url: 'https://b.example/list?ids=1,2,3' }
+    ]);
+  });
+
+  it('should read url and depth from tab-separated rows without a header', () => {
+    const seeds = parser.parse('https://b.example/docs\t1\nhttps://c.example/\tdeep\nhttps://d.example/\t50');
+
+    expect(seeds).toEqual([
+      { url: 'https://b.example/docs', maxDepth: 1 },
+      { url: 'https://c.example/' },
+      { url: 'https://d.example/', maxDepth: 10 }
+    ]);
+  });
+
+  it('should map header columns to per-seed scope', () => {
+    const seeds = parser.parse([
+      'URL,Max Depth,Domains,Exclude',
+      'https://a.example/,2,"a.example, cdn.a.example",/private|/admin',
+      'https://b.example/,,,'
+    ].join('\n'));
+
+    expect(seeds).toEqual([
+      {
+        url: 'https://a.example/',
+        maxDepth: 2,
+        scope: { allowedDomains: ['a.example', 'cdn.a.example'], excludePatterns: ['/private', '/admin'] }
+      },
+      { url: 'https://b.example/' }
+    ]);
+  });
+
+  it('should read tab-separated rows and quoted cells', () => {
+    expect(parser.parse('url\tdepth\nhttps://a.example/\t0')).toEqual([{ url: 'https://a.example/', maxDepth: 1 }]);
+    expect(parser.splitRow('"a ""b"", c",d', ',')).toEqual(['a "b", c', 'd']);
+    expect(parser.parse('')).toEqual([]);
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Test suite for SeoAuditor
+ */
+import { describe, it, expect } from 'vitest';
+import { SeoAuditor } from '../audit/SeoAuditor.js';
+
+describe('SeoAuditor', () => {
+  const page = (url, seo = {}, extra = {}) => ({
+    url,
+    canonicalUrl: url,
+    wordCount: 500,
+    depth: 1,
+    ...extra,
+    seo: {
+      titleTag: `Title for ${url}`,
+      metaDescription: `Description for ${url}`,
+      headingLevels: [1, 2, 3],
+      imagesWithoutAlt: 0,
+      robots: [],
+      ...seo
+    }
+  });
+  const rulesFor = (report, url) => report.findings.filter(finding => finding.url === url).map(finding => finding.rule);
+
+  describe('Rules', () => {
+    it('should pass a well-formed page', () => {
+      const report = new SeoAuditor().audit([page('https://example.com/')]);
+
+      expect(report.findings).toEqual([]);
+      expect(report.score).toBe(100);
+    });
+
+    it('should flag title, description and heading problems', () => {
+      const report = new SeoAuditor().audit([
+        page('https://example.com/a', { titleTag: '', metaDescription: 'x'.repeat(200), headingLevels: [2, 4] }),
+        page('https://example.com/b', { headingLevels: [1, 1, 2], imagesWithoutAlt: 2, robots: ['noindex'] },
+          { canonicalUrl: null, wordCount: 40, depth: 5 })
+      ]);
+
+      expect(rulesFor(report, 'https://example.com/a')).toEqual([
+        'title-missing', 'description-too-long', 'h1-missing', 'heading-level-skipped'
+      ]);
+      expect(rulesFor(report, 'https://example.com/b')).toEqual([
+        'h1-multiple', 'image-alt-missing', 'canonical-missing', 'noindex', 'thin-content', 'deep-page'
+      ]);
+      expect(report.bySeverity).toEqual({ error: 1, warning: 4, notice: 5 });
+    });
+
+    it('should flag duplicate titles and descriptions across pages', () => {
+      const shared = { titleTag: 'Home', metaDescription: 'Welcome' };
+      const report = new SeoAuditor().audit([page('https://example.com/', shared), page('https://example.com/index', shared)]);
+
+      expect(report.byRule['title-duplicate']).toBe(2);
+      expect(report.byRule['description-duplicate']).toBe(2);
+    });
+  });
+
+  describe('Configuration and scoring', () => {
+    it('should skip disabled rules and pages without HTML facts', () => {
+      const report = new SeoAuditor({ disabledRules: ['canonical-missing'] }).audit([
+        page('https://example.com/', {}, { canonicalUrl: null }),
+        { url: 'https://example.com/feed.xml', wordCount: 3 }
+      ]);
+
+      expect(report.findings).toEqual([]);
+      expect(report.rules).not.toContain('canonical-missing');
+      expect(report.pagesAudited).toBe(1);
+    });
+
+    it('should average page scores into the site score', () => {
+      const report = new SeoAuditor().audit([
+        page('https://example.com/'),
+        page('https://example.com/thin', {}, { wordCount: 10 })
+      ]);
+
+      expect(report.pages.map(result => result.score)).toEqual([100, 92]);
+      expect(report.score).toBe(96);
+    });
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Test suite for SitemapParser
+ */
+import { describe, it, expect } from 'vitest';
+import { SitemapParser } from '../crawler/SitemapParser.js';
+
+describe('SitemapParser', () => {
+  const parser = new SitemapParser();
+
+  it('should parse urlset entries with optional metadata', () => {
+    const xml = `<?xml version="1.0" encoding="UTF-8"?>
+      <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"
+              xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">
+        <url>
+          <image:image><image:loc>https://example.com/logo.png</image:loc></image:image>
+          <loc>https://example.com/?a=1&amp;b=2</loc>
+          <lastmod>2025-01-01</lastmod>
+          <changefreq>Weekly</changefreq>
+          <priority>0.8</priority>
+        </url>
+        <url><loc><![CDATA[https://example.com/orphan]]></loc></url>
+      </urlset>`;
+
+    expect(parser.parse(xml)).toEqual({
+      type: 'urlset',
+      entries: [
+        { url: 'https://example.com/?a=1&b=2', lastmod: '2025-01-01', priority: 0.8, changefreq: 'weekly' },
+        { url: 'https://example.com/orphan' }
+      ]
+    });
+  });
+
+  it('should parse sitemap index files', () => {
+    const xml = `<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+        <sitemap><loc>https://example.com/sitemap-posts.xml</loc><lastmod>2025-02-01</lastmod></sitemap>
+      </sitemapindex>`;
+
+    expect(parser.parse(xml)).toEqual({
+      type: 'sitemapindex',
+      entries: [{ url: 'https://example.com/sitemap-posts.xml', lastmod: '2025-02-01' }]
+    });
+  });
+
+  it('should return no entries for non-sitemap documents', () => {
+    expect(parser.parse('<html><body>Not found</body></html>')).toEqual({ type: null, entries: [] });
+  });
+});
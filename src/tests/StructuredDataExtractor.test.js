@@ -0,0 +1,71 @@
+/**
+ * Test suite for StructuredDataExtractor
+ */
+import { describe, it, expect } from 'vitest';
+import { StructuredDataExtractor } from '../crawler/StructuredDataExtractor.js';
+
+// Just enough of a parsed document for JSON-LD and meta tags
+const element = (attributes, textContent = '') => ({
+  textContent,
+  getAttribute: name => attributes[name] ?? null
+});
+
+const createDoc = ({ scripts = [], metas = [] }) => ({
+  querySelectorAll: selector => {
+    if (selector.startsWith('script')) return scripts;
+    if (selector.startsWith('meta')) return metas;
+    return [];
+  }
+});
+
+describe('StructuredDataExtractor', () => {
+  const extractor = new StructuredDataExtractor();
+
+  it('should normalize schema.org type names', () => {
+    expect(StructuredDataExtractor.normalizeType('https://schema.org/Product')).toBe('Product');
+    expect(StructuredDataExtractor.normalizeType('schema:Article')).toBe('Article');
+    expect(StructuredDataExtractor.normalizeType(42)).toBeNull();
+  });
+
+  it('should read JSON-LD items, flattening @graph and nested types', () => {
+    const doc = createDoc({
+      scripts: [
+        element({}, JSON.stringify({ '@context': 'https://schema.org', '@type': 'Product', name: 'Lamp', offers: { '@type': 'Offer', price: '10' } })),
+        element({}, JSON.stringify({ '@graph': [{ '@type': 'WebSite' }, { '@type': ['Article', 'NewsArticle'] }] }))
+      ]
+    });
+
+    const data = extractor.extract(doc);
+    expect(data.jsonLd).toHaveLength(3);
+    expect(data.types).toEqual(['Product', 'Offer', 'WebSite', 'Article', 'NewsArticle']);
+    expect(data.warnings).toEqual([]);
+  });
+
+  it('should warn about malformed, empty and untyped JSON-LD', () => {
+    const doc = createDoc({
+      scripts: [element({}, '{ "@type": "Product", }'), element({}, '  '), element({}, '{ "name": "x" }')]
+    });
+
+    const { warnings } = extractor.extract(doc);
+    expect(warnings).toHaveLength(3);
+    expect(warnings[0]).toMatch(/block 1 is malformed/);
+    expect(warnings[1]).toBe('JSON-LD block 2 is empty');
+    expect(warnings[2]).toBe('JSON-LD block 3 has an item without @type');
+  });
+
+  it('should group OpenGraph and Twitter Card tags', () => {
+    const doc = createDoc({
+      metas: [
+        element({ property: 'og:title', content: 'Lamp' }),
+        element({ property: 'og:image', content: 'https://example.com/1.png' }),
+        element({ property: 'og:image', content: 'https://example.com/2.png' }),
+        element({ name: 'twitter:card', content: 'summary_large_image' }),
+        element({ name: 'description', content: 'Not structured data' })
+      ]
+    });
+
+    const data = extractor.extract(doc);
+    expect(data.openGraph).toEqual({ title: 'Lamp', image: ['https://example.com/1.png', 'https://example.com/2.png'] });
+    expect(data.twitter).toEqual({ card: 'summary_large_image' });
+  });
+});
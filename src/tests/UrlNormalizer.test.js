@@ -0,0 +1,51 @@
+/**
+ * Test suite for UrlNormalizer
+ */
+import { describe, it, expect } from 'vitest';
+import { UrlNormalizer } from '../crawler/UrlNormalizer.js';
+
+describe('UrlNormalizer', () => {
+  const normalizer = new UrlNormalizer();
+
+  it('should collapse equivalent URL variants to one form', () => {
+    const variants = [
+      'https://Example.COM:443/docs/?b=2&a=1#intro',
+      'https://example.com/docs?a=1&b=2',
+      'https://example.com/docs/?a=1&utm_source=news&b=2&fbclid=xyz'
+    ];
+
+    variants.forEach(url => {
+      expect(normalizer.normalize(url)).toBe('https://example.com/docs?a=1&b=2');
+    });
+  });
+
+  it('should strip session IDs from query strings and path parameters', () => {
+    expect(normalizer.normalize('http://example.com/cart;jsessionid=ABC123?PHPSESSID=x&item=4'))
+      .toBe('http://example.com/cart?item=4');
+    // sid is often a real content parameter
+    expect(normalizer.normalize('https://example.com/story?sid=42')).toBe('https://example.com/story?sid=42');
+  });
+
+  it('should keep the root path slash and resolve relative URLs', () => {
+    expect(normalizer.normalize('https://example.com/')).toBe('https://example.com/');
+    expect(normalizer.normalize('../about/', 'https://example.com/docs/intro')).toBe('https://example.com/about');
+  });
+
+  it('should return null for unparseable URLs', () => {
+    expect(normalizer.normalize('not a url')).toBeNull();
+  });
+
+  it('should respect disabled rules', () => {
+    const lenient = new UrlNormalizer({
+      lowercaseHost: false,
+      stripFragments: false,
+      stripTrackingParams: false,
+      sortQuery: false,
+      removeTrailingSlash: false
+    });
+
+    expect(lenient.normalize('https://Example.COM:443/docs/?b=2&utm_source=x&a=1#intro'))
+      .toBe('https://Example.COM/docs/?b=2&utm_source=x&a=1#intro');
+    expect(lenient.normalize('/about', 'https://Example.com:8080/')).toBe('https://Example.com:8080/about');
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Test suite for WebWardenCli
+ */
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { mkdtemp, writeFile, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { WebWardenCli } from '../cli/WebWardenCli.js';
+
+const createOutput = () => {
+  const output = { text: '', write: chunk => { output.text += chunk; return true; } };
+  return output;
+};
+
+describe('WebWardenCli', () => {
+  let dir;
+
+  afterEach(async () => {
+    vi.unstubAllGlobals();
+    if (dir) await rm(dir, { recursive: true, force: true });
+    dir = null;
+  });
+
+  it('should read JSON exports, arrays and JSON Lines as an index', () => {
+    const page = { url: 'https://example.com/' };
+    expect(WebWardenCli.parseIndex(JSON.stringify({ pages: [page] }))).toEqual([page]);
+    expect(WebWardenCli.parseIndex(JSON.stringify([page, page]))).toHaveLength(2);
+    expect(WebWardenCli.parseIndex(`${JSON.stringify(page)}\n${JSON.stringify(page)}\n`)).toHaveLength(2);
+    expect(() => WebWardenCli.parseIndex('{"url": 1}\nnot json')).toThrow('Invalid index line 2');
+  });
+
+  it('should reject unknown commands and missing arguments with exit code 2', async () => {
+    const stderr = createOutput();
+    const cli = new WebWardenCli({ stdout: createOutput(), stderr });
+
+    expect(await cli.run(['index'])).toBe(2);
+    expect(await cli.run(['crawl'])).toBe(2);
+    expect(await cli.run(['crawl', 'https://example.com', '--format', 'pdf'])).toBe(2);
+    expect(stderr.text).toContain('Unknown command: index');
+    expect(stderr.text).toContain('Unsupported format: pdf');
+  });
+
+  it('should crawl with config file settings and search the JSON Lines output', async () => {
+    dir = await mkdtemp(join(tmpdir(), 'webwarden-'));
+    await writeFile(join(dir, 'webwarden.config.json'), JSON.stringify({
+      respectRobots: false, useSitemaps: false, requestDelay: 100, contentTypes: ['text/html']
+    }));
+    vi.stubGlobal('fetch', vi.fn(async (url) => new Response(url === 'https://example.com/'
+      ? '<html><head><title>Home</title></head><body><main><p>Striped zebra catalogue</p><a href="/about">About</a></main></body></html>'
+      : '<html><head><title>About</title></head><body><p>About the team</p></body></html>',
+    { headers: { 'content-type': 'text/html' } })));
+
+    const stderr = createOutput();
+    const cli = new WebWardenCli({ stdout: createOutput(), stderr, cwd: dir });
+    const out = join(dir, 'pages.jsonl');
+
+    expect(await cli.run(['crawl', 'https://example.com/', '--depth', '1', '--out', out])).toBe(0);
+    expect(cli.crawler.config.requestDelay).toBe(100);
+    const lines = (await readFile(out, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+    expect(lines.map(page => page.title)).toEqual(['Home', 'About']);
+    expect(stderr.text).toContain('Done: 2 pages, 0 errors');
+
+    const stdout = createOutput();
+    const searchCli = new WebWardenCli({ stdout, stderr: createOutput(), cwd: dir });
+    expect(await searchCli.run(['search', out, 'zebra'])).toBe(0);
+    expect(stdout.text).toContain('1. Home\n   https://example.com/');
+  });
+});
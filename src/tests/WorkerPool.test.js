@@ -0,0 +1,67 @@
+/**
+ * Test suite for WorkerPool
+ */
+import { describe, it, expect } from 'vitest';
+import { WorkerPool } from '../workers/WorkerPool.js';
+import { WorkerTasks } from '../workers/WorkerTasks.js';
+
+// In-process stand-in for a Web Worker running WorkerTasks
+class FakeWorker {
+  constructor(log) {
+    this.log = log;
+    this.tasks = new WorkerTasks();
+    this.terminated = false;
+  }
+
+  postMessage({ id, type, payload }) {
+    this.log.push(type);
+    setTimeout(async () => {
+      if (type === 'crash') {
+        this.onerror({ message: 'Worker crashed' });
+        return;
+      }
+      try {
+        this.onmessage({ data: { id, result: await this.tasks.handle(type, structuredClone(payload)) } });
+      } catch (error) {
+        this.onmessage({ data: { id, error: { name: error.name, message: error.message } } });
+      }
+    });
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+describe('WorkerPool', () => {
+  it('should spread tasks over workers and queue the rest', async () => {
+    const log = [];
+    const pool = new WorkerPool(() => new FakeWorker(log), { size: 2 });
+    const documents = [{ metadata: 'Zebra guide', body: 'stripes everywhere' }];
+
+    const results = await Promise.all([1, 2, 3].map(() => pool.run('buildIndex', { documents })));
+
+    expect(log).toHaveLength(3);
+    results.forEach(({ invertedIndex, bodyIndex }) => {
+      expect([...invertedIndex.get('zebra')]).toEqual([0]);
+      expect([...bodyIndex.get('stripes')]).toEqual([0]);
+    });
+    expect(pool.idle).toHaveLength(2);
+  });
+
+  it('should reject failed tasks and replace crashed workers', async () => {
+    const pool = new WorkerPool(() => new FakeWorker([]), { size: 1 });
+    const [first] = pool.workers;
+
+    await expect(pool.run('unknown', {})).rejects.toThrow('Unknown worker task: unknown');
+    await expect(pool.run('crash', {})).rejects.toThrow('Worker crashed');
+    expect(first.terminated).toBe(true);
+    expect(pool.workers).toHaveLength(1);
+    expect(pool.workers[0]).not.toBe(first);
+
+    const pending = pool.run('buildIndex', { documents: [] });
+    pool.terminate();
+    await expect(pending).rejects.toThrow('terminated');
+    await expect(pool.run('buildIndex', { documents: [] })).rejects.toThrow('terminated');
+  });
+});
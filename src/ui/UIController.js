@@ -1,3 +1,6 @@
+import { BUDGET_LABELS } from '../crawler/CrawlBudget.js';
+import { SeedListParser } from '../crawler/SeedListParser.js';
+
 /**
  * UIController - Enhanced UI management with real-time updates
  */
@@ -11,6 +14,8 @@ export class UIController {
     this.elements = this.initializeElements();
     this.bindEvents();
     this.updateInterval = null;
+    this.pendingCheckpoint = null;
+    this.seedListParser = new SeedListParser();
   }
 
   /**
@@ -19,12 +24,19 @@ export class UIController {
   initializeElements() {
     return {
       startUrl: document.getElementById('startUrl'),
+      seedList: document.getElementById('seedList'),
+      seedFile: document.getElementById('seedFile'),
+      seedSitemapUrl: document.getElementById('seedSitemapUrl'),
+      seedSitemapBtn: document.getElementById('seedSitemapBtn'),
       depth: document.getElementById('depth'),
       maxPages: document.getElementById('maxPages'),
       crawlMode: document.getElementById('crawlMode'),
       startBtn: document.getElementById('startBtn'),
       stopBtn: document.getElementById('stopBtn'),
+      pauseBtn: document.getElementById('pauseBtn'),
+      resumeBtn: document.getElementById('resumeBtn'),
       searchBox: document.getElementById('searchBox'),
+      schemaFilter: document.getElementById('schemaFilter'),
       status: document.getElementById('status'),
       results: document.getElementById('results'),
       progressFill: document.getElementById('progressFill'),
@@ -42,10 +54,15 @@ export class UIController {
   bindEvents() {
     this.elements.startBtn.addEventListener('click', () => this.startCrawl());
     this.elements.stopBtn.addEventListener('click', () => this.stopCrawl());
+    this.elements.pauseBtn.addEventListener('click', () => this.pauseCrawl());
+    this.elements.resumeBtn.addEventListener('click', () => this.resumeCrawl());
     this.elements.searchBox.addEventListener('input', () => this.performSearch());
     this.elements.searchBox.addEventListener('keypress', (e) => {
       if (e.key === 'Enter') this.performSearch();
     });
+    this.elements.schemaFilter?.addEventListener('change', () => this.performSearch());
+    this.elements.seedFile?.addEventListener('change', () => this.loadSeedFile());
+    this.elements.seedSitemapBtn?.addEventListener('click', () => this.loadSeedsFromSitemap());
     
     // Export button events
     document.getElementById('exportCSV').addEventListener('click', () => this.exportData('csv'));
@@ -59,18 +76,23 @@ export class UIController {
    */
   async startCrawl() {
     const startUrl = this.elements.startUrl.value.trim();
+    const seeds = this.seedListParser.parse(this.elements.seedList?.value);
     const depth = parseInt(this.elements.depth.value);
     const maxPages = parseInt(this.elements.maxPages.value);
+    const crawlMode = this.elements.crawlMode.value;
     
     // Enhanced validation
-    if (!this.validateInputs(startUrl, depth, maxPages)) return;
+    const firstUrl = seeds.length > 0 ? seeds[0].url : startUrl;
+    if (!this.validateSeeds(seeds) || !this.validateInputs(firstUrl, depth, maxPages)) return;
+    
+    this.crawler.config = { ...this.crawler.config, maxDepth: depth, maxPages, crawlMode };
     
     this.setUIState('crawling');
-    this.logger.info('Starting crawl', { startUrl, depth, maxPages });
+    this.logger.info('Starting crawl', { startUrl: seeds.length > 0 ? `${seeds.length} seeds` : startUrl, depth, maxPages, crawlMode });
     
     try {
       await this.crawler.startCrawl(
-        startUrl,
+        seeds.length > 0 ? seeds : startUrl,
         (stats) => this.updateProgress(stats),
         (results) => this.onCrawlComplete(results)
       );
@@ -81,6 +103,68 @@ export class UIController {
     }
   }
 
+  /**
+   * Pause the current crawl and checkpoint it
+   */
+  async pauseCrawl() {
+    this.elements.pauseBtn.disabled = true;
+    this.setStatus('Pausing after in-flight pages finish...', 'crawling');
+    
+    await this.crawler.pauseCrawl();
+    
+    this.setUIState('paused');
+    const stats = this.crawler.getStats();
+    this.updateProgress(stats);
+    this.setStatus(`Crawl paused - ${stats.crawled} pages indexed, ${stats.queued} in queue`, '');
+    this.logger.info('Crawl paused', stats);
+  }
+
+  /**
+   * Resume a paused crawl, or one restored from a saved checkpoint
+   */
+  async resumeCrawl() {
+    const checkpoint = this.crawler.isPaused ? null : this.pendingCheckpoint;
+    this.pendingCheckpoint = null;
+    
+    this.setUIState('crawling');
+    this.logger.info('Resuming crawl', { fromCheckpoint: Boolean(checkpoint) });
+    
+    try {
+      await this.crawler.resumeCrawl(
+        (stats) => this.updateProgress(stats),
+        (results) => this.onCrawlComplete(results),
+        checkpoint
+      );
+    } catch (error) {
+      this.logger.error('Resume failed', error);
+      this.setStatus('Resume failed: ' + error.message, 'error');
+      this.setUIState('ready');
+    }
+  }
+
+  /**
+   * Offer to resume a crawl interrupted by a reload or crash
+   */
+  async checkForCheckpoint() {
+    if (!this.crawler.checkpointStore) return;
+    
+    try {
+      const checkpoint = await this.crawler.checkpointStore.load();
+      if (!checkpoint || checkpoint.frontier.length === 0) return;
+      
+      this.pendingCheckpoint = checkpoint;
+      this.elements.resumeBtn.disabled = false;
+      this.elements.startUrl.value = checkpoint.startUrl || '';
+      this.setStatus(
+        `Found an interrupted crawl of ${checkpoint.startUrl} (${checkpoint.index.length} pages, ` +
+        `saved ${new Date(checkpoint.savedAt).toLocaleString()}) - click Resume to continue`,
+        ''
+      );
+    } catch (error) {
+      this.logger.warn('Failed to load crawl checkpoint', error);
+    }
+  }
+
   /**
    * Stop the current crawl
    */
@@ -90,6 +174,57 @@ export class UIController {
     this.setUIState('ready');
   }
 
+  /**
+   * Check every seed URL, pointing at the first bad line
+   */
+  validateSeeds(seeds) {
+    const invalid = seeds.find(seed => !this.crawler.isValidUrl(seed.url));
+    if (invalid) {
+      this.setStatus(`Invalid seed URL: ${invalid.url}`, 'error');
+      this.elements.seedList.focus();
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Put an uploaded text or CSV seed list into the seed box
+   */
+  async loadSeedFile() {
+    const file = this.elements.seedFile.files[0];
+    if (!file) return;
+    
+    this.elements.seedList.value = await file.text();
+    const count = this.seedListParser.parse(this.elements.seedList.value).length;
+    this.setStatus(`Loaded ${count} seeds from ${file.name}`, '');
+    this.elements.seedFile.value = '';
+  }
+
+  /**
+   * Fill the seed box with the page URLs of a sitemap (or sitemap index)
+   */
+  async loadSeedsFromSitemap() {
+    const sitemapUrl = this.elements.seedSitemapUrl.value.trim();
+    if (!this.crawler.isValidUrl(sitemapUrl)) {
+      this.setStatus('Please enter a valid sitemap URL', 'error');
+      this.elements.seedSitemapUrl.focus();
+      return;
+    }
+    
+    this.elements.seedSitemapBtn.disabled = true;
+    this.setStatus(`Loading seeds from ${sitemapUrl}...`, 'crawling');
+    try {
+      const urls = await this.crawler.getSitemapUrls(sitemapUrl);
+      this.elements.seedList.value = urls.join('\n');
+      this.setStatus(`Loaded ${urls.length} seeds from the sitemap`, '');
+    } catch (error) {
+      this.logger.error('Loading seeds from sitemap failed', error);
+      this.setStatus(error.message, 'error');
+    } finally {
+      this.elements.seedSitemapBtn.disabled = false;
+    }
+  }
+
   /**
    * Validate user inputs
    */
@@ -112,8 +247,8 @@ export class UIController {
       return false;
     }
     
-    if (isNaN(maxPages) || maxPages < 1 || maxPages > 1000) {
-      this.setStatus('Max pages must be between 1 and 1000', 'error');
+    if (isNaN(maxPages) || maxPages < 1 || maxPages > 10000) {
+      this.setStatus('Max pages must be between 1 and 10000', 'error');
       this.elements.maxPages.focus();
       return false;
     }
@@ -129,17 +264,30 @@ export class UIController {
       case 'crawling':
         this.elements.startBtn.disabled = true;
         this.elements.stopBtn.disabled = false;
+        this.elements.pauseBtn.disabled = false;
+        this.elements.resumeBtn.disabled = true;
         this.elements.exportButtons.style.display = 'none';
         this.startProgressUpdates();
         break;
+      case 'paused':
+        this.elements.startBtn.disabled = false;
+        this.elements.stopBtn.disabled = false;
+        this.elements.pauseBtn.disabled = true;
+        this.elements.resumeBtn.disabled = false;
+        this.stopProgressUpdates();
+        break;
       case 'ready':
         this.elements.startBtn.disabled = false;
         this.elements.stopBtn.disabled = true;
+        this.elements.pauseBtn.disabled = true;
+        this.elements.resumeBtn.disabled = true;
         this.stopProgressUpdates();
         break;
       case 'complete':
         this.elements.startBtn.disabled = false;
         this.elements.stopBtn.disabled = true;
+        this.elements.pauseBtn.disabled = true;
+        this.elements.resumeBtn.disabled = true;
         this.elements.exportButtons.style.display = 'flex';
         this.stopProgressUpdates();
         break;
@@ -161,7 +309,9 @@ export class UIController {
     
     // Update status with detailed info
     this.setStatus(
-      `Crawling... ${stats.crawled} pages indexed, ${stats.queued} in queue, ${stats.activeRequests} active requests`,
+      stats.linksChecked > 0
+        ? `Checking links... ${stats.linksChecked} checked`
+        : `Crawling... ${stats.crawled} pages indexed, ${stats.queued} in queue, ${stats.activeRequests} active requests`,
       'crawling'
     );
   }
@@ -169,12 +319,28 @@ export class UIController {
   /**
    * Handle crawl completion
    */
-  onCrawlComplete(results) {
-    this.searchEngine.updateIndex(results.pages);
+  async onCrawlComplete(results) {
+    try {
+      await this.searchEngine.updateIndexAsync(results.pages);
+    } catch (error) {
+      // A failed worker shouldn't cost the results; index on this thread
+      this.logger.warn('Background indexing failed', { error: error.message });
+      this.searchEngine.updateIndex(results.pages);
+    }
+    this.updateSchemaFilter();
     this.displayResults(results.pages);
     this.setUIState('complete');
     
-    const message = `Crawl complete! Indexed ${results.pages.length} pages with ${results.errors.length} errors in ${results.stats.elapsed}s`;
+    let message = `Crawl complete! Indexed ${results.pages.length} pages with ${results.errors.length} errors in ${results.stats.elapsed}s`;
+    if (results.audit?.score !== null && results.audit?.score !== undefined) {
+      message += ` - SEO score ${results.audit.score}/100`;
+    }
+    if (results.linkReport?.checked > 0) {
+      message += ` - ${results.linkReport.broken.length} broken of ${results.linkReport.links} links`;
+    }
+    if (results.budget?.exhausted) {
+      message += ` - stopped at the ${BUDGET_LABELS[results.budget.exhausted]}`;
+    }
     this.setStatus(message, 'complete');
     this.logger.info('Crawl completed', results.stats);
   }
@@ -184,15 +350,42 @@ export class UIController {
    */
   performSearch() {
     const query = this.elements.searchBox.value.trim();
+    const filters = this.getSchemaFilters();
     
-    if (!query) {
-      this.displayResults(this.searchEngine.index);
-      return;
+    // An empty query lists every page, with near-duplicates collapsed as in search
+    const results = this.searchEngine.filterResults(this.searchEngine.search(query), filters);
+    this.displayResults(results, query);
+    if (query) {
+      this.logger.debug('Search performed', { query, resultCount: results.length });
     }
+  }
+
+  /**
+   * Fill the structured data filter with the schema types found in the crawl
+   */
+  updateSchemaFilter() {
+    const select = this.elements.schemaFilter;
+    if (!select) return;
     
-    const results = this.searchEngine.search(query);
-    this.displayResults(results, query);
-    this.logger.debug('Search performed', { query, resultCount: results.length });
+    const selected = select.value;
+    const options = [
+      '<option value="">All pages</option>',
+      '<option value="missing-og-image">Missing og:image</option>',
+      ...this.searchEngine.getSchemaTypes().map(({ type, count }) =>
+        `<option value="type:${this.escapeHtml(type).replace(/"/g, '&quot;')}">${this.escapeHtml(type)} (${count})</option>`)
+    ];
+    select.innerHTML = options.join('');
+    select.value = [...select.options].some(option => option.value === selected) ? selected : '';
+  }
+
+  /**
+   * SearchEngine filters for the selected structured data option
+   */
+  getSchemaFilters() {
+    const value = this.elements.schemaFilter?.value || '';
+    if (value === 'missing-og-image') return { missingOpenGraph: 'image' };
+    if (value.startsWith('type:')) return { schemaType: value.slice('type:'.length) };
+    return {};
   }
 
   /**
@@ -234,7 +427,13 @@ export class UIController {
           <span>🖼️ ${page.imageCount || 0} images</span>
           <span>📝 ${page.wordCount || 0} words</span>
           <span>🔗 Depth ${page.depth || 0}</span>
+          ${page.inlinks ? `<span>⭐ ${page.inlinks.length} inlinks</span>` : ''}
+          ${page.structuredData?.types.length ? `<span>🏷️ ${this.escapeHtml(page.structuredData.types.join(', '))}</span>` : ''}
+          ${page.auditIssues?.length ? `<span title="${this.escapeHtml(page.auditIssues.map(issue => `${issue.severity}: ${issue.message}`).join('\n')).replace(/"/g, '&quot;')}">🩺 SEO ${page.auditScore} (${page.auditIssues.length} issue${page.auditIssues.length === 1 ? '' : 's'})</span>` : ''}
           <span>⏰ ${new Date(page.crawledAt).toLocaleString()}</span>
+          ${page.changeStatus && page.changeStatus !== 'unchanged' ? `<span>🆕 ${page.changeStatus}</span>` : ''}
+          ${page.redirectChain?.length ? `<span>↪️ Redirected from ${this.truncateUrl(page.redirectChain[0].url)} (${page.redirectChain.length} hop${page.redirectChain.length === 1 ? '' : 's'})</span>` : ''}
+          ${page.duplicateGroup ? `<span>🧬 ${this.searchEngine.getDuplicates(page).length} near-duplicates</span>` : ''}
           ${page.referrer ? `<span>👈 From: ${this.truncateUrl(page.referrer)}</span>` : ''}
         </div>
       `;
@@ -0,0 +1,132 @@
+/**
+ * CheckpointStore - IndexedDB persistence for crawl checkpoints
+ * Keeps the latest crawl snapshot so a crawl survives reloads and crashes,
+ * with its pages stored one record each so a checkpoint only writes the
+ * pages crawled since the last one, and, per site (seed origin), the last completed crawl's pages as the
+ * baseline for recrawls
+ */
+export class CheckpointStore {
+  constructor(dbName = 'webwarden', storeName = 'checkpoints') {
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this.key = 'latest';
+    this.pagePrefix = 'page:';
+    this.baselineKey = 'baseline';
+    this.dbPromise = null;
+  }
+
+  /**
+   * Whether IndexedDB is usable in this environment
+   */
+  static isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Open (and create on first use) the checkpoint database
+   */
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          if (!request.result.objectStoreNames.contains(this.storeName)) {
+            request.result.createObjectStore(this.storeName);
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a single request against the object store
+   */
+  async withStore(mode, operation) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = operation(transaction.objectStore(this.storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Save a checkpoint, replacing the previous one
+   */
+  async save(checkpoint) {
+    await this.withStore('readwrite', store => store.put(checkpoint, this.key));
+  }
+
+  /**
+   * Store pages of the crawl index, the first of them at position start
+   */
+  async savePages(pages, start) {
+    if (pages.length === 0) return;
+    const db = await this.open();
+
+    await new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, 'readwrite');
+      const store = transaction.objectStore(this.storeName);
+      pages.forEach((page, offset) => store.put(page, this.pageKey(start + offset)));
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Zero-padded so keys sort in index order
+   */
+  pageKey(position) {
+    return `${this.pagePrefix}${String(position).padStart(10, '0')}`;
+  }
+
+  getPageRange() {
+    return IDBKeyRange.bound(this.pagePrefix, `${this.pagePrefix}\uffff`);
+  }
+
+  /**
+   * Load the latest checkpoint with its pages, or null if none exists.
+   * Checkpoints saved with savePages() hold pageCount instead of the index.
+   */
+  async load() {
+    const checkpoint = await this.withStore('readonly', store => store.get(this.key));
+    if (!checkpoint) return null;
+    if (checkpoint.index) return checkpoint;
+
+    const pages = await this.withStore('readonly', store => store.getAll(this.getPageRange()));
+    const { pageCount, ...rest } = checkpoint;
+    return { ...rest, index: pages.slice(0, pageCount) };
+  }
+
+  /**
+   * Remove the stored checkpoint and its pages
+   */
+  async clear() {
+    await this.withStore('readwrite', store => store.delete(this.key));
+    await this.withStore('readwrite', store => store.delete(this.getPageRange()));
+  }
+
+  /**
+   * Save the pages a completed crawl found from an origin for its next
+   * incremental recrawl
+   */
+  async saveBaseline(pages, origin) {
+    await this.withStore('readwrite', store => store.put(pages, `${this.baselineKey}:${origin}`));
+  }
+
+  /**
+   * Load an origin's pages from its previous crawl, or null if none exist
+   */
+  async loadBaseline(origin) {
+    const pages = await this.withStore('readonly', store => store.get(`${this.baselineKey}:${origin}`));
+    return pages || null;
+  }
+}
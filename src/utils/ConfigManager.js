@@ -1,51 +1,113 @@
+import { CRAWL_MODES } from '../crawler/Frontier.js';
+import { DEFAULT_TRACKING_PARAMS } from '../crawler/UrlNormalizer.js';
+import { ScopePolicy } from '../crawler/ScopePolicy.js';
+import { ContentHandlerRegistry } from '../crawler/ContentHandlerRegistry.js';
+import { AUDIT_RULES } from '../audit/SeoAuditor.js';
+import { ERROR_CLASSES } from '../crawler/CrawlError.js';
+import { TRANSPORT_MODES, DEFAULT_PROXY_URL } from '../crawler/FetchTransport.js';
+
 /**
  * ConfigManager - Configuration management with validation and persistence
  */
 export class ConfigManager {
-  constructor() {
+  /**
+   * storage is a localStorage-like object; without one (e.g. in Node) the
+   * configuration is not persisted. Credentials (authProfiles) never go
+   * there: they are kept in secretStorage (sessionStorage, so they last
+   * only as long as the tab) or, without it, in memory.
+   */
+  constructor(storage = globalThis.localStorage, secretStorage = globalThis.sessionStorage) {
+    this.storage = storage || null;
+    this.secretStorage = secretStorage || null;
     this.defaultConfig = {
       maxConcurrency: 3,
+      maxConcurrencyPerHost: 2,
       requestDelay: 1000,
+      maxBackoffDelay: 60000,
       timeout: 10000,
       maxRetries: 2,
+      retryPolicy: {},
+      retryBaseDelay: 1000,
       respectRobots: true,
       userAgent: 'WebWarden Crawler 2.0',
       maxPages: 100,
       maxDepth: 3,
+      maxPagesPerHost: 0,
+      maxPagesPerDirectory: 0,
+      maxTotalBytes: 0,
+      maxCrawlDuration: 0,
+      maxResponseBytes: 10485760,
+      crawlMode: 'breadth',
+      priorityKeywords: [],
+      priorityPatterns: [],
+      urlNormalization: {
+        lowercaseHost: true,
+        stripFragments: true,
+        stripTrackingParams: true,
+        sortQuery: true,
+        removeTrailingSlash: true,
+        honorCanonical: true,
+        trackingParams: [...DEFAULT_TRACKING_PARAMS]
+      },
+      useSitemaps: true,
+      checkpointInterval: 10000,
+      incremental: true,
+      detectDuplicates: true,
+      skipDuplicates: false,
+      duplicateThreshold: 3,
+      maxSitemapUrls: 1000,
       allowedDomains: [],
       blockedDomains: [],
-      contentTypes: ['text/html'],
+      includePatterns: [],
+      excludePatterns: [],
+      contentTypes: ['text/html', 'application/xhtml+xml'],
       followRedirects: true,
-      maxRedirects: 5
+      maxRedirects: 5,
+      checkLinks: false,
+      disabledAuditRules: [],
+      maxMainTextLength: 20000,
+      useWorkers: true,
+      transport: 'direct',
+      proxyUrl: DEFAULT_PROXY_URL,
+      authProfiles: []
     };
     
     this.config = this.loadConfig();
   }
 
   /**
-   * Load configuration from localStorage with fallback to defaults
+   * Load configuration from storage with fallback to defaults
    */
   loadConfig() {
+    const config = { ...this.defaultConfig };
+    
     try {
-      const saved = localStorage.getItem('webwarden-config');
+      const saved = this.storage?.getItem('webwarden-config');
       if (saved) {
         const parsed = JSON.parse(saved);
-        return { ...this.defaultConfig, ...parsed };
+        Object.assign(config, ConfigManager.withoutSecrets(parsed));
+        // Earlier versions kept credentials here; drop them
+        if (parsed.authProfiles) this.storage.setItem('webwarden-config', JSON.stringify(ConfigManager.withoutSecrets(parsed)));
       }
+      const credentials = this.secretStorage?.getItem('webwarden-credentials');
+      if (credentials) config.authProfiles = JSON.parse(credentials);
     } catch (error) {
       console.warn('Failed to load saved config:', error);
     }
     
-    return { ...this.defaultConfig };
+    return config;
   }
 
   /**
-   * Save configuration to localStorage
+   * Save configuration to storage, and credentials to secretStorage only
    */
   saveConfig(newConfig = null) {
     try {
       const configToSave = newConfig || this.config;
-      localStorage.setItem('webwarden-config', JSON.stringify(configToSave));
+      this.storage?.setItem('webwarden-config', JSON.stringify(ConfigManager.withoutSecrets(configToSave)));
+      if (configToSave.authProfiles) {
+        this.secretStorage?.setItem('webwarden-credentials', JSON.stringify(configToSave.authProfiles));
+      }
       if (newConfig) {
         this.config = { ...this.config, ...newConfig };
       }
@@ -81,6 +143,14 @@ export class ConfigManager {
       validated.maxConcurrency = Math.max(1, Math.min(10, parseInt(config.maxConcurrency)));
     }
     
+    if (config.maxConcurrencyPerHost !== undefined) {
+      validated.maxConcurrencyPerHost = Math.max(1, Math.min(10, parseInt(config.maxConcurrencyPerHost)));
+    }
+    
+    if (config.maxBackoffDelay !== undefined) {
+      validated.maxBackoffDelay = Math.max(1000, Math.min(600000, parseInt(config.maxBackoffDelay)));
+    }
+    
     if (config.requestDelay !== undefined) {
       validated.requestDelay = Math.max(100, parseInt(config.requestDelay));
     }
@@ -93,31 +163,180 @@ export class ConfigManager {
       validated.maxRetries = Math.max(0, Math.min(5, parseInt(config.maxRetries)));
     }
     
+    if (config.retryBaseDelay !== undefined) {
+      validated.retryBaseDelay = Math.max(100, Math.min(30000, parseInt(config.retryBaseDelay)));
+    }
+    
+    // Per error class retry limits, e.g. { timeout: 1, 'http-5xx': 3 }
+    if (config.retryPolicy !== undefined && typeof config.retryPolicy === 'object') {
+      validated.retryPolicy = {};
+      Object.entries(config.retryPolicy || {}).forEach(([errorClass, retries]) => {
+        const value = parseInt(retries);
+        if (ERROR_CLASSES.includes(errorClass) && Number.isFinite(value)) {
+          validated.retryPolicy[errorClass] = Math.max(0, Math.min(5, value));
+        }
+      });
+    }
+    
     if (config.maxPages !== undefined) {
-      validated.maxPages = Math.max(1, Math.min(1000, parseInt(config.maxPages)));
+      validated.maxPages = Math.max(1, Math.min(10000, parseInt(config.maxPages)));
+    }
+    
+    // Budgets; 0 means unlimited
+    ['maxPagesPerHost', 'maxPagesPerDirectory', 'maxTotalBytes', 'maxCrawlDuration'].forEach(key => {
+      if (config[key] !== undefined) {
+        validated[key] = Math.max(0, parseInt(config[key]) || 0);
+      }
+    });
+    
+    if (config.maxResponseBytes !== undefined) {
+      validated.maxResponseBytes = Math.max(0, Math.min(104857600, parseInt(config.maxResponseBytes) || 0));
     }
     
     if (config.maxDepth !== undefined) {
       validated.maxDepth = Math.max(1, Math.min(10, parseInt(config.maxDepth)));
     }
     
+    if (config.duplicateThreshold !== undefined) {
+      validated.duplicateThreshold = Math.max(0, Math.min(16, parseInt(config.duplicateThreshold)));
+    }
+    
+    if (config.checkpointInterval !== undefined) {
+      validated.checkpointInterval = Math.max(1000, Math.min(600000, parseInt(config.checkpointInterval)));
+    }
+    
+    if (config.maxRedirects !== undefined) {
+      validated.maxRedirects = Math.max(0, Math.min(20, parseInt(config.maxRedirects)));
+    }
+    
+    if (config.maxMainTextLength !== undefined) {
+      validated.maxMainTextLength = Math.max(0, Math.min(200000, parseInt(config.maxMainTextLength)));
+    }
+    
+    if (config.maxSitemapUrls !== undefined) {
+      validated.maxSitemapUrls = Math.max(0, Math.min(50000, parseInt(config.maxSitemapUrls)));
+    }
+    
     // Boolean configs
-    ['respectRobots', 'followRedirects'].forEach(key => {
+    ['respectRobots', 'followRedirects', 'useSitemaps', 'incremental', 'detectDuplicates', 'skipDuplicates', 'checkLinks', 'useWorkers'].forEach(key => {
       if (config[key] !== undefined) {
         validated[key] = Boolean(config[key]);
       }
     });
     
     // String configs
-    ['userAgent'].forEach(key => {
+    ['userAgent', 'proxyUrl'].forEach(key => {
       if (config[key] !== undefined && typeof config[key] === 'string') {
         validated[key] = config[key].trim();
       }
     });
     
+    if (config.transport !== undefined && TRANSPORT_MODES.includes(config.transport)) {
+      validated.transport = config.transport;
+    }
+    
+    if (config.crawlMode !== undefined && CRAWL_MODES.includes(config.crawlMode)) {
+      validated.crawlMode = config.crawlMode;
+    }
+    
+    if (config.priorityKeywords !== undefined) {
+      const keywords = Array.isArray(config.priorityKeywords)
+        ? config.priorityKeywords
+        : String(config.priorityKeywords).split(',');
+      validated.priorityKeywords = keywords.map(k => String(k).trim()).filter(Boolean);
+    }
+    
+    if (Array.isArray(config.priorityPatterns)) {
+      validated.priorityPatterns = config.priorityPatterns.filter(entry => {
+        if (!entry || typeof entry.pattern !== 'string') return false;
+        try {
+          new RegExp(entry.pattern);
+          return Number.isFinite(Number(entry.weight ?? 0));
+        } catch {
+          return false;
+        }
+      }).map(({ pattern, weight = 0 }) => ({ pattern, weight: Number(weight) }));
+    }
+    
+    // Scope lists accept arrays or comma/newline separated strings
+    ['allowedDomains', 'blockedDomains'].forEach(key => {
+      if (config[key] !== undefined) {
+        validated[key] = this.toList(config[key])
+          .map(domain => ScopePolicy.normalizeDomain(domain))
+          .filter(Boolean);
+      }
+    });
+    
+    ['includePatterns', 'excludePatterns'].forEach(key => {
+      if (config[key] !== undefined) {
+        validated[key] = this.toList(config[key]).filter(pattern => {
+          const problem = ScopePolicy.validatePattern(pattern);
+          if (problem) console.warn(problem);
+          return !problem;
+        });
+      }
+    });
+    
+    // Per-host credentials: { host, headers, cookies, username, password, bearerToken, allowInsecure }
+    if (Array.isArray(config.authProfiles)) {
+      validated.authProfiles = config.authProfiles.map(profile => {
+        const host = ScopePolicy.normalizeDomain(profile?.host);
+        if (!host) {
+          console.warn(`Invalid auth profile host: ${profile?.host}`);
+          return null;
+        }
+        const valid = { host };
+        if (profile.headers && typeof profile.headers === 'object') {
+          valid.headers = Object.fromEntries(Object.entries(profile.headers)
+            .filter(([name, value]) => /^[\w!#$%&'*+.^`|~-]+$/.test(name) && typeof value === 'string'));
+        }
+        ['cookies', 'username', 'password', 'bearerToken'].forEach(key => {
+          if (typeof profile[key] === 'string' && profile[key]) valid[key] = profile[key];
+        });
+        if (profile.allowInsecure === true) valid.allowInsecure = true;
+        return valid;
+      }).filter(Boolean);
+    }
+    
+    if (config.disabledAuditRules !== undefined) {
+      const ruleIds = AUDIT_RULES.map(rule => rule.id);
+      validated.disabledAuditRules = this.toList(config.disabledAuditRules).filter(id => ruleIds.includes(id));
+    }
+    
+    if (config.contentTypes !== undefined) {
+      const types = this.toList(config.contentTypes)
+        .map(type => ContentHandlerRegistry.getEssence(type))
+        .filter(type => {
+          const valid = /^([\w.+-]+|\*)\/([\w.+-]+|\*)$/.test(type);
+          if (!valid) console.warn(`Invalid content type: ${type}`);
+          return valid;
+        });
+      validated.contentTypes = types.length > 0 ? [...new Set(types)] : [...this.defaultConfig.contentTypes];
+    }
+    
+    if (config.urlNormalization && typeof config.urlNormalization === 'object') {
+      const rules = {};
+      ['lowercaseHost', 'stripFragments', 'stripTrackingParams', 'sortQuery', 'removeTrailingSlash', 'honorCanonical'].forEach(key => {
+        if (config.urlNormalization[key] !== undefined) {
+          rules[key] = Boolean(config.urlNormalization[key]);
+        }
+      });
+      if (Array.isArray(config.urlNormalization.trackingParams)) {
+        rules.trackingParams = config.urlNormalization.trackingParams
+          .filter(param => typeof param === 'string' && param.trim())
+          .map(param => param.trim().toLowerCase());
+      }
+      validated.urlNormalization = { ...this.defaultConfig.urlNormalization, ...rules };
+    }
+    
     return validated;
   }
 
+  toList(value) {
+    const items = Array.isArray(value) ? value : String(value).split(/[\n,]/);
+    return items.map(item => String(item).trim()).filter(Boolean);
+  }
+
   /**
    * Reset to default configuration
    */
@@ -128,10 +347,18 @@ export class ConfigManager {
   }
 
   /**
-   * Export configuration
+   * Configuration safe to write out or log: credentials are left out
+   */
+  static withoutSecrets(config) {
+    const { authProfiles, ...rest } = config;
+    return rest;
+  }
+
+  /**
+   * Export configuration (without credentials)
    */
   exportConfig() {
-    const configContent = JSON.stringify(this.config, null, 2);
+    const configContent = JSON.stringify(ConfigManager.withoutSecrets(this.config), null, 2);
     const blob = new Blob([configContent], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
@@ -0,0 +1,27 @@
+/**
+ * HtmlParser - Parses HTML into a DOM document
+ * Uses the browser's DOMParser unless another implementation has been
+ * registered, which is how Node and Web Workers supply linkedom
+ */
+let registeredParser = null;
+
+export class HtmlParser {
+  /**
+   * Use parseFn(html) -> Document for all parsers instead of DOMParser
+   */
+  static register(parseFn) {
+    registeredParser = parseFn;
+  }
+
+  static isSupported() {
+    return Boolean(registeredParser) || typeof DOMParser !== 'undefined';
+  }
+
+  parse(html) {
+    if (registeredParser) return registeredParser(html);
+    if (typeof DOMParser === 'undefined') {
+      throw new Error('No HTML parser available; register one with HtmlParser.register()');
+    }
+    return new DOMParser().parseFromString(html, 'text/html');
+  }
+}
@@ -0,0 +1,17 @@
+import { DOMParser } from 'linkedom';
+
+/**
+ * LinkedomParser - HTML parsing where the browser's DOMParser is missing
+ * (Node.js and Web Workers), backed by linkedom
+ */
+export class LinkedomParser {
+  constructor() {
+    this.parser = new DOMParser();
+  }
+
+  parse(html) {
+    // linkedom only builds <head>/<body> for full documents
+    const source = /<html[\s>]/i.test(html) ? html : `<html><body>${html}</body></html>`;
+    return this.parser.parseFromString(source, 'text/html');
+  }
+}
@@ -0,0 +1,119 @@
+/**
+ * WorkerPool - Runs tasks on a fixed set of Web Workers
+ * Message protocol: the pool posts { id, type, payload } and a worker
+ * answers { id, result } or { id, error: { name, message } }. Each worker
+ * handles one task at a time; extra tasks wait in a FIFO queue. A worker
+ * that crashes fails its task and is replaced.
+ */
+export class WorkerPool {
+  /**
+   * createWorker() returns a new Worker (or anything with postMessage,
+   * terminate and onmessage/onerror handlers)
+   */
+  constructor(createWorker, options = {}) {
+    this.createWorker = createWorker;
+    this.size = options.size || WorkerPool.defaultSize();
+    this.nextId = 1;
+    this.queue = []; // tasks waiting for a worker
+    this.idle = [];
+    this.busy = new Map(); // worker -> task
+    this.workers = [];
+    this.terminated = false;
+
+    for (let i = 0; i < this.size; i++) {
+      this.spawn();
+    }
+  }
+
+  /**
+   * One worker per spare core, leaving one for the UI, at most 4
+   */
+  static defaultSize() {
+    const cores = globalThis.navigator?.hardwareConcurrency || 2;
+    return Math.max(1, Math.min(4, cores - 1));
+  }
+
+  static isSupported() {
+    return typeof Worker !== 'undefined';
+  }
+
+  spawn() {
+    const worker = this.createWorker();
+    worker.onmessage = event => this.handleMessage(worker, event.data);
+    worker.onerror = event => {
+      event.preventDefault?.();
+      this.handleCrash(worker, new Error(event.message || 'Worker failed'));
+    };
+    this.workers.push(worker);
+    this.idle.push(worker);
+    return worker;
+  }
+
+  /**
+   * Run a task on the next free worker; resolves with the worker's result
+   */
+  run(type, payload, transfer = []) {
+    if (this.terminated) {
+      return Promise.reject(new Error('Worker pool has been terminated'));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({ id: this.nextId++, type, payload, transfer, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  dispatch() {
+    while (this.idle.length > 0 && this.queue.length > 0) {
+      const worker = this.idle.shift();
+      const task = this.queue.shift();
+      this.busy.set(worker, task);
+      worker.postMessage({ id: task.id, type: task.type, payload: task.payload }, task.transfer);
+    }
+  }
+
+  handleMessage(worker, message) {
+    const task = this.busy.get(worker);
+    if (!task || message?.id !== task.id) return;
+
+    this.busy.delete(worker);
+    this.idle.push(worker);
+    if (message.error) {
+      const error = new Error(message.error.message);
+      error.name = message.error.name || 'Error';
+      task.reject(error);
+    } else {
+      task.resolve(message.result);
+    }
+    this.dispatch();
+  }
+
+  handleCrash(worker, error) {
+    const task = this.busy.get(worker);
+    this.busy.delete(worker);
+    this.idle = this.idle.filter(other => other !== worker);
+    this.workers = this.workers.filter(other => other !== worker);
+    worker.terminate();
+    task?.reject(error);
+
+    if (!this.terminated) {
+      this.spawn();
+      this.dispatch();
+    }
+  }
+
+  /**
+   * Stop all workers and fail queued and running tasks
+   */
+  terminate() {
+    this.terminated = true;
+    const error = new Error('Worker pool has been terminated');
+    this.queue.forEach(task => task.reject(error));
+    this.busy.forEach(task => task.reject(error));
+    this.workers.forEach(worker => worker.terminate());
+    this.queue = [];
+    this.busy.clear();
+    this.idle = [];
+    this.workers = [];
+  }
+}
@@ -0,0 +1,48 @@
+import { CrawlerEngine } from '../crawler/CrawlerEngine.js';
+import { SearchEngine } from '../search/SearchEngine.js';
+
+/**
+ * WorkerTasks - The tasks a crawler worker runs, kept apart from the
+ * worker entry point so they can run (and be tested) anywhere
+ *   parseHtml { html, url, urlNormalization, detectDuplicates } -> compact content
+ *   buildIndex { documents } -> { invertedIndex, bodyIndex }
+ */
+export class WorkerTasks {
+  constructor() {
+    this.extractors = new Map(); // urlNormalization rules -> CrawlerEngine used for extraction
+  }
+
+  async handle(type, payload) {
+    switch (type) {
+      case 'parseHtml':
+        return this.parseHtml(payload);
+      case 'buildIndex':
+        return SearchEngine.buildIndexes(payload.documents);
+      default:
+        throw new Error(`Unknown worker task: ${type}`);
+    }
+  }
+
+  /**
+   * Extract a page's content. The full body text stays in the worker: only
+   * its word count and fingerprint travel back with the main text.
+   */
+  parseHtml({ html, url, urlNormalization = {}, detectDuplicates = true }) {
+    const extractor = this.getExtractor(urlNormalization);
+    const { bodyText, ...content } = extractor.extractHtmlContent(html, url);
+
+    return {
+      ...content,
+      wordCount: extractor.getWordCount(bodyText),
+      contentFingerprint: detectDuplicates ? extractor.simHash.fingerprint(bodyText) : null
+    };
+  }
+
+  getExtractor(urlNormalization) {
+    const key = JSON.stringify(urlNormalization);
+    if (!this.extractors.has(key)) {
+      this.extractors.set(key, new CrawlerEngine({ urlNormalization }));
+    }
+    return this.extractors.get(key);
+  }
+}
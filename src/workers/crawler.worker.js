@@ -0,0 +1,20 @@
+import { HtmlParser } from '../utils/HtmlParser.js';
+import { LinkedomParser } from '../utils/LinkedomParser.js';
+import { WorkerTasks } from './WorkerTasks.js';
+
+/**
+ * crawler.worker - Web Worker entry point for WorkerPool
+ * Workers have no DOMParser, so HTML is parsed with linkedom
+ */
+const parser = new LinkedomParser();
+HtmlParser.register(html => parser.parse(html));
+
+const tasks = new WorkerTasks();
+
+self.onmessage = async ({ data: { id, type, payload } }) => {
+  try {
+    self.postMessage({ id, result: await tasks.handle(type, payload) });
+  } catch (error) {
+    self.postMessage({ id, error: { name: error.name, message: error.message } });
+  }
+};
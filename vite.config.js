@@ -1,7 +1,10 @@
 import { defineConfig } from 'vite';
+import { CorsProxy } from './src/proxy/CorsProxy.js';
 
 export default defineConfig({
   root: '.',
+  // Forwarding proxy for the 'proxy' crawl transport
+  plugins: [CorsProxy.vitePlugin()],
   build: {
     outDir: 'dist',
     rollupOptions: {
@@ -13,5 +16,9 @@ export default defineConfig({
   server: {
     port: 3000,
     open: true
+  },
+  test: {
+    // Tests run in Node, where HTML parsing needs linkedom
+    setupFiles: ['./src/cli/nodeEnvironment.js']
   }
-});
\ No newline at end of file
+});